@@ -5,16 +5,34 @@ const withMDX = mdx({
   options: {},
 });
 
+// `npm run export` builds the site as plain files into out/. Route handlers
+// and pages that need a server are named route.server.ts / page.server.tsx and
+// only picked up otherwise. The same goes for modules of server actions: an
+// import of `x` resolves to x.server.ts when there's a server and to x.ts, a
+// stand-in without actions, in a static export.
+const staticExport = process.env.STATIC_EXPORT === "true";
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-  pageExtensions: ["ts", "tsx", "md", "mdx"],
+  output: staticExport ? "export" : undefined,
+  // out/about/index.html rather than out/about.html, which any static host serves as /about/.
+  trailingSlash: staticExport,
+  pageExtensions: staticExport
+    ? ["ts", "tsx", "md", "mdx"]
+    : ["server.ts", "server.tsx", "ts", "tsx", "md", "mdx"],
+  // Inlined into client bundles too, so components can tell which build they're in.
+  env: {
+    STATIC_EXPORT: String(staticExport),
+  },
   images: {
-    remotePatterns: [
-      {
-        protocol: "https",
-        hostname: "picsum.photos",
-      },
-    ],
+    // There's no image optimizer on a static host.
+    unoptimized: staticExport,
+  },
+  webpack(config) {
+    if (!staticExport) {
+      config.resolve.extensions = [".server.ts", ...config.resolve.extensions];
+    }
+    return config;
   },
 };
 
@@ -0,0 +1,16 @@
+// Checks every link, #anchor and local image in the content without a full
+// build: `npm run check-links`, or `npm run check-links -- --external` to
+// request external URLs too and refresh the cache the build reads.
+import { register } from "node:module";
+
+register("./ts-hooks.mjs", import.meta.url);
+
+const { linkCheck } = await import("@/app/resources");
+const { checkLinks, formatLinkReport, writeLinkReport } = await import("@/app/utils/links");
+
+const report = await checkLinks({ external: process.argv.includes("--external") });
+writeLinkReport(report);
+console.log(formatLinkReport(report));
+console.log(`Report written to ${linkCheck.report}`);
+
+process.exitCode = report.errors.length > 0 ? 1 : 0;
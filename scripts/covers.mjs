@@ -0,0 +1,20 @@
+// Draws branded covers for articles without one and writes the width variants
+// and blur placeholders of every cover to public/images/covers. Runs before
+// dev, build and export, and never touches the articles themselves.
+// `npm run covers -- --pull` also downloads remote covers into
+// public/images/articles and points the front matter at them; commit the result.
+import { register } from "node:module";
+
+register("./ts-hooks.mjs", import.meta.url);
+
+const { buildCovers } = await import("@/app/utils/coverBuild");
+
+const { pulled, built, remote, failed } = await buildCovers({ pull: process.argv.includes("--pull") });
+
+for (const slug of pulled) console.log(`Pulled the cover of ${slug} into the repo`);
+if (built.length > 0) console.log(`Built ${built.length} article cover(s)`);
+// Those articles still render, with the image as is, so none of this stops a build.
+for (const { slug, url } of remote) {
+  console.warn(`Cover of ${slug} is remote (${url}); run \`npm run covers -- --pull\` to keep a copy`);
+}
+for (const { slug, error } of failed) console.warn(`Cover of ${slug}: ${error}`);
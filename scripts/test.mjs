@@ -0,0 +1,18 @@
+// Runs every *.test.ts under src/ with node:test: `npm test`. The tests import
+// the app's TypeScript through the same hooks as the other scripts.
+import fs from "node:fs";
+import path from "node:path";
+import { register } from "node:module";
+import { pathToFileURL } from "node:url";
+
+register("./ts-hooks.mjs", import.meta.url);
+
+const src = path.join(process.cwd(), "src");
+const files = fs
+  .readdirSync(src, { recursive: true })
+  .filter((file) => file.endsWith(".test.ts"))
+  .sort();
+
+for (const file of files) {
+  await import(pathToFileURL(path.join(src, file)).href);
+}
@@ -0,0 +1,70 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import ts from "typescript";
+
+// Lets plain Node import the app's TypeScript: resolves the `@/` alias from
+// tsconfig.json and transpiles .ts files without type-checking them.
+
+const root = process.cwd();
+const src = path.join(root, "src");
+const extensions = [".ts", ".tsx", ".js", ".mjs"];
+
+function probe(base) {
+  for (const candidate of [base, ...extensions.map((ext) => base + ext)]) {
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+  }
+  for (const ext of extensions) {
+    const index = path.join(base, `index${ext}`);
+    if (fs.existsSync(index)) return index;
+  }
+  return undefined;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  let base;
+  if (specifier.startsWith("@/")) {
+    base = path.join(src, specifier.slice(2));
+  } else if (specifier.startsWith(".") && context.parentURL?.startsWith("file:")) {
+    const parent = fileURLToPath(context.parentURL);
+    if (parent.startsWith(src)) base = path.resolve(path.dirname(parent), specifier);
+  }
+
+  const file = base && probe(base);
+  if (file) return { url: pathToFileURL(file).href, shortCircuit: true };
+
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    // Packages without an exports map, like next/navigation, need the
+    // extension spelled out under ESM resolution.
+    if (error.code !== "ERR_MODULE_NOT_FOUND" || specifier.endsWith(".js")) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (!url.startsWith("file:") || !fileURLToPath(url).startsWith(src)) {
+    return nextLoad(url, context);
+  }
+
+  const file = fileURLToPath(url);
+  // Components pulled in by content.js bring their styles along; there is
+  // nothing to render here.
+  if (/\.(s?css)$/.test(file)) {
+    return { format: "module", source: "export default {};", shortCircuit: true };
+  }
+
+  const source = fs.readFileSync(file, "utf-8");
+  // Everything under src/ is ES modules, whatever package.json says.
+  const { outputText } = ts.transpileModule(source, {
+    fileName: file,
+    compilerOptions: {
+      module: ts.ModuleKind.ESNext,
+      target: ts.ScriptTarget.ES2022,
+      jsx: ts.JsxEmit.ReactJSX,
+      esModuleInterop: true,
+    },
+  });
+  return { format: "module", source: outputText, shortCircuit: true };
+}
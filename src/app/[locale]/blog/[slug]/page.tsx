@@ -0,0 +1 @@
+export { default, generateMetadata, generateStaticParams } from "@/app/blog/[slug]/page";
@@ -0,0 +1 @@
+export { default, generateMetadata, generateStaticParams } from "@/app/gallery/[album]/page";
@@ -0,0 +1 @@
+export { default, generateMetadata } from "@/app/gallery/page";
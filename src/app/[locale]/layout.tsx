@@ -0,0 +1,23 @@
+import { notFound } from "next/navigation";
+import { defaultLocale, isLocale, locales } from "@/app/resources/i18n";
+
+// Pages under [locale] re-export the unprefixed English routes, which read
+// the locale from `params`. The default locale has no prefix, so /en/... 404s.
+export function generateStaticParams() {
+  return locales.filter((locale) => locale !== defaultLocale).map((locale) => ({ locale }));
+}
+
+export const dynamicParams = false;
+
+interface LocaleLayoutProps {
+  children: React.ReactNode;
+  params: { locale: string };
+}
+
+export default function LocaleLayout({ children, params }: LocaleLayoutProps) {
+  if (!isLocale(params.locale) || params.locale === defaultLocale) {
+    notFound();
+  }
+
+  return children;
+}
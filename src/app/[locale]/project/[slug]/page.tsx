@@ -0,0 +1 @@
+export { default, generateMetadata, generateStaticParams } from "@/app/project/[slug]/page";
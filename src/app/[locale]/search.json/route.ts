@@ -0,0 +1,10 @@
+import { defaultLocale, locales } from "@/app/resources/i18n";
+
+export { GET } from "@/app/search.json/route";
+
+export function generateStaticParams() {
+  return locales.filter((locale) => locale !== defaultLocale).map((locale) => ({ locale }));
+}
+
+export const dynamic = "force-static";
+export const dynamicParams = false;
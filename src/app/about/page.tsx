@@ -11,42 +11,39 @@ import {
   Tag,
   Text,
 } from "@/once-ui/components";
-import { baseURL } from "@/app/resources";
+import { pageMetadata } from "@/app/utils/metadata";
+import { breadcrumbSchema, PERSON_ID, personSchema, webPageSchema } from "@/app/utils/structuredData";
 import TableOfContents from "@/components/about/TableOfContents";
 import styles from "@/components/about/about.module.scss";
-import { person, about, social, newsletter } from "@/app/resources/content";
-import { Mailchimp } from "@/components/Mailchimp";
+import { Markdown } from "@/components/Markdown";
+import { JsonLd } from "@/components/JsonLd";
+import { projectsHref } from "@/components/project/ProjectFilters";
+import { routes, staticExport } from "@/app/resources";
+import { getContent, LocalePageProps, localePath, resolveLocale } from "@/app/resources/i18n";
+import { getTechnologies, linkTechnologies } from "@/app/utils/projects";
+import { getPosts } from "@/app/utils/utils";
 
-export async function generateMetadata() {
-  const title = about.title;
-  const description = about.description;
-  const ogImage = `https://${baseURL}/og?title=${encodeURIComponent(title)}`;
-
-  return {
-    title,
-    description,
-    openGraph: {
-      title,
-      description,
-      type: "website",
-      url: `https://${baseURL}/about`,
-      images: [
-        {
-          url: ogImage,
-          alt: title,
-        },
-      ],
-    },
-    twitter: {
-      card: "summary_large_image",
-      title,
-      description,
-      images: [ogImage],
-    },
-  };
+export async function generateMetadata({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { about } = getContent(locale);
+  return pageMetadata({
+    locale,
+    path: "/about",
+    title: about.title,
+    description: about.description,
+    type: "profile",
+  });
 }
 
-export default function About() {
+export default function About({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { person, about, social, book } = getContent(locale);
+  // Skills that appear in a project's `stack` link to those projects, except
+  // in a static export, where /project can't filter.
+  const technologies =
+    routes["/project"] && !staticExport
+      ? getTechnologies(getPosts(["src", "app", "project", "projects"], locale))
+      : [];
   const structure = [
     {
       title: about.intro.title,
@@ -71,27 +68,18 @@ export default function About() {
   ];
   return (
     <Column maxWidth="m">
-      <script
-        type="application/ld+json"
-        suppressHydrationWarning
-        dangerouslySetInnerHTML={{
-          __html: JSON.stringify({
-            "@context": "https://schema.org",
-            "@type": "Person",
-            name: person.name,
-            jobTitle: person.role,
-            description: about.intro.description,
-            url: `https://${baseURL}/about`,
-            image: `${baseURL}/images/${person.avatar}`,
-            sameAs: social
-              .filter((item) => item.link && !item.link.startsWith("mailto:")) // Filter out empty links and email links
-              .map((item) => item.link),
-            worksFor: {
-              "@type": "Organization",
-              name: about.work.experiences[0].company || "",
-            },
+      <JsonLd
+        nodes={[
+          webPageSchema(locale, {
+            type: "ProfilePage",
+            path: "/about",
+            title: about.title,
+            description: about.description,
+            mainEntity: { "@id": PERSON_ID },
           }),
-        }}
+          personSchema(locale),
+          breadcrumbSchema(locale, [{ name: about.label, path: "/about" }]),
+        ]}
       />
       {about.tableOfContent.display && (
         <Column
@@ -140,7 +128,7 @@ export default function About() {
             vertical="center"
             marginBottom="32"
           >
-            {about.calendar.display && (
+            {routes["/book"] && (
               <Flex
                 fitWidth
                 border="brand-alpha-medium"
@@ -160,9 +148,9 @@ export default function About() {
                   name="calendar"
                   onBackground="brand-weak"
                 />
-                <Flex paddingX="8">Schedule a call</Flex>
+                <Flex paddingX="8">{book.label}</Flex>
                 <IconButton
-                  href={about.calendar.link}
+                  href={localePath(locale, "/book")}
                   data-border="rounded"
                   variant="secondary"
                   icon="chevronRight"
@@ -231,7 +219,7 @@ export default function About() {
               gap="m"
               marginBottom="xl"
             >
-              {about.intro.description}
+              <Markdown>{about.intro.description}</Markdown>
             </Column>
           )}
           {about.work.display && (
@@ -289,13 +277,13 @@ export default function About() {
                     </Flex>
                     <Column as="ul" gap="16">
                       {experience.achievements.map(
-                        (achievement: JSX.Element, index: number) => (
+                        (achievement: string, index: number) => (
                           <Text
                             as="li"
                             variant="body-default-m"
                             key={`${experience.company}-${index}`}
                           >
-                            {achievement}
+                            <Markdown inline>{achievement}</Markdown>
                           </Text>
                         )
                       )}
@@ -330,7 +318,7 @@ export default function About() {
                       variant="heading-default-xs"
                       onBackground="neutral-weak"
                     >
-                      {institution.description}
+                      <Markdown inline>{institution.description}</Markdown>
                     </Text>
                   </Column>
                 ))}
@@ -353,7 +341,11 @@ export default function About() {
                   <Column key={`${skill}-${index}`} fillWidth gap="4">
                     <Text variant="heading-strong-l">{skill.title}</Text>
                     <Text variant="body-default-m" onBackground="neutral-weak">
-                      {skill.description}
+                      <Markdown inline>
+                        {linkTechnologies(skill.description, technologies, (technology) =>
+                          projectsHref(technology.name, locale),
+                        )}
+                      </Markdown>
                     </Text>
                     {skill.images && skill.images.length > 0 && (
                       <Flex fillWidth paddingTop="m" gap="12" wrap>
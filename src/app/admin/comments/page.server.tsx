@@ -0,0 +1,142 @@
+import type { Metadata } from "next";
+import { Button, Column, Flex, Heading, Input, Line, SmartLink, Tag, Text } from "@/once-ui/components";
+import { moderate, signIn, signOut } from "@/app/utils/commentActions";
+import { Comment, CommentStatus, commentThreadPath, isModerator } from "@/app/utils/comments";
+import { getCommentStore } from "@/app/utils/commentStore";
+
+// Only served when there's a server; page.server.tsx is left out of a static export.
+export const dynamic = "force-dynamic";
+
+export const metadata: Metadata = {
+  title: "Comments",
+  robots: { index: false, follow: false },
+};
+
+const SECTIONS: { status: CommentStatus; title: string }[] = [
+  { status: "pending", title: "Waiting for approval" },
+  { status: "spam", title: "Spam" },
+  { status: "approved", title: "Approved" },
+];
+
+// What each list offers besides delete.
+const ACTIONS: Record<CommentStatus, { action: string; label: string }[]> = {
+  pending: [
+    { action: "approve", label: "Approve" },
+    { action: "spam", label: "Spam" },
+  ],
+  spam: [{ action: "approve", label: "Approve" }],
+  approved: [{ action: "pending", label: "Unpublish" }],
+};
+
+function CommentItem({ comment }: { comment: Comment }) {
+  const path = commentThreadPath(comment.thread);
+
+  return (
+    <Column as="li" fillWidth gap="8" paddingY="12">
+      <Flex gap="8" vertical="center" wrap>
+        <Text variant="label-strong-s">{comment.name}</Text>
+        <Text variant="body-default-xs" onBackground="neutral-weak">
+          {new Date(comment.createdAt).toLocaleString("en-US")} ·{" "}
+          {path ? <SmartLink href={path}>{path}</SmartLink> : comment.thread}
+        </Text>
+        {comment.reason && (
+          <Tag size="s" variant="danger">
+            {comment.reason}
+          </Tag>
+        )}
+      </Flex>
+      <Text
+        variant="body-default-m"
+        onBackground="neutral-medium"
+        style={{ whiteSpace: "pre-wrap", overflowWrap: "anywhere" }}
+      >
+        {comment.message}
+      </Text>
+      <Flex gap="8" wrap>
+        {[...ACTIONS[comment.status], { action: "delete", label: "Delete" }].map(({ action, label }) => (
+          <form key={action} action={moderate}>
+            <input type="hidden" name="id" value={comment.id} />
+            <input type="hidden" name="action" value={action} />
+            <Button
+              type="submit"
+              size="s"
+              variant={action === "approve" ? "primary" : "secondary"}
+            >
+              {label}
+            </Button>
+          </form>
+        ))}
+      </Flex>
+    </Column>
+  );
+}
+
+/**
+ * Moderation queue for comments and guestbook entries. Signing in takes the
+ * COMMENTS_SECRET from the environment; without it set, nobody can.
+ */
+export default async function CommentsAdmin({ searchParams }: { searchParams: { denied?: string } }) {
+  if (!isModerator()) {
+    return (
+      <Column maxWidth="xs" fillWidth gap="16">
+        <Heading variant="display-strong-xs">Comments</Heading>
+        <form action={signIn}>
+          <Column fillWidth gap="8">
+            <Input
+              id="comments-password"
+              name="password"
+              type="password"
+              label="Password"
+              autoComplete="current-password"
+              required
+              error={searchParams.denied !== undefined}
+              errorMessage={searchParams.denied !== undefined ? "Wrong password." : undefined}
+            />
+            <Button type="submit" size="m">
+              Sign in
+            </Button>
+          </Column>
+        </form>
+      </Column>
+    );
+  }
+
+  const all = await getCommentStore().list({});
+  // Newest first, so what came in last is at the top.
+  all.reverse();
+
+  return (
+    <Column maxWidth="m" fillWidth gap="32">
+      <Flex fillWidth horizontal="space-between" vertical="center">
+        <Heading variant="display-strong-xs">Comments</Heading>
+        <form action={signOut}>
+          <Button type="submit" size="s" variant="tertiary">
+            Sign out
+          </Button>
+        </form>
+      </Flex>
+      {SECTIONS.map(({ status, title }) => {
+        const items = all.filter((comment) => comment.status === status);
+        return (
+          <Column key={status} fillWidth gap="8">
+            <Heading as="h2" variant="heading-strong-l">
+              {title} ({items.length})
+            </Heading>
+            <Line />
+            {items.length === 0 ? (
+              <Text variant="body-default-s" onBackground="neutral-weak">
+                Nothing here.
+              </Text>
+            ) : (
+              <Column as="ul" fillWidth style={{ listStyle: "none", padding: 0 }}>
+                {items.map((comment) => (
+                  <CommentItem key={comment.id} comment={comment} />
+                ))}
+              </Column>
+            )}
+          </Column>
+        );
+      })}
+    </Column>
+  );
+}
@@ -0,0 +1,123 @@
+import { booking, routes } from "@/app/resources";
+import { person } from "@/app/resources/content";
+import { bookingInvite, getOpenSlots } from "@/app/utils/booking";
+import { deliver } from "@/app/utils/delivery";
+import { clientIP, rateLimit } from "@/app/utils/rateLimit";
+import { readJsonObject } from "@/app/utils/requestBody";
+
+export const dynamic = "force-dynamic";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+type BookingFields = {
+  name: string;
+  email: string;
+  topic: string;
+};
+
+function validate({ name, email, topic }: BookingFields) {
+  const errors: Partial<Record<keyof BookingFields, string>> = {};
+
+  if (!name || name.length > 100) {
+    errors.name = "Please enter your name (up to 100 characters).";
+  }
+  if (!EMAIL_PATTERN.test(email) || email.length > 254) {
+    errors.email = "Please enter a valid email address.";
+  }
+  if (topic.length > 2000) {
+    errors.topic = "Please keep the topic under 2000 characters.";
+  }
+
+  return errors;
+}
+
+/**
+ * `{ timeZone, duration, slots }`: the owner's timezone, the call length in
+ * minutes and the start of every open slot as an ISO date.
+ */
+export function GET() {
+  if (!routes["/book"]) {
+    return Response.json({ error: "Not found." }, { status: 404 });
+  }
+  return Response.json({
+    timeZone: person.location,
+    duration: booking.duration,
+    slots: getOpenSlots().map((slot) => slot.start.toISOString()),
+  });
+}
+
+/**
+ * Requests the slot starting at `start` for `{ name, email, topic }` and
+ * sends the owner an .ics invite for it. Answers 409 if the slot isn't open
+ * (any more).
+ */
+export async function POST(request: Request) {
+  if (!routes["/book"]) {
+    return Response.json({ error: "Not found." }, { status: 404 });
+  }
+
+  const limit = rateLimit(
+    `book:${clientIP(request)}`,
+    booking.rateLimit.max,
+    booking.rateLimit.windowMs,
+  );
+  if (!limit.allowed) {
+    return Response.json(
+      { error: "Too many requests. Please try again later." },
+      { status: 429, headers: { "Retry-After": String(limit.retryAfter) } },
+    );
+  }
+
+  const body = await readJsonObject(request);
+  if (!body) {
+    return Response.json({ error: "Invalid request body." }, { status: 400 });
+  }
+
+  // Bots fill the hidden field; pretend it worked so they don't retry.
+  if (typeof body.website === "string" && body.website.trim()) {
+    return Response.json({ ok: true });
+  }
+
+  const fields: BookingFields = {
+    name: String(body.name ?? "").trim(),
+    email: String(body.email ?? "").trim(),
+    topic: String(body.topic ?? "").trim(),
+  };
+
+  const errors = validate(fields);
+  if (Object.keys(errors).length > 0) {
+    return Response.json({ errors }, { status: 400 });
+  }
+
+  const start = new Date(String(body.start ?? "")).getTime();
+  const slot = getOpenSlots().find((open) => open.start.getTime() === start);
+  if (!slot) {
+    return Response.json({ error: "That time is no longer available." }, { status: 409 });
+  }
+
+  const when = new Intl.DateTimeFormat("en-US", {
+    timeZone: person.location,
+    dateStyle: "full",
+    timeStyle: "short",
+  }).format(slot.start);
+
+  try {
+    await deliver({
+      subject: `Call request from ${fields.name}: ${when}`,
+      text: `${fields.name} <${fields.email}> asked for a ${booking.duration}-minute call on ${when} (${person.location}).\n\n${fields.topic || "No topic given."}\n\nOpen the attached invite to add it to your calendar and send it to them.`,
+      replyTo: fields.email,
+      attachments: [
+        {
+          filename: "invite.ics",
+          content: bookingInvite({ slot, ...fields }),
+          contentType: "text/calendar; charset=utf-8; method=REQUEST",
+        },
+      ],
+    });
+  } catch (error) {
+    console.error("Failed to deliver booking request:", error);
+    return Response.json({ error: "Request could not be sent." }, { status: 502 });
+  }
+
+  return Response.json({ ok: true });
+}
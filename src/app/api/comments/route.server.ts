@@ -0,0 +1,20 @@
+import { commentThreadPath, toPublicComment } from "@/app/utils/comments";
+import { getCommentStore } from "@/app/utils/commentStore";
+
+export const dynamic = "force-dynamic";
+
+/** `{ comments }`, the approved comments on `?thread=`, oldest first. */
+export async function GET(request: Request) {
+  const thread = new URL(request.url).searchParams.get("thread") || "";
+  if (!commentThreadPath(thread)) {
+    return Response.json({ error: "Not found." }, { status: 404 });
+  }
+
+  try {
+    const approved = await getCommentStore().list({ thread, status: "approved" });
+    return Response.json({ comments: approved.map(toPublicComment) });
+  } catch (error) {
+    console.error("Failed to read comments:", error);
+    return Response.json({ error: "Comments are unavailable." }, { status: 503 });
+  }
+}
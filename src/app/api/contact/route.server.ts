@@ -0,0 +1,76 @@
+import { contact } from "@/app/resources";
+import { deliver } from "@/app/utils/delivery";
+import { clientIP, rateLimit } from "@/app/utils/rateLimit";
+import { readJsonObject } from "@/app/utils/requestBody";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+type ContactFields = {
+  name: string;
+  email: string;
+  message: string;
+};
+
+function validate({ name, email, message }: ContactFields) {
+  const errors: Partial<Record<keyof ContactFields, string>> = {};
+
+  if (!name || name.length > 100) {
+    errors.name = "Please enter your name (up to 100 characters).";
+  }
+  if (!EMAIL_PATTERN.test(email) || email.length > 254) {
+    errors.email = "Please enter a valid email address.";
+  }
+  if (message.length < 10 || message.length > 5000) {
+    errors.message = "Messages must be between 10 and 5000 characters.";
+  }
+
+  return errors;
+}
+
+export async function POST(request: Request) {
+  const limit = rateLimit(
+    `contact:${clientIP(request)}`,
+    contact.rateLimit.max,
+    contact.rateLimit.windowMs,
+  );
+  if (!limit.allowed) {
+    return Response.json(
+      { error: "Too many messages. Please try again later." },
+      { status: 429, headers: { "Retry-After": String(limit.retryAfter) } },
+    );
+  }
+
+  const body = await readJsonObject(request);
+  if (!body) {
+    return Response.json({ error: "Invalid request body." }, { status: 400 });
+  }
+
+  // Bots fill the hidden field; pretend it worked so they don't retry.
+  if (typeof body.website === "string" && body.website.trim()) {
+    return Response.json({ ok: true });
+  }
+
+  const fields: ContactFields = {
+    name: String(body.name ?? "").trim(),
+    email: String(body.email ?? "").trim(),
+    message: String(body.message ?? "").trim(),
+  };
+
+  const errors = validate(fields);
+  if (Object.keys(errors).length > 0) {
+    return Response.json({ errors }, { status: 400 });
+  }
+
+  try {
+    await deliver({
+      subject: `New message from ${fields.name}`,
+      text: `${fields.message}\n\n— ${fields.name} <${fields.email}>`,
+      replyTo: fields.email,
+    });
+  } catch (error) {
+    console.error("Failed to deliver contact message:", error);
+    return Response.json({ error: "Message could not be sent." }, { status: 502 });
+  }
+
+  return Response.json({ ok: true });
+}
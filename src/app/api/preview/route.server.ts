@@ -0,0 +1,35 @@
+import crypto from "crypto";
+import { draftMode } from "next/headers";
+import { redirect } from "next/navigation";
+
+function matchesSecret(secret: string | null) {
+  const expected = process.env.PREVIEW_SECRET;
+  if (!expected || !secret) return false;
+  const a = Buffer.from(secret);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Turns on preview of drafts and scheduled content for this browser:
+ * `/api/preview?secret=<PREVIEW_SECRET>&path=/blog/my-draft`. `?exit` turns
+ * it off again. Both redirect to `path`, defaulting to "/".
+ */
+export function GET(request: Request) {
+  const { searchParams } = new URL(request.url);
+  const target = searchParams.get("path") || "/";
+  // Only same-site paths, so this can't be used as an open redirect.
+  const path = /^\/(?![/\\])/.test(target) ? target : "/";
+
+  if (searchParams.has("exit")) {
+    draftMode().disable();
+    redirect(path);
+  }
+
+  if (!matchesSecret(searchParams.get("secret"))) {
+    return Response.json({ error: "Invalid preview secret." }, { status: 401 });
+  }
+
+  draftMode().enable();
+  redirect(path);
+}
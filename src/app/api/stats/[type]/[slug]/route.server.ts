@@ -0,0 +1,78 @@
+import { stats } from "@/app/resources";
+import { ContentType, findContentItem, getContentItems } from "@/app/utils/content";
+import { clientIP, rateLimit } from "@/app/utils/rateLimit";
+import { readJsonObject } from "@/app/utils/requestBody";
+import { isStatsEvent, statsKey } from "@/app/utils/stats";
+import { getCounts, recordEvent } from "@/app/utils/statsStore";
+
+export const dynamic = "force-dynamic";
+
+type StatsParams = { params: { type: string; slug: string } };
+
+// Unlisted items count too; drafts are only ever seen in preview and don't.
+// A malformed escape such as `%E0%A4%A` can't name any item, so it is a 404.
+function findItem({ type, slug }: StatsParams["params"]) {
+  if (!stats.display) return undefined;
+  let decoded: string;
+  try {
+    decoded = decodeURIComponent(slug);
+  } catch {
+    return undefined;
+  }
+  return findContentItem(getContentItems(undefined, { unlisted: true }), type as ContentType, decoded);
+}
+
+/** `{ counts: { view, like, clap } }` for one post, project or article. */
+export async function GET(_request: Request, { params }: StatsParams) {
+  const item = findItem(params);
+  if (!item) {
+    return Response.json({ error: "Not found." }, { status: 404 });
+  }
+
+  const key = statsKey(item.type, item.slug);
+  try {
+    const counts = await getCounts([key]);
+    return Response.json({ counts: counts[key] });
+  } catch (error) {
+    console.error("Failed to read stats:", error);
+    return Response.json({ error: "Stats are unavailable." }, { status: 503 });
+  }
+}
+
+/**
+ * Records `{ "event": "view" | "like" | "clap" }` and responds with the new
+ * counts and whether this visitor's event was counted or a repeat.
+ */
+export async function POST(request: Request, { params }: StatsParams) {
+  const limit = rateLimit(`stats:${clientIP(request)}`, stats.rateLimit.max, stats.rateLimit.windowMs);
+  if (!limit.allowed) {
+    return Response.json(
+      { error: "Too many requests. Please try again later." },
+      { status: 429, headers: { "Retry-After": String(limit.retryAfter) } },
+    );
+  }
+
+  const item = findItem(params);
+  if (!item) {
+    return Response.json({ error: "Not found." }, { status: 404 });
+  }
+
+  const body = await readJsonObject(request);
+  if (!body) {
+    return Response.json({ error: "Invalid request body." }, { status: 400 });
+  }
+
+  if (!isStatsEvent(body.event)) {
+    return Response.json({ error: "Unknown event." }, { status: 400 });
+  }
+
+  const key = statsKey(item.type, item.slug);
+  try {
+    const counted = await recordEvent(request, key, body.event);
+    const counts = await getCounts([key]);
+    return Response.json({ counted, counts: counts[key] });
+  } catch (error) {
+    console.error("Failed to record stats:", error);
+    return Response.json({ error: "Stats are unavailable." }, { status: 503 });
+  }
+}
@@ -0,0 +1,30 @@
+import { apiError, apiJson, lastModified, parseQuery, preflight, serializeArticle } from "@/app/utils/api";
+import { getArticle } from "@/app/utils/utils";
+
+export const dynamic = "force-dynamic";
+
+interface ArticleParams {
+  params: {
+    id: string;
+  };
+}
+
+export function OPTIONS(request: Request) {
+  return preflight(request);
+}
+
+export async function GET(request: Request, { params }: ArticleParams) {
+  const query = parseQuery(request, "/articles");
+  if (query instanceof Response) return query;
+
+  const article = getArticle(params.id, query.locale, { unlisted: true });
+  if (!article) {
+    return apiError(request, 404, `No article "${params.id}".`);
+  }
+
+  return apiJson(
+    request,
+    await serializeArticle(article, query.locale, query.body),
+    lastModified([article]),
+  );
+}
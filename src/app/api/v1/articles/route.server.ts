@@ -0,0 +1,38 @@
+import {
+  apiJson,
+  hasTags,
+  lastModified,
+  paginate,
+  parseQuery,
+  preflight,
+  serializeArticle,
+} from "@/app/utils/api";
+import { filterArticles, getArticles } from "@/app/utils/utils";
+
+export const dynamic = "force-dynamic";
+
+export function OPTIONS(request: Request) {
+  return preflight(request);
+}
+
+/** Published articles, newest first; `?q=` searches them as /articles does. */
+export async function GET(request: Request) {
+  const query = parseQuery(request, "/articles");
+  if (query instanceof Response) return query;
+
+  const articles = filterArticles(getArticles(query.locale), {
+    q: query.params.get("q") || undefined,
+  }).filter((article) => hasTags(article.metadata.tags, query.tags));
+  const { data, pagination } = paginate(request, articles, query);
+
+  return apiJson(
+    request,
+    {
+      data: await Promise.all(
+        data.map((article) => serializeArticle(article, query.locale, query.body)),
+      ),
+      pagination,
+    },
+    lastModified(articles),
+  );
+}
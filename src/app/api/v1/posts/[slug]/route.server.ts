@@ -0,0 +1,28 @@
+import { apiError, apiJson, lastModified, parseQuery, preflight, serializePost } from "@/app/utils/api";
+import { getPosts } from "@/app/utils/utils";
+
+export const dynamic = "force-dynamic";
+
+interface PostParams {
+  params: {
+    slug: string;
+  };
+}
+
+export function OPTIONS(request: Request) {
+  return preflight(request);
+}
+
+export async function GET(request: Request, { params }: PostParams) {
+  const query = parseQuery(request, "/blog");
+  if (query instanceof Response) return query;
+
+  const post = getPosts(["src", "app", "blog", "posts"], query.locale, { unlisted: true }).find(
+    (item) => item.slug === params.slug,
+  );
+  if (!post) {
+    return apiError(request, 404, `No post "${params.slug}".`);
+  }
+
+  return apiJson(request, await serializePost(post, query.locale, query.body), lastModified([post]));
+}
@@ -0,0 +1,37 @@
+import {
+  apiJson,
+  hasTags,
+  lastModified,
+  newestFirst,
+  paginate,
+  parseQuery,
+  preflight,
+  serializePost,
+} from "@/app/utils/api";
+import { getPosts, toTags } from "@/app/utils/utils";
+
+export const dynamic = "force-dynamic";
+
+export function OPTIONS(request: Request) {
+  return preflight(request);
+}
+
+/** Published blog posts, newest first. */
+export async function GET(request: Request) {
+  const query = parseQuery(request, "/blog");
+  if (query instanceof Response) return query;
+
+  const posts = newestFirst(getPosts(["src", "app", "blog", "posts"], query.locale)).filter(
+    (post) => hasTags(toTags(post.metadata.tag), query.tags),
+  );
+  const { data, pagination } = paginate(request, posts, query);
+
+  return apiJson(
+    request,
+    {
+      data: await Promise.all(data.map((post) => serializePost(post, query.locale, query.body))),
+      pagination,
+    },
+    lastModified(posts),
+  );
+}
@@ -0,0 +1,19 @@
+import { apiJson, getProfile, parseQuery, preflight, profileModified } from "@/app/utils/api";
+
+export const dynamic = "force-dynamic";
+
+export function OPTIONS(request: Request) {
+  return preflight(request);
+}
+
+/** Who the portfolio is about: `person`, `social` and `about` from content.js. */
+export async function GET(request: Request) {
+  const query = parseQuery(request);
+  if (query instanceof Response) return query;
+
+  return apiJson(
+    request,
+    await getProfile(query.locale, query.body),
+    profileModified(query.locale),
+  );
+}
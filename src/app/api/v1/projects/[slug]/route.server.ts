@@ -0,0 +1,33 @@
+import { apiError, apiJson, lastModified, parseQuery, preflight, serializeProject } from "@/app/utils/api";
+import { getPosts } from "@/app/utils/utils";
+
+export const dynamic = "force-dynamic";
+
+interface ProjectParams {
+  params: {
+    slug: string;
+  };
+}
+
+export function OPTIONS(request: Request) {
+  return preflight(request);
+}
+
+export async function GET(request: Request, { params }: ProjectParams) {
+  const query = parseQuery(request, "/project");
+  if (query instanceof Response) return query;
+
+  // Unlisted projects are shared by URL, here as on the site.
+  const project = getPosts(["src", "app", "project", "projects"], query.locale, {
+    unlisted: true,
+  }).find((item) => item.slug === params.slug);
+  if (!project) {
+    return apiError(request, 404, `No project "${params.slug}".`);
+  }
+
+  return apiJson(
+    request,
+    await serializeProject(project, query.locale, query.body),
+    lastModified([project]),
+  );
+}
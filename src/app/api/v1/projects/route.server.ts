@@ -0,0 +1,42 @@
+import {
+  apiJson,
+  hasTags,
+  lastModified,
+  newestFirst,
+  paginate,
+  parseQuery,
+  preflight,
+  serializeProject,
+} from "@/app/utils/api";
+import { usesTech } from "@/app/utils/projects";
+import { getPosts, toTags } from "@/app/utils/utils";
+
+export const dynamic = "force-dynamic";
+
+export function OPTIONS(request: Request) {
+  return preflight(request);
+}
+
+/** Published projects, newest first; `?tech=Next.js` filters by stack as /project does. */
+export async function GET(request: Request) {
+  const query = parseQuery(request, "/project");
+  if (query instanceof Response) return query;
+
+  const tech = query.params.get("tech");
+  const projects = newestFirst(getPosts(["src", "app", "project", "projects"], query.locale)).filter(
+    (project) =>
+      hasTags(toTags(project.metadata.tag), query.tags) && (!tech || usesTech(project, tech)),
+  );
+  const { data, pagination } = paginate(request, projects, query);
+
+  return apiJson(
+    request,
+    {
+      data: await Promise.all(
+        data.map((project) => serializeProject(project, query.locale, query.body)),
+      ),
+      pagination,
+    },
+    lastModified(projects),
+  );
+}
@@ -1,54 +1,82 @@
-import { articles } from "@/app/resources/content";
-import { Column, Flex, Line, Text } from "@/once-ui/components";
-import Image from "next/image";
+import { getArticle, getArticles, getReadingTime } from "@/app/utils/utils";
+import { getHeadings } from "@/app/utils/markdown";
+import { formatDate } from "@/app/utils/formatDate";
+import { getCover } from "@/app/utils/covers";
+import { isPreview } from "@/app/utils/publishing";
+import { ogImages } from "@/app/utils/og";
+import { Column, Flex, Line, Row, Text } from "@/once-ui/components";
 import { notFound } from "next/navigation";
 import type { Metadata } from "next";
-import ReactMarkdown from "react-markdown";
-import remarkGfm from "remark-gfm";
-import fs from "fs/promises";
-import path from "path";
+import { ArticleMarkdown } from "@/components/articles/ArticleMarkdown";
+import ArticleTableOfContents from "@/components/articles/ArticleTableOfContents";
+import ScrollToHash from "@/components/ScrollToHash";
+import { ContentNavigation } from "@/components/ContentNavigation";
+import { JsonLd } from "@/components/JsonLd";
+import { PublishStatusTag } from "@/components/PublishStatusTag";
+import { CoverImage } from "@/components/articles/CoverImage";
+import { ContentStats } from "@/components/stats/ContentStats";
+import { Comments } from "@/components/comments/Comments";
 import styles from "./article.module.css";
+import { getContent, LocalePageProps, localeConfig, resolveLocale } from "@/app/resources/i18n";
+import { pageMetadata } from "@/app/utils/metadata";
+import { comments, stats } from "@/app/resources";
+import { breadcrumbSchema, techArticleSchema } from "@/app/utils/structuredData";
 
-interface Params {
-  id: string;
-}
+type ArticleParams = LocalePageProps<{ id: string }>;
 
-export async function generateStaticParams(): Promise<Params[]> {
-  return articles.data.map((article) => ({ id: article.id.toString() }));
+export async function generateStaticParams(): Promise<{ id: string }[]> {
+  return getArticles(undefined, { unlisted: true }).map((article) => ({ id: article.slug }));
 }
 
-export function generateMetadata({ params }: { params: Params }): Metadata {
-  const article = articles.data.find((a) => a.id.toString() === params.id);
+export function generateMetadata({ params }: ArticleParams): Metadata {
+  const locale = resolveLocale(params.locale);
+  const article = getArticle(params.id, locale, { unlisted: true, preview: isPreview() });
   if (!article) return {};
-  return {
-    title: article.title,
-    description: article.description,
-  };
+
+  const { title, summary, publishedAt, updatedAt, tags } = article.metadata;
+
+  return pageMetadata({
+    locale,
+    path: `/articles/${article.slug}`,
+    title,
+    description: summary,
+    type: "article",
+    images: ogImages({ type: "article", slug: article.slug, alt: title }),
+    publishedTime: publishedAt,
+    modifiedTime: updatedAt,
+    tags,
+    noindex: article.metadata.status !== "published",
+  });
 }
 
-export default async function ArticleDetail({ params }: { params: Params }) {
-  const article = articles.data.find((a) => a.id.toString() === params.id);
+export default async function ArticleDetail({ params }: ArticleParams) {
+  const locale = resolveLocale(params.locale);
+  const { articles, ui } = getContent(locale);
+  const article = getArticle(params.id, locale, { unlisted: true, preview: isPreview() });
   if (!article) {
     notFound();
   }
 
-  const mdDir = path.join(process.cwd(), "public/articles");
-  const filePath = path.join(mdDir, `${params.id}.md`);
-  let content = "";
-  try {
-    content = await fs.readFile(filePath, "utf-8");
-  } catch (e) {
-    content = "File cannot be used";
-  }
+  const headings = getHeadings(article.content).filter(
+    (heading) => heading.depth === 2 || heading.depth === 3,
+  );
 
   return (
     <Column gap="m" padding="l">
+      <JsonLd
+        nodes={[
+          techArticleSchema(locale, article),
+          breadcrumbSchema(locale, [
+            { name: articles.label, path: "/articles" },
+            { name: article.metadata.title, path: `/articles/${article.slug}` },
+          ]),
+        ]}
+      />
       <div className={styles.articleImageContainer}>
-        <Image
-          src={article.image}
-          alt={article.title}
-          width={1920}
-          height={1080}
+        <CoverImage
+          cover={getCover(article)}
+          alt={article.metadata.title}
+          sizes="(max-width: 1024px) 100vw, 1024px"
           className={styles.articleImage}
           priority
         />
@@ -57,17 +85,32 @@ export default async function ArticleDetail({ params }: { params: Params }) {
         variant="heading-default-xl"
         className={styles.articleTitle}
       >
-        {article.title}
+        {article.metadata.title}
       </Text>
       <Text variant="body-default-s" className="text-neutral-500">
-        {article.date}
+        {formatDate(article.metadata.publishedAt, false, localeConfig(locale).lang)} ·{" "}
+        {getReadingTime(article.content)} {ui.minRead}
       </Text>
+      <Flex gap="12" vertical="center" wrap>
+        <PublishStatusTag
+          status={article.metadata.status}
+          publishAt={article.metadata.publishAt}
+          locale={locale}
+        />
+        {stats.display && <ContentStats type="article" slug={article.slug} locale={locale} labels={ui.stats} />}
+      </Flex>
       <Line />
-      <div className={styles.articleContent}>
-        <ReactMarkdown remarkPlugins={[remarkGfm]}>
-          {content}
-        </ReactMarkdown>
-      </div>
+      <Row fillWidth gap="l">
+        <div className={styles.articleContent}>
+          <ArticleMarkdown source={article.content} />
+        </div>
+        <Column minWidth={16} maxWidth={16} hide="m">
+          <ArticleTableOfContents headings={headings} title={ui.onThisPage} />
+        </Column>
+      </Row>
+      <ContentNavigation type="article" slug={article.slug} locale={locale} />
+      {comments.display && <Comments thread={`article:${article.slug}`} locale={locale} labels={ui.comments} />}
+      <ScrollToHash />
     </Column>
   );
 }
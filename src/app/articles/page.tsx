@@ -1,79 +1,173 @@
-import { articles } from "@/app/resources/content";
-import { Card, Column, Flex, Grid, Line, Text } from "@/once-ui/components";
-import Image from "next/image";
+import {
+  getContent,
+  LocalePageProps,
+  localeConfig,
+  localePath,
+  resolveLocale,
+} from "@/app/resources/i18n";
+import { pageMetadata } from "@/app/utils/metadata";
+import { breadcrumbSchema, collectionPageSchema } from "@/app/utils/structuredData";
+import { filterArticles, firstParam, getArticles, getArticleTags } from "@/app/utils/utils";
+import { formatDate } from "@/app/utils/formatDate";
+import { getCover } from "@/app/utils/covers";
+import { isPreview } from "@/app/utils/publishing";
+import { Counts, statsKey } from "@/app/utils/stats";
+import { getCounts } from "@/app/utils/statsStore";
+import { staticExport, stats } from "@/app/resources";
+import { Card, Column, Flex, Grid, Icon, Line, Text } from "@/once-ui/components";
 import Link from "next/link";
+import {
+  ArticleFilters,
+  ArticlePagination,
+  ArticleSearchParams,
+} from "@/components/articles/ArticleFilters";
+import { JsonLd } from "@/components/JsonLd";
+import { PublishStatusTag } from "@/components/PublishStatusTag";
+import { CoverImage } from "@/components/articles/CoverImage";
 
-export const metadata = {
-  title: articles.title,
-  description: articles.description,
-};
+export async function generateMetadata({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { articles } = getContent(locale);
+  return pageMetadata({
+    locale,
+    path: "/articles",
+    title: articles.title,
+    description: articles.description,
+  });
+}
+
+interface ArticlesProps extends LocalePageProps {
+  searchParams: Record<keyof ArticleSearchParams, string | string[] | undefined>;
+}
+
+// Counts are extra information: if the store can't be read, the list still renders.
+async function readCounts(keys: string[]): Promise<Record<string, Counts>> {
+  if (!stats.display || staticExport) return {};
+  try {
+    return await getCounts(keys);
+  } catch (error) {
+    console.error("Failed to read stats:", error);
+    return {};
+  }
+}
 
-type Article = {
-  id: number;
-  title: string;
-  description: string;
-  date: string;
-  image: string;
-  link: string;
-  tags: string[];
-};
+export default async function Articles({ params, searchParams }: ArticlesProps) {
+  const locale = resolveLocale(params.locale);
+  const { articles, ui } = getContent(locale);
+  // A static export has no query string to read, so it lists every article
+  // on one page; the search palette takes over from the filters.
+  const { tag, q, sort, page: pageParam }: ArticleSearchParams = staticExport
+    ? {}
+    : {
+        tag: firstParam(searchParams.tag),
+        q: firstParam(searchParams.q),
+        sort: firstParam(searchParams.sort),
+        page: firstParam(searchParams.page),
+      };
+  const allArticles = getArticles(locale, { preview: isPreview() });
+  const counts = await readCounts(allArticles.map((article) => statsKey("article", article.slug)));
+  const views = (slug: string) => counts[statsKey("article", slug)]?.view;
+  const filteredArticles = filterArticles(allArticles, { tag, q });
+  if (sort === "popular") {
+    // Array sort is stable, so equal counts stay newest first.
+    filteredArticles.sort((a, b) => (views(b.slug) ?? 0) - (views(a.slug) ?? 0));
+  }
 
-export default function Articles() {
-  const articlesData: Article[] = articles.data || [];
+  const pageSize = staticExport ? Math.max(1, filteredArticles.length) : articles.pageSize;
+  const totalPages = Math.max(1, Math.ceil(filteredArticles.length / pageSize));
+  const page = Math.min(Math.max(1, Number.parseInt(pageParam || "1", 10) || 1), totalPages);
+  const articlesData = filteredArticles.slice((page - 1) * pageSize, page * pageSize);
 
   return (
     <Column gap="8">
+      <JsonLd
+        nodes={[
+          collectionPageSchema(locale, {
+            path: "/articles",
+            title: articles.title,
+            description: articles.description,
+            items: articlesData.map((article) => ({
+              name: article.metadata.title,
+              path: `/articles/${article.slug}`,
+            })),
+          }),
+          breadcrumbSchema(locale, [{ name: articles.label, path: "/articles" }]),
+        ]}
+      />
+      {!staticExport && (
+        <ArticleFilters
+          tags={getArticleTags(allArticles)}
+          tag={tag}
+          q={q}
+          sort={sort}
+          locale={locale}
+        />
+      )}
       {articlesData.length > 0 ? (
         <>
-          {articlesData.map((article, index) => (
-            <Link href={"/articles/" + article.id} key={index}>
+          {articlesData.map((article) => (
+            <Link href={localePath(locale, `/articles/${article.slug}`)} key={article.slug}>
               <Flex direction="row" mobileDirection="column">
                 <div className="s-flex-hide">
-                  <Image
-                    src={article.image}
-                    alt={article.title}
-                    width={360}
-                    height={240}
+                  <CoverImage
+                    cover={getCover(article)}
+                    alt={article.metadata.title}
+                    sizes="360px"
                     className="object-cover w-full h-[240px] transition-transform duration-300 group-hover:scale-105"
                   />
                 </div>
                 <div className="s-flex-show">
-                  <Image
-                    src={article.image}
-                    alt={article.title}
-                    width={360}
-                    height={240}
+                  <CoverImage
+                    cover={getCover(article)}
+                    alt={article.metadata.title}
+                    sizes="100vw"
                     className="w-full object-cover transition-transform duration-300 group-hover:scale-105"
                   />
                 </div>
                 <Column gap="s" padding="m" fillWidth>
-                  <Text
-                    variant="body-default-s"
-                    className="text-neutral-500 dark:text-neutral-400"
-                  >
-                    {article.date}
-                  </Text>
+                  <Flex gap="12" vertical="center">
+                    <Text
+                      variant="body-default-s"
+                      className="text-neutral-500 dark:text-neutral-400"
+                    >
+                      {formatDate(article.metadata.publishedAt, false, localeConfig(locale).lang)}
+                    </Text>
+                    {views(article.slug) !== undefined && (
+                      <Flex gap="4" vertical="center">
+                        <Icon name="eye" size="xs" onBackground="neutral-weak" />
+                        <Text variant="body-default-s" onBackground="neutral-weak">
+                          {views(article.slug).toLocaleString(localeConfig(locale).lang)}{" "}
+                          {ui.stats.views}
+                        </Text>
+                      </Flex>
+                    )}
+                  </Flex>
                   <Text
                     variant="heading-default-s"
                     className="text-neutral-900 dark:text-white line-clamp-2 transition-colors group-hover:text-brand-600"
                   >
-                    {article.title}
+                    {article.metadata.title}
                   </Text>
                   <Text
                     variant="body-default-s"
                     className="text-neutral-600 dark:text-neutral-300 line-clamp-3"
                   >
-                    {article.description}
+                    {article.metadata.summary}
                   </Text>
 
                   <Flex gap="2" wrap marginTop="s">
-                    {article.tags.map((tag, tagIndex) => (
+                    <PublishStatusTag
+                      status={article.metadata.status}
+                      publishAt={article.metadata.publishAt}
+                      locale={locale}
+                    />
+                    {article.metadata.tags.map((articleTag, tagIndex) => (
                       <Text
                         key={tagIndex}
                         variant="body-default-xs"
                         className="bg-neutral-100 text-neutral-800 dark:bg-neutral-800 dark:text-neutral-200 px-2 py-1 rounded"
                       >
-                        {tag}
+                        {articleTag}
                       </Text>
                     ))}
                   </Flex>
@@ -82,17 +176,33 @@ export default function Articles() {
             </Link>
           ))}
         </>
+      ) : tag || q ? (
+        <Flex fillWidth horizontal="center" vertical="center" padding="xl">
+          <Column gap="m" horizontal="center">
+            <Text variant="heading-default-l">{ui.noMatches}</Text>
+            <Text variant="body-default-m" className="text-center">
+              {ui.noMatchesDescription}
+            </Text>
+          </Column>
+        </Flex>
       ) : (
         <Flex fillWidth horizontal="center" vertical="center" padding="xl">
           <Column gap="m" horizontal="center">
-            <Text variant="heading-default-l">Coming Soon</Text>
+            <Text variant="heading-default-l">{ui.comingSoon}</Text>
             <Text variant="body-default-m" className="text-center">
-              No articles available at the moment. Check back later for tech
-              articles and tutorials.
+              {ui.comingSoonDescription}
             </Text>
           </Column>
         </Flex>
       )}
+      <ArticlePagination
+        page={page}
+        totalPages={totalPages}
+        tag={tag}
+        q={q}
+        sort={sort}
+        locale={locale}
+      />
     </Column>
   );
 }
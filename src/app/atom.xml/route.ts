@@ -0,0 +1,11 @@
+import { buildAtom, getFeedEntries } from "@/app/utils/feed";
+
+export async function GET() {
+  const entries = await getFeedEntries();
+
+  return new Response(buildAtom(entries), {
+    headers: {
+      "Content-Type": "application/atom+xml; charset=utf-8",
+    },
+  });
+}
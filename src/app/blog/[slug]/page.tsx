@@ -1,68 +1,69 @@
 import { notFound } from "next/navigation";
 import { CustomMDX } from "@/components/mdx";
 import { getPosts } from "@/app/utils/utils";
+import { isPreview } from "@/app/utils/publishing";
 import { AvatarGroup, Button, Column, Heading, Row, Text } from "@/once-ui/components";
-import { baseURL } from "@/app/resources";
-import { person } from "@/app/resources/content";
+import { ogImages } from "@/app/utils/og";
+import { pageMetadata } from "@/app/utils/metadata";
+import { comments, stats } from "@/app/resources";
+import { breadcrumbSchema, blogPostingSchema } from "@/app/utils/structuredData";
+import {
+  getContent,
+  LocalePageProps,
+  localeConfig,
+  localePath,
+  resolveLocale,
+} from "@/app/resources/i18n";
 import { formatDate } from "@/app/utils/formatDate";
 import ScrollToHash from "@/components/ScrollToHash";
+import { ContentNavigation } from "@/components/ContentNavigation";
+import { JsonLd } from "@/components/JsonLd";
+import { PublishStatusTag } from "@/components/PublishStatusTag";
+import { ContentStats } from "@/components/stats/ContentStats";
+import { Comments } from "@/components/comments/Comments";
 
-interface BlogParams {
-  params: {
-    slug: string;
-  };
-}
+type BlogParams = LocalePageProps<{ slug: string }>;
 
 export async function generateStaticParams(): Promise<{ slug: string }[]> {
-  const posts = getPosts(["src", "app", "blog", "posts"]);
+  const posts = getPosts(["src", "app", "blog", "posts"], undefined, { unlisted: true });
   return posts.map((post) => ({
     slug: post.slug,
   }));
 }
 
-export function generateMetadata({ params: { slug } }: BlogParams) {
-  let post = getPosts(["src", "app", "blog", "posts"]).find((post) => post.slug === slug);
+export function generateMetadata({ params }: BlogParams) {
+  const locale = resolveLocale(params.locale);
+  const post = getPosts(["src", "app", "blog", "posts"], locale, {
+    unlisted: true,
+    preview: isPreview(),
+  }).find((post) => post.slug === params.slug);
 
   if (!post) {
     return;
   }
 
-  let {
-    title,
-    publishedAt: publishedTime,
-    summary: description,
-    images,
-    image,
-    team,
-  } = post.metadata;
-  let ogImage = image ? `https://${baseURL}${image}` : `https://${baseURL}/og?title=${title}`;
+  const { title, summary, publishedAt, updatedAt } = post.metadata;
 
-  return {
+  return pageMetadata({
+    locale,
+    path: `/blog/${post.slug}`,
     title,
-    description,
-    openGraph: {
-      title,
-      description,
-      type: "article",
-      publishedTime,
-      url: `https://${baseURL}/blog/${post.slug}`,
-      images: [
-        {
-          url: ogImage,
-        },
-      ],
-    },
-    twitter: {
-      card: "summary_large_image",
-      title,
-      description,
-      images: [ogImage],
-    },
-  };
+    description: summary,
+    type: "article",
+    images: ogImages({ type: "blog", slug: post.slug, alt: title }),
+    publishedTime: publishedAt,
+    modifiedTime: updatedAt,
+    noindex: post.metadata.status !== "published",
+  });
 }
 
 export default function Blog({ params }: BlogParams) {
-  let post = getPosts(["src", "app", "blog", "posts"]).find((post) => post.slug === params.slug);
+  const locale = resolveLocale(params.locale);
+  const { blog, ui } = getContent(locale);
+  let post = getPosts(["src", "app", "blog", "posts"], locale, {
+    unlisted: true,
+    preview: isPreview(),
+  }).find((post) => post.slug === params.slug);
 
   if (!post) {
     notFound();
@@ -75,41 +76,43 @@ export default function Blog({ params }: BlogParams) {
 
   return (
     <Column as="section" maxWidth="xs" gap="l">
-      <script
-        type="application/ld+json"
-        suppressHydrationWarning
-        dangerouslySetInnerHTML={{
-          __html: JSON.stringify({
-            "@context": "https://schema.org",
-            "@type": "BlogPosting",
-            headline: post.metadata.title,
-            datePublished: post.metadata.publishedAt,
-            dateModified: post.metadata.publishedAt,
-            description: post.metadata.summary,
-            image: post.metadata.image
-              ? `https://${baseURL}${post.metadata.image}`
-              : `https://${baseURL}/og?title=${post.metadata.title}`,
-            url: `https://${baseURL}/blog/${post.slug}`,
-            author: {
-              "@type": "Person",
-              name: person.name,
-            },
-          }),
-        }}
+      <JsonLd
+        nodes={[
+          blogPostingSchema(locale, post),
+          breadcrumbSchema(locale, [
+            { name: blog.label, path: "/blog" },
+            { name: post.metadata.title, path: `/blog/${post.slug}` },
+          ]),
+        ]}
       />
-      <Button href="/blog" weight="default" variant="tertiary" size="s" prefixIcon="chevronLeft">
-        Posts
+      <Button
+        href={localePath(locale, "/blog")}
+        weight="default"
+        variant="tertiary"
+        size="s"
+        prefixIcon="chevronLeft"
+      >
+        {ui.posts}
       </Button>
       <Heading variant="display-strong-s">{post.metadata.title}</Heading>
-      <Row gap="12" vertical="center">
+      <Row gap="12" vertical="center" wrap>
         {avatars.length > 0 && <AvatarGroup size="s" avatars={avatars} />}
         <Text variant="body-default-s" onBackground="neutral-weak">
-          {post.metadata.publishedAt && formatDate(post.metadata.publishedAt)}
+          {post.metadata.publishedAt &&
+            formatDate(post.metadata.publishedAt, false, localeConfig(locale).lang)}
         </Text>
+        <PublishStatusTag
+          status={post.metadata.status}
+          publishAt={post.metadata.publishAt}
+          locale={locale}
+        />
+        {stats.display && <ContentStats type="blog" slug={post.slug} locale={locale} labels={ui.stats} />}
       </Row>
       <Column as="article" fillWidth>
         <CustomMDX source={post.content} />
       </Column>
+      <ContentNavigation type="blog" slug={post.slug} locale={locale} />
+      {comments.display && <Comments thread={`blog:${post.slug}`} locale={locale} labels={ui.comments} />}
       <ScrollToHash />
     </Column>
   );
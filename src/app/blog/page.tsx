@@ -1,71 +1,52 @@
+import { getPosts } from "@/app/utils/utils";
 import { Column, Flex, Heading } from "@/once-ui/components";
 import { Mailchimp } from "@/components";
 import { Posts } from "@/components/blog/Posts";
-import { baseURL } from "@/app/resources";
-import { blog, person, newsletter } from "@/app/resources/content";
+import { pageMetadata } from "@/app/utils/metadata";
+import { breadcrumbSchema, collectionPageSchema } from "@/app/utils/structuredData";
+import { getContent, LocalePageProps, resolveLocale } from "@/app/resources/i18n";
+import { JsonLd } from "@/components/JsonLd";
 
-export async function generateMetadata() {
-  const title = blog.title;
-  const description = blog.description;
-  const ogImage = `https://${baseURL}/og?title=${encodeURIComponent(title)}`;
-
-  return {
-    title,
-    description,
-    openGraph: {
-      title,
-      description,
-      type: "website",
-      url: `https://${baseURL}/blog`,
-      images: [
-        {
-          url: ogImage,
-          alt: title,
-        },
-      ],
-    },
-    twitter: {
-      card: "summary_large_image",
-      title,
-      description,
-      images: [ogImage],
-    },
-  };
+export async function generateMetadata({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { blog } = getContent(locale);
+  return pageMetadata({
+    locale,
+    path: "/blog",
+    title: blog.title,
+    description: blog.description,
+  });
 }
 
-export default function Blog() {
+export default function Blog({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { blog, newsletter, person, ui } = getContent(locale);
+  const allPosts = getPosts(["src", "app", "blog", "posts"], locale);
+
   return (
     <Column maxWidth="s">
-      <script
-        type="application/ld+json"
-        suppressHydrationWarning
-        dangerouslySetInnerHTML={{
-          __html: JSON.stringify({
-            "@context": "https://schema.org",
-            "@type": "Blog",
-            headline: blog.title,
+      <JsonLd
+        nodes={[
+          collectionPageSchema(locale, {
+            path: "/blog",
+            title: blog.title,
             description: blog.description,
-            url: `https://${baseURL}/blog`,
-            image: `${baseURL}/og?title=${encodeURIComponent(blog.title)}`,
-            author: {
-              "@type": "Person",
-              name: person.name,
-              image: {
-                "@type": "ImageObject",
-                url: `${baseURL}${person.avatar}`,
-              },
-            },
+            items: allPosts.map((post) => ({
+              name: post.metadata.title,
+              path: `/blog/${post.slug}`,
+            })),
           }),
-        }}
+          breadcrumbSchema(locale, [{ name: blog.label, path: "/blog" }]),
+        ]}
       />
       <Heading marginBottom="l" variant="display-strong-s">
         {blog.title}
       </Heading>
       <Column fillWidth flex={1}>
-        <Posts range={[1, 3]} thumbnail />
-        <Posts range={[4]} columns="2" />
+        <Posts range={[1, 3]} thumbnail locale={locale} />
+        <Posts range={[4]} columns="2" locale={locale} />
       </Column>
-      {newsletter.display && <Mailchimp newsletter={newsletter} />}
+      {newsletter.display && <Mailchimp newsletter={newsletter} form={ui.form} email={person.email} />}
     </Column>
   );
 }
@@ -0,0 +1,43 @@
+import { Column, Heading, Text } from "@/once-ui/components";
+import { staticExport } from "@/app/resources";
+import { getContent, LocalePageProps, resolveLocale } from "@/app/resources/i18n";
+import { pageMetadata } from "@/app/utils/metadata";
+import { BookingForm } from "@/components/book/BookingForm";
+import { EmailButton } from "@/components/EmailButton";
+
+export async function generateMetadata({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { book } = getContent(locale);
+  return pageMetadata({
+    locale,
+    path: "/book",
+    title: book.title,
+    description: book.description,
+  });
+}
+
+export default function Book({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { book, person, ui } = getContent(locale);
+
+  return (
+    <Column maxWidth="s" fillWidth gap="16">
+      <Heading variant="display-strong-s">{book.title}</Heading>
+      <Text variant="body-default-l" onBackground="neutral-weak" marginBottom="16">
+        {book.description}
+      </Text>
+      {staticExport ? (
+        // Slots are worked out on request; without a server, an email does the job.
+        <EmailButton email={person.email} label={ui.form.emailMe} />
+      ) : (
+        <BookingForm
+          locale={locale}
+          book={book}
+          form={ui.form}
+          email={person.email}
+          ownerLocation={person.displayLocation}
+        />
+      )}
+    </Column>
+  );
+}
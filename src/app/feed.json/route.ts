@@ -0,0 +1,11 @@
+import { buildJsonFeed, getFeedEntries } from "@/app/utils/feed";
+
+export async function GET() {
+  const entries = await getFeedEntries();
+
+  return Response.json(buildJsonFeed(entries), {
+    headers: {
+      "Content-Type": "application/feed+json; charset=utf-8",
+    },
+  });
+}
@@ -0,0 +1,11 @@
+import { buildRss, getFeedEntries } from "@/app/utils/feed";
+
+export async function GET() {
+  const entries = await getFeedEntries();
+
+  return new Response(buildRss(entries), {
+    headers: {
+      "Content-Type": "application/rss+xml; charset=utf-8",
+    },
+  });
+}
@@ -0,0 +1,43 @@
+import { Metadata } from "next";
+import GalleryView from "@/components/gallery/GalleryView";
+import { absoluteURL, pageMetadata } from "@/app/utils/metadata";
+import { getGallery } from "@/app/utils/gallery";
+import { staticParams } from "@/app/utils/publishing";
+import { getContent, LocalePageProps, resolveLocale } from "@/app/resources/i18n";
+
+type ImageParams = LocalePageProps<{ album: string; image: string }>;
+
+export async function generateStaticParams(): Promise<{ album: string; image: string }[]> {
+  return staticParams(
+    (await getGallery()).flatMap((album) =>
+      album.images.map((image) => ({ album: album.slug, image: image.slug })),
+    ),
+    { album: "_", image: "_" },
+  );
+}
+
+export async function generateMetadata({ params }: ImageParams): Promise<Metadata> {
+  const locale = resolveLocale(params.locale);
+  const album = (await getGallery(locale)).find((item) => item.slug === params.album);
+  const image = album?.images.find((item) => item.slug === params.image);
+  if (!album || !image) return {};
+
+  const { gallery } = getContent(locale);
+
+  return pageMetadata({
+    locale,
+    path: `/gallery/${album.slug}/${image.slug}`,
+    title: `${image.caption || image.alt} – ${album.title}`,
+    description: image.caption || album.description || gallery.description,
+    // The photo is its own preview; no generated card needed.
+    images: [
+      { url: absoluteURL(image.src), width: image.width, height: image.height, alt: image.alt },
+    ],
+  });
+}
+
+export default function GalleryImage({ params }: ImageParams) {
+  return (
+    <GalleryView locale={resolveLocale(params.locale)} album={params.album} image={params.image} />
+  );
+}
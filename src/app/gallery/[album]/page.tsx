@@ -0,0 +1,36 @@
+import { Metadata } from "next";
+import GalleryView from "@/components/gallery/GalleryView";
+import { pageMetadata } from "@/app/utils/metadata";
+import { ogImages } from "@/app/utils/og";
+import { getGallery } from "@/app/utils/gallery";
+import { staticParams } from "@/app/utils/publishing";
+import { getContent, LocalePageProps, resolveLocale } from "@/app/resources/i18n";
+
+type AlbumParams = LocalePageProps<{ album: string }>;
+
+export async function generateStaticParams(): Promise<{ album: string }[]> {
+  return staticParams(
+    (await getGallery()).map((album) => ({ album: album.slug })),
+    { album: "_" },
+  );
+}
+
+export async function generateMetadata({ params }: AlbumParams): Promise<Metadata> {
+  const locale = resolveLocale(params.locale);
+  const album = (await getGallery(locale)).find((item) => item.slug === params.album);
+  if (!album) return {};
+
+  const { gallery } = getContent(locale);
+
+  return pageMetadata({
+    locale,
+    path: `/gallery/${album.slug}`,
+    title: `${album.title} – ${gallery.title}`,
+    description: album.description || gallery.description,
+    images: ogImages({ locale, path: `/gallery/${album.slug}`, alt: album.title }),
+  });
+}
+
+export default function GalleryAlbum({ params }: AlbumParams) {
+  return <GalleryView locale={resolveLocale(params.locale)} album={params.album} />;
+}
@@ -1,67 +1,18 @@
-import { Flex } from "@/once-ui/components";
-import MasonryGrid from "@/components/gallery/MasonryGrid";
-import { baseURL } from "@/app/resources";
-import { gallery, person } from "@/app/resources/content";
+import GalleryView from "@/components/gallery/GalleryView";
+import { pageMetadata } from "@/app/utils/metadata";
+import { getContent, LocalePageProps, resolveLocale } from "@/app/resources/i18n";
 
-export async function generateMetadata() {
-  const title = gallery.title;
-  const description = gallery.description;
-  const ogImage = `https://${baseURL}/og?title=${encodeURIComponent(title)}`;
-
-  return {
-    title,
-    description,
-    openGraph: {
-      title,
-      description,
-      type: "website",
-      url: `https://${baseURL}/gallery`,
-      images: [
-        {
-          url: ogImage,
-          alt: title,
-        },
-      ],
-    },
-    twitter: {
-      card: "summary_large_image",
-      title,
-      description,
-      images: [ogImage],
-    },
-  };
+export async function generateMetadata({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { gallery } = getContent(locale);
+  return pageMetadata({
+    locale,
+    path: "/gallery",
+    title: gallery.title,
+    description: gallery.description,
+  });
 }
 
-export default function Gallery() {
-  return (
-    <Flex fillWidth>
-      <script
-        type="application/ld+json"
-        suppressHydrationWarning
-        dangerouslySetInnerHTML={{
-          __html: JSON.stringify({
-            "@context": "https://schema.org",
-            "@type": "ImageGallery",
-            name: gallery.title,
-            description: gallery.description,
-            url: `https://${baseURL}/gallery`,
-            image: (gallery.images as { src: string; alt: string }[]).map((image) => ({
-              "@type": "ImageObject",
-              url: `${baseURL}${image.src}`,
-              description: image.alt,
-            })),
-            author: {
-              "@type": "Person",
-              name: person.name,
-              image: {
-                "@type": "ImageObject",
-                url: `${baseURL}${person.avatar}`,
-              },
-            },
-          }),
-        }}
-      />
-      <MasonryGrid />
-    </Flex>
-  );
+export default function Gallery({ params }: LocalePageProps) {
+  return <GalleryView locale={resolveLocale(params.locale)} />;
 }
@@ -0,0 +1,40 @@
+import { Button, Column, Heading, Text } from "@/once-ui/components";
+import { comments, staticExport } from "@/app/resources";
+import { getContent, LocalePageProps, resolveLocale } from "@/app/resources/i18n";
+import { pageMetadata } from "@/app/utils/metadata";
+import { Comments } from "@/components/comments/Comments";
+
+export async function generateMetadata({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { guestbook } = getContent(locale);
+  return pageMetadata({
+    locale,
+    path: "/guestbook",
+    title: guestbook.title,
+    description: guestbook.description,
+  });
+}
+
+export default function Guestbook({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { guestbook, person, ui } = getContent(locale);
+
+  return (
+    <Column maxWidth="s" fillWidth gap="16">
+      <Heading variant="display-strong-s">{guestbook.title}</Heading>
+      <Text variant="body-default-l" onBackground="neutral-weak">
+        {guestbook.description}
+      </Text>
+      {staticExport || !comments.display ? (
+        // Nowhere to keep entries without a server; an email does the job.
+        <Column horizontal="start" marginTop="16">
+          <Button href={`mailto:${person.email}`} size="m" prefixIcon="email">
+            {ui.form.emailMe}
+          </Button>
+        </Column>
+      ) : (
+        <Comments thread="guestbook" locale={locale} labels={ui.comments} />
+      )}
+    </Column>
+  );
+}
@@ -6,25 +6,40 @@ import { Analytics } from "@vercel/analytics/react";
 import classNames from "classnames";
 
 import { Footer, Header } from "@/components";
-import { baseURL, effects, style } from "@/app/resources";
+import { baseURL, display, effects, style } from "@/app/resources";
 
 import { Inter } from "next/font/google";
 import { Source_Code_Pro } from "next/font/google";
 
 import { person, home } from "@/app/resources/content";
-import { Background, Column, Flex, ToastProvider } from "@/once-ui/components";
+import { Background, Column, Flex, StyleOverlay, ToastProvider } from "@/once-ui/components";
+import { fallbackTheme, themeScript } from "@/components/theme/theme";
+import { LocaleHtml } from "@/components/i18n/LocaleHtml";
+import {
+  contentByLocale,
+  defaultLocale,
+  feedTypes,
+  localeAlternates,
+  localeConfig,
+} from "@/app/resources/i18n";
+import { validateContent } from "@/app/utils/validateContent";
+import { checkLinksOnBuild } from "@/app/utils/links";
 
 export async function generateMetadata() {
   return {
-    metadataBase: new URL(`https://${baseURL}`),
+    metadataBase: new URL(baseURL),
     title: home.title,
     description: home.description,
+    alternates: {
+      languages: localeAlternates("/"),
+      types: feedTypes,
+    },
     openGraph: {
       title: `${person.firstName}'s Portfolio`,
       description: "Portfolio website showcasing my work.",
       url: baseURL,
       siteName: `${person.firstName}'s Portfolio`,
-      locale: "en_US",
+      locale: localeConfig(defaultLocale).ogLocale,
       type: "website",
       images: [
         {
@@ -85,22 +100,27 @@ interface RootLayoutProps {
 }
 
 export default async function RootLayout({ children }: RootLayoutProps) {
+  // Fails `next build` with a readable list of broken content fields.
+  validateContent();
+  await checkLinksOnBuild();
+
   return (
     <>
       <Analytics />
-      <Flex
-        as="html"
-        lang="en"
+      <LocaleHtml
         background="page"
         data-neutral={style.neutral}
         data-brand={style.brand}
         data-accent={style.accent}
         data-solid={style.solid}
         data-solid-style={style.solidStyle}
-        data-theme={style.theme}
+        data-theme={fallbackTheme}
+        // The inline theme script rewrites data-theme before hydration.
+        suppressHydrationWarning
         data-border={style.border}
         data-surface={style.surface}
         data-transition={style.transition}
+        data-scaling={style.scaling}
         className={classNames(
           primary.variable,
           secondary ? secondary.variable : "",
@@ -108,6 +128,9 @@ export default async function RootLayout({ children }: RootLayoutProps) {
           code.variable
         )}
       >
+        <head>
+          <script dangerouslySetInnerHTML={{ __html: themeScript }} />
+        </head>
         <ToastProvider>
           <Column
             style={{ minHeight: "100vh" }}
@@ -117,6 +140,7 @@ export default async function RootLayout({ children }: RootLayoutProps) {
             padding="0"
           >
             <Background
+              className="print-hide"
               mask={{
                 cursor: effects.mask.cursor,
                 x: effects.mask.x,
@@ -163,8 +187,24 @@ export default async function RootLayout({ children }: RootLayoutProps) {
                 opacity: effects.lines.opacity as any,
               }}
             />
-            <Flex fillWidth minHeight="16"></Flex>
-            <Header />
+            <Flex className="print-hide" fillWidth minHeight="16"></Flex>
+            <Header
+              content={contentByLocale(({ about, project, blog, gallery, articles, guestbook, ui }) => ({
+                labels: {
+                  about: about.label,
+                  project: project.label,
+                  blog: blog.label,
+                  gallery: gallery.label,
+                  articles: articles.label,
+                  guestbook: guestbook.label,
+                },
+                search: {
+                  text: ui.searchSite,
+                  typeLabels: { ...ui.contentTypes, about: about.label },
+                },
+                theme: ui.theme,
+              }))}
+            />
             <Flex
               position="relative"
               zIndex={0}
@@ -178,10 +218,15 @@ export default async function RootLayout({ children }: RootLayoutProps) {
                 {children}
               </Flex>
             </Flex>
-            <Footer />
+            <Footer content={contentByLocale(({ person, social }) => ({ name: person.name, social }))} />
+            {display.stylePanel && process.env.NODE_ENV === "development" && (
+              <Flex position="fixed" top="8" right="8" zIndex={10}>
+                <StyleOverlay />
+              </Flex>
+            )}
           </Column>
         </ToastProvider>
-      </Flex>
+      </LocaleHtml>
     </>
   );
 }
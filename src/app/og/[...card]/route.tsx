@@ -0,0 +1,28 @@
+import { getOgCard, getOgTargets, ogImagePath, ogSizes, OgSize, parseOgPath } from "@/app/utils/og";
+import { renderOgCard } from "@/app/utils/ogCard";
+
+interface OgParams {
+  params: {
+    card: string[];
+  };
+}
+
+// Every card is drawn at build time, so a static export ships them as files.
+export async function generateStaticParams(): Promise<{ card: string[] }[]> {
+  return (await getOgTargets()).flatMap((target) =>
+    (Object.keys(ogSizes) as OgSize[]).map((size) => ({
+      card: ogImagePath(target, size).split("/").slice(2).map(decodeURIComponent),
+    })),
+  );
+}
+
+export async function GET(_request: Request, { params }: OgParams) {
+  const parsed = parseOgPath(params.card);
+  const card = parsed && (await getOgCard(parsed.target));
+
+  if (!card) {
+    return new Response("Not Found", { status: 404 });
+  }
+
+  return renderOgCard(card, ogSizes[parsed.size]);
+}
@@ -12,64 +12,32 @@ import {
 } from "@/once-ui/components";
 // import { Projects } from "@/components/project/Projects";
 
-import { baseURL, routes } from "@/app/resources";
-import { home, about, person, newsletter } from "@/app/resources/content";
+import { routes } from "@/app/resources";
+import { pageMetadata } from "@/app/utils/metadata";
+import { personSchema, webPageSchema, websiteSchema } from "@/app/utils/structuredData";
+import { getContent, LocalePageProps, localePath, resolveLocale } from "@/app/resources/i18n";
 import { Mailchimp } from "@/components";
+import { JsonLd } from "@/components/JsonLd";
 // import { Posts } from "@/components/blog/Posts";
 
-export async function generateMetadata() {
-  const title = home.title;
-  const description = home.description;
-  const ogImage = `https://${baseURL}/og?title=${encodeURIComponent(title)}`;
-
-  return {
-    title,
-    description,
-    openGraph: {
-      title,
-      description,
-      type: "website",
-      url: `https://${baseURL}`,
-      images: [
-        {
-          url: ogImage,
-          alt: title,
-        },
-      ],
-    },
-    twitter: {
-      card: "summary_large_image",
-      title,
-      description,
-      images: [ogImage],
-    },
-  };
+export async function generateMetadata({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { home } = getContent(locale);
+  return pageMetadata({ locale, path: "/", title: home.title, description: home.description });
 }
 
-export default function Home() {
+export default function Home({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { home, about, person, newsletter, ui } = getContent(locale);
+
   return (
     <Column maxWidth="m" gap="xl" horizontal="center">
-      <script
-        type="application/ld+json"
-        suppressHydrationWarning
-        dangerouslySetInnerHTML={{
-          __html: JSON.stringify({
-            "@context": "https://schema.org",
-            "@type": "WebPage",
-            name: home.title,
-            description: home.description,
-            url: `https://${baseURL}`,
-            image: `${baseURL}/og?title=${encodeURIComponent(home.title)}`,
-            publisher: {
-              "@type": "Person",
-              name: person.name,
-              image: {
-                "@type": "ImageObject",
-                url: `${baseURL}${person.avatar}`,
-              },
-            },
-          }),
-        }}
+      <JsonLd
+        nodes={[
+          websiteSchema(locale),
+          webPageSchema(locale, { path: "/", title: home.title, description: home.description }),
+          personSchema(locale),
+        ]}
       />
       <Column fillWidth paddingY="l" gap="m">
         <RevealFx translateY="4" fillWidth horizontal="start" paddingBottom="m">
@@ -92,7 +60,7 @@ export default function Home() {
           <Button
             id="about"
             data-border="rounded"
-            href="/about"
+            href={localePath(locale, "/about")}
             variant="secondary"
             size="m"
             arrowIcon
@@ -111,7 +79,7 @@ export default function Home() {
         </RevealFx>
       </Column>
       {/* <RevealFx translateY="16" delay={0.6}>
-      {newsletter.display && <Mailchimp newsletter={newsletter} />}
+      {newsletter.display && <Mailchimp newsletter={newsletter} form={ui.form} email={person.email} />}
       </RevealFx> */}
       {/* {routes["/blog"] && (
         <Flex fillWidth gap="24" mobileDirection="column">
@@ -128,7 +96,7 @@ export default function Home() {
       {/* <Projects range={[2]} /> */}
       {newsletter.display && (
         <RevealFx translateY="8" delay={0.8} fillWidth horizontal="start">
-          <Mailchimp newsletter={newsletter} />
+          <Mailchimp newsletter={newsletter} form={ui.form} email={person.email} />
         </RevealFx>
       )}
     </Column>
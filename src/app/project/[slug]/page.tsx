@@ -1,6 +1,7 @@
 import { notFound } from "next/navigation";
 import { CustomMDX } from "@/components/mdx";
 import { getPosts } from "@/app/utils/utils";
+import { isPreview } from "@/app/utils/publishing";
 import {
   AvatarGroup,
   Button,
@@ -10,75 +11,66 @@ import {
   SmartImage,
   Text,
 } from "@/once-ui/components";
-import { baseURL } from "@/app/resources";
-import { person } from "@/app/resources/content";
+import { ogImages } from "@/app/utils/og";
+import { pageMetadata } from "@/app/utils/metadata";
+import { stats } from "@/app/resources";
+import { breadcrumbSchema, projectSchema } from "@/app/utils/structuredData";
+import {
+  getContent,
+  LocalePageProps,
+  localeConfig,
+  localePath,
+  resolveLocale,
+} from "@/app/resources/i18n";
 import { formatDate } from "@/app/utils/formatDate";
 import ScrollToHash from "@/components/ScrollToHash";
+import { ContentNavigation } from "@/components/ContentNavigation";
+import { JsonLd } from "@/components/JsonLd";
+import { PublishStatusTag } from "@/components/PublishStatusTag";
+import { ContentStats } from "@/components/stats/ContentStats";
 
-interface ProjectParams {
-  params: {
-    slug: string;
-  };
-}
+type ProjectParams = LocalePageProps<{ slug: string }>;
 
 export async function generateStaticParams(): Promise<{ slug: string }[]> {
-  const posts = getPosts(["src", "app", "project", "projects"]);
+  const posts = getPosts(["src", "app", "project", "projects"], undefined, { unlisted: true });
   return posts.map((post) => ({
     slug: post.slug,
   }));
 }
 
-export function generateMetadata({ params: { slug } }: ProjectParams) {
-  let post = getPosts(["src", "app", "project", "projects"]).find(
-    (post) => post.slug === slug
-  );
+export function generateMetadata({ params }: ProjectParams) {
+  const locale = resolveLocale(params.locale);
+  const post = getPosts(["src", "app", "project", "projects"], locale, {
+    unlisted: true,
+    preview: isPreview(),
+  }).find((post) => post.slug === params.slug);
 
   if (!post) {
     return;
   }
 
-  let {
-    title,
-    publishedAt: publishedTime,
-    summary: description,
-    images,
-    image,
-    team,
-  } = post.metadata;
-  let ogImage = image
-    ? `https://${baseURL}${image}`
-    : `https://${baseURL}/og?title=${title}`;
+  const { title, summary, publishedAt, updatedAt } = post.metadata;
 
-  return {
+  return pageMetadata({
+    locale,
+    path: `/project/${post.slug}`,
     title,
-    description,
-    images,
-    team,
-    openGraph: {
-      title,
-      description,
-      type: "article",
-      publishedTime,
-      url: `https://${baseURL}/project/${post.slug}`,
-      images: [
-        {
-          url: ogImage,
-        },
-      ],
-    },
-    twitter: {
-      card: "summary_large_image",
-      title,
-      description,
-      images: [ogImage],
-    },
-  };
+    description: summary,
+    type: "article",
+    images: ogImages({ type: "project", slug: post.slug, alt: title }),
+    publishedTime: publishedAt,
+    modifiedTime: updatedAt,
+    noindex: post.metadata.status !== "published",
+  });
 }
 
 export default function Project({ params }: ProjectParams) {
-  let post = getPosts(["src", "app", "project", "projects"]).find(
-    (post) => post.slug === params.slug
-  );
+  const locale = resolveLocale(params.locale);
+  const { project, ui } = getContent(locale);
+  let post = getPosts(["src", "app", "project", "projects"], locale, {
+    unlisted: true,
+    preview: isPreview(),
+  }).find((post) => post.slug === params.slug);
 
   if (!post) {
     notFound();
@@ -91,37 +83,24 @@ export default function Project({ params }: ProjectParams) {
 
   return (
     <Column as="section" maxWidth="m" horizontal="center" gap="l">
-      <script
-        type="application/ld+json"
-        suppressHydrationWarning
-        dangerouslySetInnerHTML={{
-          __html: JSON.stringify({
-            "@context": "https://schema.org",
-            "@type": "BlogPosting",
-            headline: post.metadata.title,
-            datePublished: post.metadata.publishedAt,
-            dateModified: post.metadata.publishedAt,
-            description: post.metadata.summary,
-            image: post.metadata.image
-              ? `https://${baseURL}${post.metadata.image}`
-              : `https://${baseURL}/og?title=${post.metadata.title}`,
-            url: `https://${baseURL}/project/${post.slug}`,
-            author: {
-              "@type": "Person",
-              name: person.name,
-            },
-          }),
-        }}
+      <JsonLd
+        nodes={[
+          projectSchema(locale, post),
+          breadcrumbSchema(locale, [
+            { name: project.label, path: "/project" },
+            { name: post.metadata.title, path: `/project/${post.slug}` },
+          ]),
+        ]}
       />
       <Column maxWidth="xs" gap="16">
         <Button
-          href="/project"
+          href={localePath(locale, "/project")}
           variant="tertiary"
           weight="default"
           size="s"
           prefixIcon="chevronLeft"
         >
-          Projects
+          {ui.projects}
         </Button>
         <Heading variant="display-strong-s">{post.metadata.title}</Heading>
       </Column>
@@ -135,16 +114,24 @@ export default function Project({ params }: ProjectParams) {
         />
       )}
       <Column style={{ margin: "auto" }} as="article" maxWidth="xs">
-        <Flex gap="12" marginBottom="24" vertical="center">
+        <Flex gap="12" marginBottom="24" vertical="center" wrap>
           {post.metadata.team && (
             <AvatarGroup reverse avatars={avatars} size="m" />
           )}
           <Text variant="body-default-s" onBackground="neutral-weak">
-            {post.metadata.publishedAt && formatDate(post.metadata.publishedAt)}
+            {post.metadata.publishedAt &&
+              formatDate(post.metadata.publishedAt, false, localeConfig(locale).lang)}
           </Text>
+          <PublishStatusTag
+            status={post.metadata.status}
+            publishAt={post.metadata.publishAt}
+            locale={locale}
+          />
+          {stats.display && <ContentStats type="project" slug={post.slug} locale={locale} labels={ui.stats} />}
         </Flex>
         <CustomMDX source={post.content} />
       </Column>
+      <ContentNavigation type="project" slug={post.slug} locale={locale} />
       <ScrollToHash />
     </Column>
   );
@@ -1,69 +1,62 @@
-import { getPosts } from "@/app/utils/utils";
-import { Column } from "@/once-ui/components";
+import { firstParam, getPosts } from "@/app/utils/utils";
+import { getTechnologies, usesTech } from "@/app/utils/projects";
+import { Column, Text } from "@/once-ui/components";
 import { Projects } from "@/components/project/Projects";
-import { baseURL } from "@/app/resources";
-import { person, project } from "@/app/resources/content";
+import { ProjectFilters } from "@/components/project/ProjectFilters";
+import { pageMetadata } from "@/app/utils/metadata";
+import { breadcrumbSchema, collectionPageSchema } from "@/app/utils/structuredData";
+import { staticExport } from "@/app/resources";
+import { getContent, LocalePageProps, resolveLocale } from "@/app/resources/i18n";
+import { JsonLd } from "@/components/JsonLd";
 
-export async function generateMetadata() {
-  const title = project.title;
-  const description = project.description;
-  const ogImage = `https://${baseURL}/og?title=${encodeURIComponent(title)}`;
+export async function generateMetadata({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { project } = getContent(locale);
+  return pageMetadata({
+    locale,
+    path: "/project",
+    title: project.title,
+    description: project.description,
+  });
+}
 
-  return {
-    title,
-    description,
-    openGraph: {
-      title,
-      description,
-      type: "website",
-      url: `https://${baseURL}/project/`,
-      images: [
-        {
-          url: ogImage,
-          alt: title,
-        },
-      ],
-    },
-    twitter: {
-      card: "summary_large_image",
-      title,
-      description,
-      images: [ogImage],
-    },
-  };
+interface ProjectPageProps extends LocalePageProps {
+  searchParams: { tech?: string | string[] };
 }
 
-export default function Project() {
-  let allProjects = getPosts(["src", "app", "project", "projects"]);
+export default function Project({ params, searchParams }: ProjectPageProps) {
+  const locale = resolveLocale(params.locale);
+  const { project, ui } = getContent(locale);
+  // A static export has no query string, so it shows every project unfiltered.
+  const tech = staticExport ? undefined : firstParam(searchParams.tech);
+  const allPosts = getPosts(["src", "app", "project", "projects"], locale);
+  const posts = tech ? allPosts.filter((post) => usesTech(post, tech)) : allPosts;
 
   return (
     <Column maxWidth="m">
-      <script
-        type="application/ld+json"
-        suppressHydrationWarning
-        dangerouslySetInnerHTML={{
-          __html: JSON.stringify({
-            "@context": "https://schema.org",
-            "@type": "CollectionPage",
-            headline: project.title,
+      <JsonLd
+        nodes={[
+          collectionPageSchema(locale, {
+            path: "/project",
+            title: project.title,
             description: project.description,
-            url: `https://${baseURL}/projects`,
-            image: `${baseURL}/og?title=Design%20Projects`,
-            author: {
-              "@type": "Person",
-              name: person.name,
-            },
-            hasPart: allProjects.map((project) => ({
-              "@type": "CreativeWork",
-              headline: project.metadata.title,
-              description: project.metadata.summary,
-              url: `https://${baseURL}/projects/${project.slug}`,
-              image: `${baseURL}/${project.metadata.image}`,
+            items: posts.map((post) => ({
+              name: post.metadata.title,
+              path: `/project/${post.slug}`,
             })),
           }),
-        }}
+          breadcrumbSchema(locale, [{ name: project.label, path: "/project" }]),
+        ]}
       />
-      <Projects />
+      {!staticExport && (
+        <ProjectFilters technologies={getTechnologies(allPosts)} tech={tech} locale={locale} />
+      )}
+      {tech && posts.length === 0 && (
+        <Text variant="body-default-m" onBackground="neutral-weak" paddingX="l">
+          {ui.projectFacts.noMatches}
+        </Text>
+      )}
+      <Projects tech={tech} locale={locale} />
     </Column>
   );
 }
@@ -1,5 +1,10 @@
 const baseURL = "https://ggy-portfolio-nextjs.vercel.app";
 
+// Set by `npm run export`, which builds the site as plain files (see README).
+// Features that need a server, such as the contact form, view counts and
+// draft previews, then turn themselves off.
+const staticExport = process.env.STATIC_EXPORT === "true";
+
 const routes = {
   "/": true,
   "/about": true,
@@ -7,10 +12,13 @@ const routes = {
   // "/blog": true,
   // "/gallery": true,
   "/articles": true,
+  "/resume": true,
+  // "/guestbook": true, // needs a server and COMMENTS_SECRET to moderate entries
+  // "/book": true, // needs a server and a contact transport other than "file"
 };
 
 const style = {
-  theme: "dark", // dark | light
+  theme: "dark", // dark | light | system, the default until a visitor picks one
   neutral: "gray", // sand | gray | slate
   brand: "emerald", // blue | indigo | violet | magenta | pink | red | orange | yellow | moss | green | emerald | aqua | cyan
   accent: "orange", // blue | indigo | violet | magenta | pink | red | orange | yellow | moss | green | emerald | aqua | cyan
@@ -19,6 +27,7 @@ const style = {
   border: "playful", // rounded | playful | conservative
   surface: "translucent", // filled | translucent
   transition: "all", // all | micro | macro
+  scaling: "100", // 90 | 95 | 100 | 105 | 110
 };
 
 const effects = {
@@ -57,9 +66,120 @@ const effects = {
   },
 };
 
+const contact = {
+  transport: process.env.CONTACT_TRANSPORT || "file", // file | smtp | webhook, see .env.example
+  rateLimit: {
+    max: 5, // messages per visitor
+    windowMs: 10 * 60 * 1000,
+  },
+};
+
+// Call requests at /book. Open slots are the weekly `hours` minus the `busy`
+// blocks and the events in `calendarFile`, an .ics export of your calendar
+// (RRULE repeats aren't expanded). Requests are sent as .ics invites through
+// the contact transport and don't block the slot until you add them there.
+const booking = {
+  duration: 30, // minutes per call
+  days: 14, // how far ahead slots are offered
+  noticeHours: 24, // earliest slot, counted from now
+  // In person.location's timezone; 0 is Sunday.
+  hours: {
+    1: ["09:00-12:00", "13:00-17:00"],
+    2: ["09:00-12:00", "13:00-17:00"],
+    3: ["09:00-12:00", "13:00-17:00"],
+    4: ["09:00-12:00", "13:00-17:00"],
+    5: ["09:00-12:00"],
+  },
+  // ISO dates; without an offset, in person.location's timezone.
+  busy: [
+    // { start: "2025-01-06T09:00", end: "2025-01-06T12:00" },
+  ],
+  calendarFile: process.env.BOOKING_CALENDAR_FILE || ".data/availability.ics",
+  rateLimit: {
+    max: 3, // requests per visitor
+    windowMs: 60 * 60 * 1000,
+  },
+};
+
+// Reader comments under articles and posts, and on /guestbook. New comments
+// wait at /admin/comments (password: COMMENTS_SECRET) until approved.
+const comments = {
+  display: true,
+  storage: process.env.COMMENTS_STORAGE || "file", // file | sqlite, see .env.example
+  maxLength: 2000, // characters per comment
+  // Comments with more links than this, or with any blocked word, are filed
+  // as spam; moderators can still approve them.
+  maxLinks: 2,
+  blockedWords: ["casino", "viagra", "crypto giveaway"],
+  minSeconds: 3, // forms sent sooner than this after loading are taken for bots
+  rateLimit: {
+    max: 5, // comments per visitor
+    windowMs: 10 * 60 * 1000,
+  },
+};
+
+// View counts and reactions on posts, projects and articles; see utils/stats.ts.
+const stats = {
+  display: true,
+  storage: process.env.STATS_STORAGE || "file", // file | sqlite | kv, see .env.example
+  rateLimit: {
+    max: 60, // recorded views and reactions per visitor
+    windowMs: 60 * 1000,
+  },
+  reactionDays: 365, // how long a like or clap is remembered before the visitor can give it again
+};
+
+const feed = {
+  fullContent: false, // include the rendered article body in every entry
+  limit: 50,
+};
+
+// Site search (Cmd/Ctrl+K). The index is built per locale into /search.json.
+const search = {
+  display: true,
+  bodyLength: 2000, // characters of each page's text kept in the index
+  limit: 8, // results shown at once
+};
+
+// Read-only JSON API under /api/v1 for other tools: projects, posts,
+// articles and the profile. Needs a server, so a static export leaves it out.
+const api = {
+  enabled: true,
+  pageSize: 20,
+  maxPageSize: 100,
+  // Origins allowed to call the API from a browser, e.g. "https://team.example.com"; "*" for any.
+  cors: ["*"],
+  maxAge: 300, // seconds clients and CDNs may cache a response
+};
+
+// Every link, #anchor and local image in posts, projects, articles and
+// content.js is checked during `next build`, or with `npm run check-links`.
+const linkCheck = {
+  failBuild: true, // broken internal links, anchors and images stop the build
+  report: ".data/link-report.md",
+  // External URLs are only requested by `npm run check-links -- --external`;
+  // the results are cached here and read by the build, which stays offline.
+  cacheFile: ".data/link-cache.json",
+  maxAge: 7 * 24 * 60 * 60 * 1000, // re-request cached URLs older than this
+  // Hosts that are never requested, e.g. ones that turn away bots.
+  allow: ["linkedin.com", "instagram.com"],
+};
+
+// The default locale is served without a prefix (/about); the others live
+// under /<locale> (/zh/about) and fall back to English content per field.
+const i18n = {
+  defaultLocale: "en",
+  locales: {
+    en: { label: "English", short: "EN", lang: "en", ogLocale: "en_US" },
+    zh: { label: "中文", short: "中", lang: "zh-CN", ogLocale: "zh_CN" },
+  },
+};
+
 const display = {
   location: true,
   time: true,
+  themeSwitcher: true, // light / dark / system toggle in the header, remembered per visitor
+  stylePanel: false, // development only: floating once-ui StylePanel with "Copy config"
 };
 
 const mailchimp = {
@@ -101,4 +221,21 @@ const mailchimp = {
   },
 };
 
-export { routes, effects, style, display, mailchimp, baseURL };
+export {
+  routes,
+  effects,
+  style,
+  display,
+  mailchimp,
+  baseURL,
+  staticExport,
+  feed,
+  contact,
+  comments,
+  booking,
+  search,
+  stats,
+  api,
+  linkCheck,
+  i18n,
+};
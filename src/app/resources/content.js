@@ -11,6 +11,7 @@ const person = {
   location: "America/Los_Angeles",
   displayLocation: "Fremont, CA",
   languages: ["English", "Mandarin"],
+  email: "yangguanggeng960123@gmail.com",
 };
 
 const newsletter = {
@@ -23,6 +24,12 @@ const newsletter = {
       contact me.
     </>
   ),
+  resume: {
+    display: true,
+    label: "Download Resume",
+    // Generated from `about` at build time.
+    link: "/resume.pdf",
+  },
 };
 
 const social = [
@@ -39,7 +46,7 @@ const social = [
   {
     name: "Email",
     icon: "email",
-    link: "mailto:yangguanggeng960123@gmail.com",
+    link: `mailto:${person.email}`,
   },
   {
     name: "Instagram",
@@ -65,6 +72,9 @@ const home = {
   ),
 };
 
+// The résumé: rendered on /about and /resume, and exported as /resume.pdf and
+// /resume.json. Descriptions and achievements are Markdown (inline formatting
+// and links); `degree`, `area` and `score` fill the JSON Resume education entry.
 const about = {
   label: "About",
   title: "About me",
@@ -76,28 +86,10 @@ const about = {
   avatar: {
     display: true,
   },
-  calendar: {
-    display: false,
-    link: "",
-  },
   intro: {
     display: true,
     title: "Introduction",
-    description: (
-      <>
-        Guanggeng is a Fremont-based Senior Software Engineer with a passion for
-        building scalable web applications and leading technical migrations. His
-        expertise includes end-to-end rearchitecture of medical e-commerce
-        platforms, migrating from legacy Vue 2 stacks to Next.js/React.js, and
-        achieving significant performance improvements. With a strong background
-        in both frontend and mobile development, he has successfully improved
-        GTmetrix Performance Grade from D to A, reduced LCP by 3.1s to 1.2s, and
-        boosted mobile conversion rates by 22%. His approach combines technical
-        excellence with leadership skills, having led 3-person teams in agile
-        environments while implementing robust testing strategies and
-        establishing SEO-optimized architectures.
-      </>
-    ),
+    description: "Guanggeng is a Fremont-based Senior Software Engineer with a passion for building scalable web applications and leading technical migrations. His expertise includes end-to-end rearchitecture of medical e-commerce platforms, migrating from legacy Vue 2 stacks to Next.js/React.js, and achieving significant performance improvements. With a strong background in both frontend and mobile development, he has successfully improved GTmetrix Performance Grade from D to A, reduced LCP by 3.1s to 1.2s, and boosted mobile conversion rates by 22%. His approach combines technical excellence with leadership skills, having led 3-person teams in agile environments while implementing robust testing strategies and establishing SEO-optimized architectures.",
   },
   work: {
     display: true,
@@ -108,73 +100,15 @@ const about = {
         timeframe: "Jul 2021 - Present",
         role: "Senior Software Engineer",
         achievements: [
-          <>
-            Led the end-to-end rearchitecture of a medical e-commerce platform,
-            migrating from a legacy Vue 2 stack to Next.js/React.js, addressing
-            critical issues in build performance, SEO limitations, and UI
-            scalability and atomic design.
-          </>,
-          <>
-            Improved performance through Next.js SSR/SSG implementation,
-            boosting GTmetrix Performance Grade from D to A, reducing LCP from
-            3.1s to 1.2s, Fully Loaded Time from 8.4s to 1.3s, page size by 85%,
-            and HTTP requests by 60%, resulting in faster page interaction and
-            seamless browsing.
-          </>,
-          <>
-            Established SEO-optimized architecture using SSR, semantic HTML, and
-            metadata. Elevated Lighthouse SEO scores from 67 to 100 by resolving
-            missing meta descriptions, alt attributes, and crawlability issues,
-            significantly enhancing discoverability with projected organic
-            visibility uplift of 30-40%.
-          </>,
-          <>
-            Developed and executed a robust frontend testing strategy tailored
-            for a high-traffic e-commerce platform. Used Jest for unit testing
-            key business logic, with Vitest, and Playwright for automated
-            end-to-end flows (login, checkout, search). Achieved 85%+ test
-            coverage and cut production issues by 40%.
-          </>,
-          <>
-            Utilized web and data analytics tools including Google Analytics,
-            Mixpanel, and Sentry to systematically track user behavior, feature
-            adoption, and overall stabilization metrics. Improved user
-            experience and guided performance adjustments, resulting in a 25%
-            increase in conversion rate and a 15% reduction in bounce rate. Used
-            Sentry to proactively resolve runtime issues, reducing frontend
-            error rates by 35%.
-          </>,
-          <>
-            Designed and built a modular, reusable UI component library using
-            Tailwind CSS and shadcn/ui, ensuring consistency, scalability, and
-            fast iteration. Worked closely with designers to deliver
-            pixel-perfect interfaces and cohesive user experience.
-          </>,
-          <>
-            Supported responsive design by implementing adaptive layouts and
-            touch-friendly components to fit all screen sizes, resulting in a
-            22% increase in mobile conversion. Added accessibility enhancements
-            such as semantic HTML, ARIA roles, and keyboard navigation to
-            improve usability and meet WCAG 2.1 guidelines.
-          </>,
-          <>
-            Collaborated with product managers and backend engineers to define
-            clear, actionable development goals and streamline communication.
-            Utilized Jira and Confluence to track progress and align API
-            implementation with business priorities and frontend needs, ensuring
-            well-timed scope and deliverables and strict deadlines.
-          </>,
-          <>
-            Acted as frontend tech lead, leading a 3-person team in an agile
-            environment, overseeing end-to-end frontend design, sprint-based
-            feature delivery, and ongoing performance optimization. Drove key
-            architectural decisions aligned with agile principles, implemented
-            scalable engineering solutions (hydration optimization, lazy
-            loading, route-based code splitting), and enforced code quality via
-            ESLint and Prettier. Documented architecture decisions and coding
-            standards; promoted team alignment and code quality through pair
-            programming and shared learning.
-          </>,
+          "Led the end-to-end rearchitecture of a medical e-commerce platform, migrating from a legacy Vue 2 stack to Next.js/React.js, addressing critical issues in build performance, SEO limitations, and UI scalability and atomic design.",
+          "Improved performance through Next.js SSR/SSG implementation, boosting GTmetrix Performance Grade from D to A, reducing LCP from 3.1s to 1.2s, Fully Loaded Time from 8.4s to 1.3s, page size by 85%, and HTTP requests by 60%, resulting in faster page interaction and seamless browsing.",
+          "Established SEO-optimized architecture using SSR, semantic HTML, and metadata. Elevated Lighthouse SEO scores from 67 to 100 by resolving missing meta descriptions, alt attributes, and crawlability issues, significantly enhancing discoverability with projected organic visibility uplift of 30-40%.",
+          "Developed and executed a robust frontend testing strategy tailored for a high-traffic e-commerce platform. Used Jest for unit testing key business logic, with Vitest, and Playwright for automated end-to-end flows (login, checkout, search). Achieved 85%+ test coverage and cut production issues by 40%.",
+          "Utilized web and data analytics tools including Google Analytics, Mixpanel, and Sentry to systematically track user behavior, feature adoption, and overall stabilization metrics. Improved user experience and guided performance adjustments, resulting in a 25% increase in conversion rate and a 15% reduction in bounce rate. Used Sentry to proactively resolve runtime issues, reducing frontend error rates by 35%.",
+          "Designed and built a modular, reusable UI component library using Tailwind CSS and shadcn/ui, ensuring consistency, scalability, and fast iteration. Worked closely with designers to deliver pixel-perfect interfaces and cohesive user experience.",
+          "Supported responsive design by implementing adaptive layouts and touch-friendly components to fit all screen sizes, resulting in a 22% increase in mobile conversion. Added accessibility enhancements such as semantic HTML, ARIA roles, and keyboard navigation to improve usability and meet WCAG 2.1 guidelines.",
+          "Collaborated with product managers and backend engineers to define clear, actionable development goals and streamline communication. Utilized Jira and Confluence to track progress and align API implementation with business priorities and frontend needs, ensuring well-timed scope and deliverables and strict deadlines.",
+          "Acted as frontend tech lead, leading a 3-person team in an agile environment, overseeing end-to-end frontend design, sprint-based feature delivery, and ongoing performance optimization. Drove key architectural decisions aligned with agile principles, implemented scalable engineering solutions (hydration optimization, lazy loading, route-based code splitting), and enforced code quality via ESLint and Prettier. Documented architecture decisions and coding standards; promoted team alignment and code quality through pair programming and shared learning.",
         ],
         logo: {
           src: "/images/companies/vibrant-wellness-logo.png",
@@ -186,24 +120,9 @@ const about = {
         timeframe: "Oct 2020 - Sep 2022",
         role: "Software Engineer",
         achievements: [
-          <>
-            Independently designed and developed a cross-platform mobile app
-            (CFREE Real Estate Exam Prep) for real estate professionals using
-            React Native and Expo. Released to Google Play and the App Store,
-            achieving 100+ users and positive feedback for usability and
-            practical value.
-          </>,
-          <>
-            Developed high-performance UI components using UI Kitten 5, applying
-            custom theming and responsive layout techniques to support
-            consistent UX across devices.
-          </>,
-          <>
-            Implemented key mobile features including In-App Purchases, Push
-            Notifications, and Firebase Authentication, enabling secure user
-            engagement and subscription-based access using React Navigation and
-            local state management with AsyncStorage.
-          </>,
+          "Independently designed and developed a cross-platform mobile app (CFREE Real Estate Exam Prep) for real estate professionals using React Native and Expo. Released to Google Play and the App Store, achieving 100+ users and positive feedback for usability and practical value.",
+          "Developed high-performance UI components using UI Kitten 5, applying custom theming and responsive layout techniques to support consistent UX across devices.",
+          "Implemented key mobile features including In-App Purchases, Push Notifications, and Firebase Authentication, enabling secure user engagement and subscription-based access using React Navigation and local state management with AsyncStorage.",
         ],
         logo: {
           src: "/images/companies/alexander-anderson-logo.png",
@@ -215,17 +134,8 @@ const about = {
         timeframe: "Feb 2020 - Oct 2022",
         role: "Software Engineer",
         achievements: [
-          <>
-            Built a responsive, single-page marketing dashboard using React.js,
-            Redux, and Material UI. Enhanced mobile usability and reduced page
-            load time to optimize component rendering.
-          </>,
-          <>
-            Deployed the application and Node.js-based API server on Heroku with
-            automated deployment pipelines. Configured environment variables and
-            logging strategies to support staging and production workflows and
-            facilitate easier debugging and release cycles.
-          </>,
+          "Built a responsive, single-page marketing dashboard using React.js, Redux, and Material UI. Enhanced mobile usability and reduced page load time to optimize component rendering.",
+          "Deployed the application and Node.js-based API server on Heroku with automated deployment pipelines. Configured environment variables and logging strategies to support staging and production workflows and facilitate easier debugging and release cycles.",
         ],
         logo: {
           src: "/images/companies/kalo.jpeg",
@@ -240,13 +150,19 @@ const about = {
     institutions: [
       {
         name: "Pace University, Seidenberg School of Computer Science and Information Systems",
-        description: <>Master of Science in Computer Science - GPA 3.8</>,
+        description: "Master of Science in Computer Science - GPA 3.8",
+        degree: "Master of Science",
+        area: "Computer Science",
+        score: "3.8",
         timeframe: "May 2020",
         location: "New York, NY",
       },
       {
         name: "Human University of Chinese Medicine",
-        description: <>Bachelor of Engineering in Biology - GPA 3.5</>,
+        description: "Bachelor of Engineering in Biology - GPA 3.5",
+        degree: "Bachelor of Engineering",
+        area: "Biology",
+        score: "3.5",
         timeframe: "Jun 2018",
         location: "Hunan, China",
       },
@@ -258,34 +174,35 @@ const about = {
     skills: [
       {
         title: "Programming Languages",
-        description: (
-          <>
-            JavaScript, TypeScript, Node.js, HTML5, CSS3, Java, Python, SQL, PHP
-          </>
-        ),
+        description: "JavaScript, TypeScript, Node.js, HTML5, CSS3, Java, Python, SQL, PHP",
         images: [],
       },
       {
         title: "Frameworks & Libraries",
-        description: (
-          <>React.js, Vue.js, Angular, React Native, Redux, Next.js</>
-        ),
+        description: "React.js, Vue.js, Angular, React Native, Redux, Next.js",
         images: [],
       },
       {
         title: "Tools & Others",
-        description: (
-          <>
-            Express, RESTful APIs, Jest, Tailwind CSS, Mixpanel, Google
-            Analytics 4, Sentry, Playwright
-          </>
-        ),
+        description: "Express, RESTful APIs, Jest, Tailwind CSS, Mixpanel, Google Analytics 4, Sentry, Playwright",
         images: [],
       },
     ],
   },
 };
 
+const resume = {
+  label: "Resume",
+  title: `${person.name} – Resume`,
+  description: `Resume of ${person.name}, ${person.role}`,
+  print: "Print",
+  pdf: "Download PDF",
+  json: "JSON Resume",
+  summary: "Summary",
+  skills: "Skills",
+  languages: "Languages",
+};
+
 const blog = {
   label: "Blog",
   title: "Writing about software engineering and tech...",
@@ -302,28 +219,21 @@ const gallery = {
   label: "Gallery",
   title: "Gallery",
   description: `A collection of images from ${person.name}`,
-  images: [
-    {
-      src: "/images/gallery/img1.jpg",
-      alt: "Architecture design showcase",
-      orientation: "horizontal",
-    },
-    {
-      src: "/images/gallery/img2.jpg",
-      alt: "Modern UI components",
-      orientation: "vertical",
-    },
-    {
-      src: "/images/gallery/img3.jpg",
-      alt: "Web development project",
-      orientation: "horizontal",
-    },
-    {
-      src: "/images/gallery/img4.jpg",
-      alt: "Mobile responsive design",
-      orientation: "vertical",
-    },
-  ],
+  // Photos are read from public/<directory>. Each subfolder is an album; loose
+  // images go into the album below. Captions, alt text and dates can be set in
+  // a gallery.json next to the photos (see README).
+  directory: "/images/gallery",
+  album: {
+    slug: "photos",
+    title: "Photos",
+  },
+  allAlbums: "All photos",
+  empty: "No photos yet.",
+  lightbox: {
+    close: "Close",
+    previous: "Previous photo",
+    next: "Next photo",
+  },
 };
 
 const articles = {
@@ -331,131 +241,128 @@ const articles = {
   title: "Tech Articles",
   description:
     "A collection of technical articles, tutorials and insights about web development, architecture design and software engineering",
-  data: [
-    {
-      id: 0,
-      title: "Building Scalable React Applications",
-      description:
-        "Learn how to architect large-scale React applications with best practices for state management, component organization, and performance optimization. This article covers advanced patterns and techniques for building maintainable React codebases.",
-      date: "May 15, 2024",
-      image: "https://picsum.photos/seed/react-scalable/720/480",
-      link: "/articles/0",
-      tags: ["React", "Architecture", "Performance"],
-    },
-    {
-      id: 1,
-      title: "System Design: Designing the StarWidget",
-      description:
-        "A comprehensive guide to designing a scalable star rating widget system. Learn about component architecture, state management, API design, and how to handle edge cases in a distributed environment.",
-      date: "April 29, 2024",
-      image: "https://picsum.photos/seed/system-design-widget/720/480",
-      link: "/articles/1",
-      tags: ["System Design", "Architecture"],
-    },
-    {
-      id: 2,
-      title: "Behavioral Interview Questions for Frontend Engineers",
-      description:
-        "A comprehensive collection of behavioral interview questions that are commonly asked in technical interviews. Learn how to prepare for these questions and answer them confidently with the STAR method.",
-      date: "May 1, 2024",
-      image: "https://picsum.photos/seed/interview-behavioral/720/480",
-      link: "/articles/2",
-      tags: ["Behavioral Interview", "Frontend Interview"],
-    },
-    {
-      id: 3,
-      title: "Frontend Learning Roadmap 2024",
-      description:
-        "A complete guide to becoming a frontend developer in 2024. This roadmap covers HTML/CSS fundamentals, JavaScript ES6+, React ecosystem, build tools, testing, and modern deployment strategies. Perfect for beginners and developers looking to update their skills.",
-      date: "March 20, 2024",
-      image: "https://picsum.photos/seed/frontend-roadmap-2024/720/480",
-      link: "/articles/3",
-      tags: ["Frontend", "Learning Path", "Career"],
-    },
-    {
-      id: 4,
-      title: "React Hooks Deep Dive: useState, useEffect, and Custom Hooks",
-      description:
-        "Master React Hooks with this comprehensive guide covering useState, useEffect, useContext, and how to create powerful custom hooks. Learn common patterns, best practices, and performance optimization techniques.",
-      date: "March 15, 2024",
-      image: "https://picsum.photos/seed/react-hooks-deep/720/480",
-      link: "/articles/4",
-      tags: ["React", "Hooks", "JavaScript"],
-    },
-    {
-      id: 5,
-      title: "Technical Interview Preparation: Frontend Focus",
-      description:
-        "Complete guide to acing frontend technical interviews. Covers JavaScript fundamentals, React concepts, algorithm questions, system design basics, and hands-on coding challenges with real examples and solutions.",
-      date: "February 28, 2024",
-      image: "https://picsum.photos/seed/technical-interview-prep/720/480",
-      link: "/articles/5",
-      tags: ["Technical Interview", "Frontend", "JavaScript"],
-    },
-    {
-      id: 6,
-      title: "System Design for Frontend Engineers",
-      description:
-        "Learn system design concepts specifically for frontend engineers. Covers CDN strategy, caching mechanisms, micro-frontend architecture, performance monitoring, and scalable component design patterns.",
-      date: "February 20, 2024",
-      image: "https://picsum.photos/seed/frontend-system-design/720/480",
-      link: "/articles/6",
-      tags: ["System Design", "Frontend Architecture", "Performance"],
-    },
-    {
-      id: 7,
-      title: "Vue 2 to React Migration: Lessons Learned",
-      description:
-        "Real-world experience migrating a large-scale application from Vue 2 to React. Learn about component mapping, state management migration, routing differences, and strategies to minimize downtime during the transition.",
-      date: "February 10, 2024",
-      image: "https://picsum.photos/seed/vue-react-migration/720/480",
-      link: "/articles/7",
-      tags: ["React", "Vue", "Migration", "Architecture"],
-    },
-    {
-      id: 8,
-      title: "Modern CSS: Grid, Flexbox, and Component-First Design",
-      description:
-        "Master modern CSS with Grid and Flexbox layouts. Learn how to build responsive designs, implement component-first methodologies, and optimize CSS for performance in large applications.",
-      date: "January 25, 2024",
-      image: "https://picsum.photos/seed/modern-css-grid/720/480",
-      link: "/articles/8",
-      tags: ["CSS", "Frontend", "Responsive Design"],
-    },
-    {
-      id: 9,
-      title: "JavaScript Performance Optimization Techniques",
-      description:
-        "Deep dive into JavaScript performance optimization. Covers memory management, event loop understanding, code splitting, lazy loading, and profiling techniques to build faster web applications.",
-      date: "January 15, 2024",
-      image: "https://picsum.photos/seed/javascript-performance/720/480",
-      link: "/articles/9",
-      tags: ["JavaScript", "Performance", "Optimization"],
-    },
-    {
-      id: 10,
-      title: "Building a Component Library with React and Storybook",
-      description:
-        "Step-by-step guide to creating a scalable component library. Learn about design systems, component API design, documentation with Storybook, testing strategies, and publishing to npm.",
-      date: "December 20, 2023",
-      image: "https://picsum.photos/seed/component-library-storybook/720/480",
-      link: "/articles/10",
-      tags: ["React", "Component Library", "Storybook"],
-    },
-    {
-      id: 11,
-      title: "Next.js Performance Optimization: SSR, SSG, and Beyond",
-      description:
-        "Comprehensive guide to Next.js performance optimization. Covers Server-Side Rendering, Static Site Generation, Image optimization, Core Web Vitals improvement, and deployment best practices.",
-      date: "December 10, 2023",
-      image: "https://picsum.photos/seed/nextjs-performance/720/480",
-      link: "/articles/11",
-      tags: ["Next.js", "Performance", "SSR", "SSG"],
+  pageSize: 6,
+};
+
+const guestbook = {
+  label: "Guestbook",
+  title: "Guestbook",
+  description: "Say hello, leave a note or ask me anything. Entries show up once I've read them.",
+};
+
+const book = {
+  label: "Book a call",
+  title: "Book a call",
+  description:
+    "Pick a time for a short video call about work, a project or anything else. I'll confirm by email with a calendar invite.",
+  yourTime: "Your time",
+  ownerTime: `${person.firstName}'s time`,
+  pick: "Pick a time",
+  empty: "No open times in the next two weeks. Send me an email instead.",
+  topic: "What would you like to talk about?",
+  send: "Request this time",
+  sent: "Thanks! Your request is on its way, and you'll hear back by email.",
+  taken: "That time was just taken. Please pick another.",
+  rateLimited: "Too many requests. Please try again later.",
+  failed: "Your request could not be sent. Please try again later.",
+};
+
+// Labels used by shared components rather than a single page.
+const ui = {
+  language: "Language",
+  previous: "Previous",
+  next: "Next",
+  related: "Related",
+  series: "Series",
+  minRead: "min read",
+  onThisPage: "On this page",
+  search: "Search",
+  searchArticles: "Search articles",
+  all: "All",
+  noMatches: "No matches",
+  noMatchesDescription: "No articles match your filters. Try another tag or search term.",
+  comingSoon: "Coming Soon",
+  comingSoonDescription:
+    "No articles available at the moment. Check back later for tech articles and tutorials.",
+  posts: "Posts",
+  projects: "Projects",
+  readCaseStudy: "Read case study",
+  viewProject: "View project",
+  contentTypes: {
+    blog: "Post",
+    project: "Project",
+    article: "Article",
+  },
+  searchSite: {
+    title: "Search",
+    placeholder: "Search projects, posts and articles",
+    empty: "No results for",
+    hint: "Type to search",
+    loading: "Loading…",
+    error: "Search is unavailable right now. Please try again.",
+    navigate: "to navigate",
+    open: "to open",
+  },
+  // The header's theme button; {current} and {next} are the labels above it.
+  theme: {
+    light: "Light theme",
+    dark: "Dark theme",
+    system: "System theme",
+    switchTo: "{current}, switch to {next}",
+  },
+  projectFacts: {
+    stack: "Tech stack",
+    role: "Role",
+    period: "Period",
+    status: {
+      live: "Live",
+      "in-progress": "In progress",
+      archived: "Archived",
     },
-  ],
+    noMatches: "No projects use this technology yet.",
+  },
+  stats: {
+    views: "views",
+    like: "Like",
+    clap: "Clap",
+    sortBy: "Sort by",
+    latest: "Latest",
+    popular: "Most read",
+  },
+  // Shown on drafts, scheduled and unlisted items in preview; see utils/publishing.ts.
+  publishStatus: {
+    draft: "Draft",
+    scheduled: "Scheduled",
+    unlisted: "Unlisted",
+  },
+  form: {
+    name: "Name",
+    email: "Email",
+    message: "Message",
+    send: "Send Message",
+    emailMe: "Send an email",
+    sent: "Thanks! Your message has been sent.",
+    invalid: "Please check the highlighted fields.",
+    rateLimited: "Too many messages. Please try again later.",
+    failed: "Message could not be sent. Please try again later.",
+  },
+  comments: {
+    title: "Comments",
+    empty: "No comments yet. Questions and thoughts are welcome.",
+    name: "Name",
+    message: "Comment",
+    send: "Post comment",
+    sent: "Thanks! Your comment will appear here once it's approved.",
+    nameInvalid: "Please enter your name (up to 60 characters).",
+    messageInvalid: "Comments must be between 2 and {max} characters.",
+    rateLimited: "Too many comments. Please try again later.",
+    failed: "Your comment could not be posted. Please try again later.",
+  },
 };
 
 export {
+  ui,
+  resume,
   person,
   social,
   newsletter,
@@ -465,4 +372,6 @@ export {
   project,
   gallery,
   articles,
+  guestbook,
+  book,
 };
@@ -0,0 +1,248 @@
+import { InlineCode } from "@/once-ui/components";
+import { person as basePerson } from "@/app/resources/content";
+
+// Mandarin overrides for content.js. Only translated fields are listed; any
+// field left out falls back to the English value, item by item for lists.
+
+const person = {
+  role: "高级软件工程师",
+  displayLocation: "加州弗里蒙特",
+  languages: ["英语", "中文"],
+};
+
+const newsletter = {
+  title: <>给我留言，我会尽快回复。</>,
+  description: (
+    <>
+      我一直在寻找新的机会和挑战。如果你有任何问题，或者想聊聊某个项目，欢迎随时联系我。
+    </>
+  ),
+  resume: {
+    label: "下载简历",
+  },
+};
+
+const social = [{ name: "GitHub" }, { name: "LinkedIn" }, { name: "邮箱" }, { name: "Instagram" }];
+
+const home = {
+  label: "首页",
+  title: `${basePerson.name} 的作品集`,
+  description: `${basePerson.name}（${person.role}）的作品集网站`,
+  headline: <>高级软件工程师 & 全栈开发者</>,
+  subline: (
+    <>
+      我是光耕，<InlineCode>Vibrant Wellness</InlineCode>{" "}
+      的高级软件工程师，负责医疗电商平台的端到端架构重构。
+      <br /> 我擅长将遗留系统迁移到现代架构、优化性能，
+      <br /> 并带领前端团队交付可扩展的解决方案。
+    </>
+  ),
+};
+
+const about = {
+  label: "关于",
+  title: "关于我",
+  description: `认识 ${basePerson.name}，来自${person.displayLocation}的${person.role}`,
+  intro: {
+    title: "简介",
+    description: "光耕是一名常驻弗里蒙特的高级软件工程师，热衷于构建可扩展的 Web 应用并主导技术迁移。他主导了医疗电商平台的端到端架构重构，将遗留的 Vue 2 技术栈迁移到 Next.js/React.js，带来了显著的性能提升：GTmetrix 性能评级从 D 提升到 A，LCP 从 3.1 秒降到 1.2 秒，移动端转化率提升 22%。他兼具前端与移动端开发经验，曾在敏捷环境中带领 3 人团队，推行完善的测试策略并建立了对 SEO 友好的架构。",
+  },
+  work: {
+    title: "工作经历",
+    experiences: [
+      { role: "高级软件工程师" },
+      { role: "软件工程师" },
+      { role: "软件工程师" },
+    ],
+  },
+  studies: {
+    title: "教育背景",
+    institutions: [
+      {
+        name: "佩斯大学 Seidenberg 计算机科学与信息系统学院",
+        description: "计算机科学硕士 - GPA 3.8",
+      },
+      {
+        name: "湖南中医药大学",
+        description: "生物工程学士 - GPA 3.5",
+      },
+    ],
+  },
+  technical: {
+    title: "技术技能",
+    skills: [{ title: "编程语言" }, { title: "框架与库" }, { title: "工具及其他" }],
+  },
+};
+
+const resume = {
+  label: "简历",
+  title: `${basePerson.name} – 简历`,
+  description: `${basePerson.name}（${person.role}）的简历`,
+  print: "打印",
+  pdf: "下载 PDF",
+  json: "JSON Resume",
+  summary: "概述",
+  skills: "技能",
+  languages: "语言",
+};
+
+const blog = {
+  label: "博客",
+  title: "关于软件工程与技术的随笔……",
+  description: `看看 ${basePerson.name} 最近在忙些什么`,
+};
+
+const project = {
+  label: "项目",
+  title: "我的项目",
+  description: `${basePerson.name} 的软件工程项目`,
+};
+
+const gallery = {
+  label: "相册",
+  title: "相册",
+  description: `${basePerson.name} 的图片合集`,
+  album: {
+    title: "照片",
+  },
+  allAlbums: "全部照片",
+  empty: "暂时还没有照片。",
+  lightbox: {
+    close: "关闭",
+    previous: "上一张",
+    next: "下一张",
+  },
+};
+
+const articles = {
+  label: "文章",
+  title: "技术文章",
+  description: "关于 Web 开发、架构设计与软件工程的技术文章、教程和心得",
+};
+
+const guestbook = {
+  label: "留言簿",
+  title: "留言簿",
+  description: "打个招呼、留句话或者问我任何问题。留言经我阅读后显示。",
+};
+
+const book = {
+  label: "预约通话",
+  title: "预约通话",
+  description: "选一个时间，聊聊工作、项目或其他任何话题。我会通过邮件发送日历邀请确认。",
+  yourTime: "你的时间",
+  ownerTime: `${basePerson.firstName}的时间`,
+  pick: "选择时间",
+  empty: "接下来两周没有空闲时间，欢迎直接给我发邮件。",
+  topic: "想聊些什么？",
+  send: "预约这个时间",
+  sent: "谢谢！预约请求已发送，我会通过邮件回复你。",
+  taken: "这个时间刚被预约了，请换一个。",
+  rateLimited: "请求太频繁了，请稍后再试。",
+  failed: "预约请求发送失败，请稍后再试。",
+};
+
+const ui = {
+  language: "语言",
+  previous: "上一篇",
+  next: "下一篇",
+  related: "相关内容",
+  series: "系列",
+  minRead: "分钟阅读",
+  onThisPage: "本页目录",
+  search: "搜索",
+  searchArticles: "搜索文章",
+  all: "全部",
+  noMatches: "没有匹配结果",
+  noMatchesDescription: "没有符合筛选条件的文章，换个标签或关键词试试。",
+  comingSoon: "敬请期待",
+  comingSoonDescription: "暂时还没有文章，稍后再来看看吧。",
+  posts: "博文",
+  projects: "项目",
+  readCaseStudy: "阅读案例",
+  viewProject: "访问项目",
+  contentTypes: {
+    blog: "博文",
+    project: "项目",
+    article: "文章",
+  },
+  searchSite: {
+    title: "搜索",
+    placeholder: "搜索项目、博文和文章",
+    empty: "没有找到结果：",
+    hint: "输入关键词开始搜索",
+    loading: "加载中…",
+    error: "搜索暂时不可用，请稍后再试。",
+    navigate: "切换",
+    open: "打开",
+  },
+  theme: {
+    light: "浅色主题",
+    dark: "深色主题",
+    system: "跟随系统",
+    switchTo: "{current}，切换到{next}",
+  },
+  projectFacts: {
+    stack: "技术栈",
+    role: "角色",
+    period: "时间",
+    status: {
+      live: "已上线",
+      "in-progress": "进行中",
+      archived: "已归档",
+    },
+    noMatches: "暂时没有使用该技术的项目。",
+  },
+  stats: {
+    views: "次阅读",
+    like: "喜欢",
+    clap: "鼓掌",
+    sortBy: "排序",
+    latest: "最新",
+    popular: "最多阅读",
+  },
+  publishStatus: {
+    draft: "草稿",
+    scheduled: "定时发布",
+    unlisted: "未公开列出",
+  },
+  form: {
+    name: "姓名",
+    email: "邮箱",
+    message: "留言",
+    send: "发送留言",
+    emailMe: "发送邮件",
+    sent: "谢谢！你的留言已发送。",
+    invalid: "请检查标出的字段。",
+    rateLimited: "发送次数过多，请稍后再试。",
+    failed: "留言发送失败，请稍后再试。",
+  },
+  comments: {
+    title: "评论",
+    empty: "还没有评论，欢迎提问或分享想法。",
+    name: "昵称",
+    message: "评论",
+    send: "发表评论",
+    sent: "谢谢！评论通过审核后会显示在这里。",
+    nameInvalid: "请输入昵称（最多 60 个字符）。",
+    messageInvalid: "评论长度需在 2 到 {max} 个字符之间。",
+    rateLimited: "评论太频繁了，请稍后再试。",
+    failed: "评论发表失败，请稍后再试。",
+  },
+};
+
+export {
+  ui,
+  resume,
+  person,
+  social,
+  newsletter,
+  home,
+  about,
+  blog,
+  project,
+  gallery,
+  articles,
+  guestbook,
+  book,
+};
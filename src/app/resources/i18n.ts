@@ -0,0 +1,114 @@
+import { isValidElement } from "react";
+import { baseURL } from "@/app/resources/config";
+import * as en from "@/app/resources/content";
+import * as zh from "@/app/resources/content.zh";
+import { defaultLocale, Locale, localeConfig, localePath, locales } from "@/app/resources/locales";
+
+// Client components import these from locales.ts, which leaves the content
+// bundles out of the browser; pass them the strings they need as props.
+export {
+  defaultLocale,
+  isLocale,
+  localeConfig,
+  localePath,
+  locales,
+  resolveLocale,
+  splitLocalePath,
+} from "@/app/resources/locales";
+export type { Locale } from "@/app/resources/locales";
+
+export type Content = typeof en;
+
+// Partial bundles layered over content.js; anything they leave out stays English.
+const bundles: Record<Locale, object> = { en, zh };
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    Object.getPrototypeOf(value) === Object.prototype &&
+    !isValidElement(value)
+  );
+}
+
+// Objects merge key by key and arrays item by item, so a translation can
+// override a single field (an experience's role, say) and inherit the rest.
+function merge(base: unknown, override: unknown): unknown {
+  if (override === undefined) return base;
+
+  if (Array.isArray(base) && Array.isArray(override)) {
+    return base.map((item, index) => merge(item, override[index]));
+  }
+
+  if (isPlainObject(base) && isPlainObject(override)) {
+    const merged: Record<string, unknown> = {};
+    for (const key of Object.keys(base)) {
+      merged[key] = merge(base[key], override[key]);
+    }
+    return merged;
+  }
+
+  return override;
+}
+
+const cache = new Map<Locale, Content>();
+
+export function getContent(locale: Locale): Content {
+  if (locale === defaultLocale) return en;
+
+  let content = cache.get(locale);
+  if (!content) {
+    content = merge({ ...en }, { ...bundles[locale] }) as Content;
+    cache.set(locale, content);
+  }
+  return content;
+}
+
+/**
+ * `pick` applied to the content of every locale. For client components that
+ * tell the locale from the URL, like the header: they get these strings
+ * rather than the bundles.
+ */
+export function contentByLocale<T>(pick: (content: Content) => T): Record<Locale, T> {
+  return Object.fromEntries(locales.map((locale) => [locale, pick(getContent(locale))])) as Record<
+    Locale,
+    T
+  >;
+}
+
+/** Absolute URL of `path` in every locale, keyed by hreflang. */
+export function localeAlternates(path: string) {
+  const languages: Record<string, string> = {};
+  for (const locale of locales) {
+    languages[localeConfig(locale).lang] = `${baseURL}${localePath(locale, path)}`.replace(
+      /\/$/,
+      "",
+    );
+  }
+  languages["x-default"] = `${baseURL}${path}`.replace(/\/$/, "");
+  return languages;
+}
+
+/** Props of pages that are served both unprefixed and under `[locale]`. */
+export type LocalePageProps<P = {}> = {
+  params: P & { locale?: string };
+};
+
+/**
+ * `alternates` metadata for a page: its canonical URL in `locale` and the
+ * hreflang links to every translation. The feed links from the root layout
+ * are repeated because Next.js replaces `alternates` as a whole.
+ */
+export function pageAlternates(locale: Locale, path: string) {
+  return {
+    canonical: `${baseURL}${localePath(locale, path)}`.replace(/\/$/, ""),
+    languages: localeAlternates(path),
+    types: feedTypes,
+  };
+}
+
+export const feedTypes = {
+  "application/rss+xml": `${baseURL}/feed.xml`,
+  "application/atom+xml": `${baseURL}/atom.xml`,
+  "application/feed+json": `${baseURL}/feed.json`,
+};
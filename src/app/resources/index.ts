@@ -6,6 +6,16 @@ export {
   display,
   mailchimp,
   baseURL,
+  staticExport,
+  feed,
+  contact,
+  comments,
+  booking,
+  search,
+  stats,
+  api,
+  linkCheck,
+  i18n,
 } from "@/app/resources/config";
 export {
   person,
@@ -16,4 +26,7 @@ export {
   blog,
   project,
   gallery,
+  resume,
+  guestbook,
+  book,
 } from "@/app/resources/content";
@@ -0,0 +1,34 @@
+import { i18n } from "@/app/resources/config";
+
+export type Locale = keyof typeof i18n.locales;
+
+export const locales = Object.keys(i18n.locales) as Locale[];
+export const defaultLocale = i18n.defaultLocale as Locale;
+
+export function isLocale(value: unknown): value is Locale {
+  return typeof value === "string" && locales.includes(value as Locale);
+}
+
+/** The locale of a `[locale]` route param, or the default for unprefixed routes. */
+export function resolveLocale(value?: string): Locale {
+  return isLocale(value) ? value : defaultLocale;
+}
+
+export function localeConfig(locale: Locale) {
+  return i18n.locales[locale];
+}
+
+/** Prefixes an internal path with the locale, e.g. ("zh", "/about") → "/zh/about". */
+export function localePath(locale: Locale, path: string) {
+  if (locale === defaultLocale) return path;
+  return path === "/" ? `/${locale}` : `/${locale}${path}`;
+}
+
+/** Splits "/zh/about" into { locale: "zh", path: "/about" }. */
+export function splitLocalePath(pathname: string): { locale: Locale; path: string } {
+  const [, first, ...rest] = pathname.split("/");
+  if (isLocale(first) && first !== defaultLocale) {
+    return { locale: first, path: `/${rest.join("/")}` };
+  }
+  return { locale: defaultLocale, path: pathname || "/" };
+}
@@ -0,0 +1,9 @@
+import { getJsonResume } from "@/app/utils/resume";
+
+export async function GET() {
+  return Response.json(getJsonResume(), {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
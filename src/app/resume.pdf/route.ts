@@ -0,0 +1,15 @@
+import { person } from "@/app/resources";
+import { LocalePageProps, resolveLocale } from "@/app/resources/i18n";
+import { getResumePdf } from "@/app/utils/resume";
+
+// Rendered once per locale at build time like the other static route handlers.
+export const dynamic = "force-static";
+
+export async function GET(_request: Request, { params }: LocalePageProps) {
+  return new Response(await getResumePdf(resolveLocale(params?.locale)), {
+    headers: {
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="${person.name.replace(/\s+/g, "-")}-Resume.pdf"`,
+    },
+  });
+}
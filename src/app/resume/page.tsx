@@ -0,0 +1,163 @@
+import { Button, Column, Flex, Heading, SmartLink, Text } from "@/once-ui/components";
+import { pageMetadata } from "@/app/utils/metadata";
+import { breadcrumbSchema, PERSON_ID, personSchema, webPageSchema } from "@/app/utils/structuredData";
+import { JsonLd } from "@/components/JsonLd";
+import { Markdown } from "@/components/Markdown";
+import { PrintButton } from "@/components/resume/PrintButton";
+import styles from "@/components/resume/resume.module.scss";
+import { getContent, LocalePageProps, localePath, resolveLocale } from "@/app/resources/i18n";
+
+export async function generateMetadata({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { resume } = getContent(locale);
+  return pageMetadata({
+    locale,
+    path: "/resume",
+    title: resume.title,
+    description: resume.description,
+    type: "profile",
+  });
+}
+
+function Section({ title, children }: { title: string; children: React.ReactNode }) {
+  return (
+    <Column as="section" fillWidth gap="16" className={styles.section}>
+      <Heading as="h2" variant="heading-strong-l" className={styles.heading}>
+        {title}
+      </Heading>
+      {children}
+    </Column>
+  );
+}
+
+/**
+ * The About page's résumé data as a single printable sheet. The same data is
+ * exported as /resume.pdf and /resume.json.
+ */
+export default function Resume({ params }: LocalePageProps) {
+  const locale = resolveLocale(params.locale);
+  const { person, about, social, resume } = getContent(locale);
+  const links = social.filter((item) => item.link);
+
+  return (
+    <Column maxWidth="m" fillWidth gap="40" className={styles.resume}>
+      <JsonLd
+        nodes={[
+          webPageSchema(locale, {
+            type: "ProfilePage",
+            path: "/resume",
+            title: resume.title,
+            description: resume.description,
+            mainEntity: { "@id": PERSON_ID },
+          }),
+          personSchema(locale),
+          breadcrumbSchema(locale, [{ name: resume.label, path: "/resume" }]),
+        ]}
+      />
+      <Flex gap="8" horizontal="end" wrap className={styles.actions}>
+        <PrintButton label={resume.print} />
+        <Button
+          size="s"
+          variant="secondary"
+          prefixIcon="download"
+          href={localePath(locale, "/resume.pdf")}
+        >
+          {resume.pdf}
+        </Button>
+        <Button size="s" variant="tertiary" prefixIcon="code" href="/resume.json">
+          {resume.json}
+        </Button>
+      </Flex>
+
+      <Column as="header" gap="8">
+        <Heading variant="display-strong-s">{person.name}</Heading>
+        <Text variant="heading-default-m" onBackground="neutral-weak">
+          {person.role} · {person.displayLocation}
+        </Text>
+        <Flex gap="16" wrap paddingTop="8">
+          {links.map((item) => (
+            <SmartLink key={item.name} href={item.link} prefixIcon={item.icon}>
+              {item.link.startsWith("mailto:")
+                ? item.link.replace("mailto:", "")
+                : item.link.replace(/^https?:\/\/(www\.)?/, "")}
+            </SmartLink>
+          ))}
+        </Flex>
+      </Column>
+
+      {about.intro.display && (
+        <Section title={resume.summary}>
+          <Text as="div" variant="body-default-m">
+            <Markdown>{about.intro.description}</Markdown>
+          </Text>
+        </Section>
+      )}
+
+      {about.work.display && (
+        <Section title={about.work.title}>
+          {about.work.experiences.map((experience, index) => (
+            <Column
+              key={`${experience.company}-${index}`}
+              gap="8"
+              paddingBottom="16"
+              className={styles.entry}
+            >
+              <Flex horizontal="space-between" vertical="end" gap="16" wrap>
+                <Text variant="heading-strong-m">{experience.company}</Text>
+                <Text variant="body-default-s" onBackground="neutral-weak">
+                  {experience.timeframe}
+                </Text>
+              </Flex>
+              <Text variant="body-default-m" onBackground="brand-weak">
+                {experience.role}
+              </Text>
+              <Column as="ul" gap="8" className={styles.achievements}>
+                {experience.achievements.map((achievement, achievementIndex) => (
+                  <Text as="li" variant="body-default-s" key={achievementIndex}>
+                    <Markdown inline>{achievement}</Markdown>
+                  </Text>
+                ))}
+              </Column>
+            </Column>
+          ))}
+        </Section>
+      )}
+
+      {about.studies.display && (
+        <Section title={about.studies.title}>
+          {about.studies.institutions.map((institution, index) => (
+            <Column key={`${institution.name}-${index}`} gap="4" className={styles.entry}>
+              <Flex horizontal="space-between" vertical="end" gap="16" wrap>
+                <Text variant="heading-strong-s">{institution.name}</Text>
+                {institution.timeframe && (
+                  <Text variant="body-default-s" onBackground="neutral-weak">
+                    {institution.timeframe}
+                  </Text>
+                )}
+              </Flex>
+              <Text variant="body-default-s" onBackground="neutral-weak">
+                <Markdown inline>{institution.description}</Markdown>
+                {institution.location && ` · ${institution.location}`}
+              </Text>
+            </Column>
+          ))}
+        </Section>
+      )}
+
+      {about.technical.display && (
+        <Section title={resume.skills}>
+          {about.technical.skills.map((skill, index) => (
+            <Text key={`${skill.title}-${index}`} variant="body-default-s" className={styles.entry}>
+              <strong>{skill.title}:</strong> <Markdown inline>{skill.description}</Markdown>
+            </Text>
+          ))}
+          {person.languages.length > 0 && (
+            <Text variant="body-default-s">
+              <strong>{resume.languages}:</strong> {person.languages.join(", ")}
+            </Text>
+          )}
+        </Section>
+      )}
+    </Column>
+  );
+}
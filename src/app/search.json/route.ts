@@ -0,0 +1,13 @@
+import { LocalePageProps, resolveLocale } from "@/app/resources/i18n";
+import { getSearchIndex } from "@/app/utils/search";
+
+// Built once per locale; the palette fetches it on first open.
+export const dynamic = "force-static";
+
+export async function GET(_request: Request, { params }: LocalePageProps) {
+  return Response.json(getSearchIndex(resolveLocale(params?.locale)), {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
@@ -0,0 +1,17 @@
+import {
+  buildSitemapIndex,
+  buildUrlSet,
+  chunkSitemap,
+  getSitemapEntries,
+} from "@/app/utils/sitemaps";
+
+export async function GET() {
+  const chunks = chunkSitemap(await getSitemapEntries());
+  const body = chunks.length > 1 ? buildSitemapIndex(chunks) : buildUrlSet(chunks[0] || []);
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "application/xml; charset=utf-8",
+    },
+  });
+}
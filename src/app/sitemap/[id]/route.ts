@@ -0,0 +1,26 @@
+import { buildUrlSet, chunkSitemap, getSitemapEntries } from "@/app/utils/sitemaps";
+
+interface SitemapParams {
+  params: {
+    id: string;
+  };
+}
+
+export async function generateStaticParams(): Promise<{ id: string }[]> {
+  return chunkSitemap(await getSitemapEntries()).map((_, index) => ({ id: `${index}.xml` }));
+}
+
+export async function GET(_request: Request, { params }: SitemapParams) {
+  const match = params.id.match(/^(\d+)\.xml$/);
+  const chunk = match ? chunkSitemap(await getSitemapEntries())[Number(match[1])] : undefined;
+
+  if (!chunk) {
+    return new Response("Not Found", { status: 404 });
+  }
+
+  return new Response(buildUrlSet(chunk), {
+    headers: {
+      "Content-Type": "application/xml; charset=utf-8",
+    },
+  });
+}
@@ -0,0 +1,306 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { api, routes } from "@/app/resources";
+import { defaultLocale, getContent, isLocale, Locale, locales } from "@/app/resources/i18n";
+import { coverSrc } from "@/app/utils/covers";
+import { markdownToHtml } from "@/app/utils/markdown";
+import { absoluteURL, pageURL } from "@/app/utils/metadata";
+import { skillKeywords, timeframeDates } from "@/app/utils/resume";
+import { Article, getPosts, getReadingTime, toTags } from "@/app/utils/utils";
+
+/**
+ * Shared pieces of the /api/v1 route handlers. Everything is read with the
+ * same loaders the pages use, so the API and the site show the same content.
+ */
+
+export type BodyFormat = "html" | "markdown";
+
+export type ApiQuery = {
+  locale: Locale;
+  page: number;
+  pageSize: number;
+  // Items must carry every one of these, ignoring case.
+  tags: string[];
+  body?: BodyFormat;
+  params: URLSearchParams;
+};
+
+type Post = ReturnType<typeof getPosts>[number];
+
+type Dated = { metadata: { publishedAt: string; updatedAt?: string } };
+
+function corsHeaders(request: Request): Record<string, string> {
+  if (api.cors.includes("*")) {
+    return { "Access-Control-Allow-Origin": "*", "Access-Control-Expose-Headers": "ETag" };
+  }
+
+  const origin = request.headers.get("Origin");
+  return origin && api.cors.includes(origin)
+    ? { "Access-Control-Allow-Origin": origin, "Access-Control-Expose-Headers": "ETag", Vary: "Origin" }
+    : { Vary: "Origin" };
+}
+
+/** Answers a CORS preflight; every route exports it as OPTIONS. */
+export function preflight(request: Request) {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      ...corsHeaders(request),
+      "Access-Control-Allow-Methods": "GET, OPTIONS",
+      "Access-Control-Allow-Headers": "If-None-Match, If-Modified-Since",
+      "Access-Control-Max-Age": "86400",
+    },
+  });
+}
+
+export function apiError(request: Request, status: number, error: string) {
+  return Response.json({ error }, { status, headers: corsHeaders(request) });
+}
+
+function toDate(date: string) {
+  return new Date(date.includes("T") ? date : `${date}T00:00:00Z`);
+}
+
+/**
+ * `data` as JSON with an ETag and, when given, a Last-Modified date. Answers
+ * 304 Not Modified when the client already has this version.
+ */
+export function apiJson(request: Request, data: unknown, lastModified?: Date) {
+  const body = JSON.stringify(data);
+  const etag = `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+  const headers = new Headers({
+    ...corsHeaders(request),
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": `public, max-age=${api.maxAge}`,
+    ETag: etag,
+  });
+  if (lastModified) {
+    headers.set("Last-Modified", lastModified.toUTCString());
+  }
+
+  // If-None-Match wins when both are sent; HTTP dates only go down to the second.
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  const ifModifiedSince = Date.parse(request.headers.get("If-Modified-Since") || "");
+  const notModified = ifNoneMatch
+    ? ifNoneMatch
+        .split(",")
+        .map((tag) => tag.trim().replace(/^W\//, ""))
+        .some((tag) => tag === etag || tag === "*")
+    : lastModified !== undefined &&
+      Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+
+  return new Response(notModified ? null : body, { status: notModified ? 304 : 200, headers });
+}
+
+/**
+ * Reads `locale`, `page`, `limit`, `tag` and `body` from the query string.
+ * Returns the response to send instead when the API or the section behind
+ * `route` is turned off, or a parameter is invalid.
+ */
+export function parseQuery(request: Request, route?: string): ApiQuery | Response {
+  if (!api.enabled || (route && !routes[route])) {
+    return apiError(request, 404, "Not found.");
+  }
+
+  const params = new URL(request.url).searchParams;
+
+  const locale = params.get("locale") || defaultLocale;
+  if (!isLocale(locale)) {
+    return apiError(request, 400, `Unknown locale "${locale}"; use one of ${locales.join(", ")}.`);
+  }
+
+  const page = Number(params.get("page") || 1);
+  if (!Number.isInteger(page) || page < 1) {
+    return apiError(request, 400, "page must be a whole number from 1.");
+  }
+
+  const pageSize = Number(params.get("limit") || api.pageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > api.maxPageSize) {
+    return apiError(request, 400, `limit must be a whole number from 1 to ${api.maxPageSize}.`);
+  }
+
+  const body = params.get("body") || undefined;
+  if (body && body !== "html" && body !== "markdown") {
+    return apiError(request, 400, 'body must be "html" or "markdown".');
+  }
+
+  // ?tag=react&tag=hooks and ?tag=react,hooks mean the same.
+  const tags = params
+    .getAll("tag")
+    .flatMap((tag) => tag.split(","))
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean);
+
+  return { locale, page, pageSize, tags, body: body as BodyFormat | undefined, params };
+}
+
+export function hasTags(itemTags: string[], tags: string[]) {
+  const lower = itemTags.map((tag) => tag.toLowerCase());
+  return tags.every((tag) => lower.includes(tag));
+}
+
+export function newestFirst<T extends Dated>(items: T[]) {
+  return [...items].sort(
+    (a, b) => toDate(b.metadata.publishedAt).getTime() - toDate(a.metadata.publishedAt).getTime(),
+  );
+}
+
+/** When the newest of `items` last changed, for Last-Modified. */
+export function lastModified(items: Dated[]) {
+  const times = items
+    .map((item) => toDate(item.metadata.updatedAt || item.metadata.publishedAt).getTime())
+    .filter((time) => !Number.isNaN(time));
+  return times.length > 0 ? new Date(Math.max(...times)) : undefined;
+}
+
+/** The requested page of `items`, with links to its neighbours. */
+export function paginate<T>(request: Request, items: T[], { page, pageSize }: ApiQuery) {
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+  const link = (target: number) => {
+    const url = new URL(request.url);
+    url.searchParams.set("page", String(target));
+    return url.toString();
+  };
+
+  return {
+    data: items.slice((page - 1) * pageSize, page * pageSize),
+    pagination: {
+      page,
+      pageSize,
+      total: items.length,
+      totalPages,
+      next: page < totalPages ? link(page + 1) : null,
+      prev: page > 1 ? link(Math.min(page - 1, totalPages)) : null,
+    },
+  };
+}
+
+async function renderBody(content: string, format?: BodyFormat) {
+  if (!format) return {};
+  return { body: format === "html" ? await markdownToHtml(content) : content };
+}
+
+export async function serializePost(post: Post, locale: Locale, format?: BodyFormat) {
+  const { metadata } = post;
+  return {
+    slug: post.slug,
+    url: pageURL(locale, `/blog/${post.slug}`),
+    title: metadata.title,
+    summary: metadata.summary,
+    publishedAt: metadata.publishedAt,
+    updatedAt: metadata.updatedAt,
+    tags: toTags(metadata.tag),
+    image: metadata.image ? absoluteURL(metadata.image) : undefined,
+    readingTime: getReadingTime(post.content),
+    series: metadata.series,
+    seriesOrder: metadata.seriesOrder,
+    ...(await renderBody(post.content, format)),
+  };
+}
+
+export async function serializeProject(project: Post, locale: Locale, format?: BodyFormat) {
+  const { metadata } = project;
+  return {
+    slug: project.slug,
+    url: pageURL(locale, `/project/${project.slug}`),
+    title: metadata.title,
+    summary: metadata.summary,
+    publishedAt: metadata.publishedAt,
+    updatedAt: metadata.updatedAt,
+    tags: toTags(metadata.tag),
+    images: metadata.images.map(absoluteURL),
+    link: metadata.link || undefined,
+    stack: metadata.stack,
+    role: metadata.role,
+    status: metadata.projectStatus,
+    period: metadata.period,
+    metrics: metadata.metrics,
+    team: metadata.team.map((member) => ({
+      ...member,
+      avatar: member.avatar ? absoluteURL(member.avatar) : undefined,
+    })),
+    ...(await renderBody(project.content, format)),
+  };
+}
+
+export async function serializeArticle(article: Article, locale: Locale, format?: BodyFormat) {
+  const { metadata } = article;
+  return {
+    id: article.slug,
+    url: pageURL(locale, `/articles/${article.slug}`),
+    title: metadata.title,
+    summary: metadata.summary,
+    publishedAt: metadata.publishedAt,
+    updatedAt: metadata.updatedAt,
+    tags: metadata.tags,
+    cover: absoluteURL(coverSrc(article)),
+    readingTime: getReadingTime(article.content),
+    series: metadata.series,
+    seriesOrder: metadata.seriesOrder,
+    ...(await renderBody(article.content, format)),
+  };
+}
+
+/** When content.js, or the translation layered over it, last changed. */
+export function profileModified(locale: Locale) {
+  const files = locale === defaultLocale ? ["content.js"] : ["content.js", `content.${locale}.js`];
+  const times = files
+    .map((file) => path.join(process.cwd(), "src", "app", "resources", file))
+    .filter((file) => fs.existsSync(file))
+    .map((file) => fs.statSync(file).mtime.getTime());
+  return new Date(Math.max(...times));
+}
+
+/**
+ * `person`, `social` and `about` from content.js as plain data. Descriptions
+ * stay Markdown unless `format` asks for HTML.
+ */
+export async function getProfile(locale: Locale, format: BodyFormat = "markdown") {
+  const { person, social, about } = getContent(locale);
+  const text = (markdown: string) =>
+    format === "html" ? markdownToHtml(markdown) : Promise.resolve(markdown);
+
+  return {
+    name: person.name,
+    firstName: person.firstName,
+    lastName: person.lastName,
+    role: person.role,
+    avatar: absoluteURL(person.avatar),
+    email: person.email,
+    timezone: person.location,
+    location: person.displayLocation,
+    languages: person.languages,
+    url: pageURL(locale, "/"),
+    social: social.filter((item) => item.link).map((item) => ({ name: item.name, url: item.link })),
+    intro: await text(about.intro.description),
+    work: await Promise.all(
+      about.work.experiences.map(async (experience) => ({
+        company: experience.company,
+        role: experience.role,
+        timeframe: experience.timeframe,
+        ...timeframeDates(experience.timeframe),
+        achievements: await Promise.all(experience.achievements.map(text)),
+      })),
+    ),
+    education: await Promise.all(
+      about.studies.institutions.map(async (institution) => ({
+        name: institution.name,
+        degree: institution.degree,
+        area: institution.area,
+        score: institution.score,
+        location: institution.location,
+        timeframe: institution.timeframe,
+        ...timeframeDates(institution.timeframe),
+        description: await text(institution.description),
+      })),
+    ),
+    skills: await Promise.all(
+      about.technical.skills.map(async (skill) => ({
+        title: skill.title,
+        keywords: skillKeywords(skill.description),
+        description: await text(skill.description),
+      })),
+    ),
+  };
+}
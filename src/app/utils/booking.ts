@@ -0,0 +1,262 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { baseURL, booking } from "@/app/resources";
+import { person } from "@/app/resources/content";
+
+/**
+ * Open slots for /book and the invites sent for them. Working hours and busy
+ * blocks are wall-clock times in `person.location`; slots leave here as UTC
+ * instants and are shown in both timezones by the page.
+ */
+
+export type Slot = { start: Date; end: Date };
+
+type WallTime = { year: number; month: number; day: number; hour?: number; minute?: number };
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// How far `timeZone` is ahead of UTC at `date`, in milliseconds.
+function timeZoneOffset(date: Date, timeZone: string) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const part = (type: string) => Number(parts.find((item) => item.type === type)?.value);
+  const wall = Date.UTC(
+    part("year"),
+    part("month") - 1,
+    part("day"),
+    part("hour"),
+    part("minute"),
+    part("second"),
+  );
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/** The instant at which clocks in `timeZone` show this wall time. */
+export function zonedTime(
+  { year, month, day, hour = 0, minute = 0 }: WallTime,
+  timeZone = person.location,
+) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = timeZoneOffset(new Date(wall), timeZone);
+  // The offset a few hours off can differ around a DST change; settle on the
+  // one in effect at the result.
+  const settled = timeZoneOffset(new Date(wall - offset), timeZone);
+  return new Date(wall - settled);
+}
+
+/** ISO dates from config; without an offset they're in `person.location`. */
+function parseDate(value: string) {
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(value)) return new Date(value);
+
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/);
+  if (!match) throw new Error(`booking.busy: "${value}" isn't an ISO date`);
+  const [, year, month, day, hour = "0", minute = "0"] = match;
+  return zonedTime({
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+  });
+}
+
+function unescapeText(value: string) {
+  return value.replace(/\\n/gi, "\n").replace(/\\([\\;,])/g, "$1");
+}
+
+function icsDate(value: string, params: Record<string, string>) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return undefined;
+  const [, year, month, day, hour = "0", minute = "0", second = "0", utc] = match;
+
+  if (utc) {
+    return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+  }
+  // Floating times and all-day dates are read in the owner's timezone.
+  return zonedTime(
+    { year: +year, month: +month, day: +day, hour: +hour, minute: +minute },
+    params.TZID || person.location,
+  );
+}
+
+// PT1H30M, P1D and the like.
+function icsDuration(value: string) {
+  const match = value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return 0;
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(Number);
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+/**
+ * Busy blocks from the VEVENTs of an .ics file. Cancelled and free
+ * ("transparent") events don't block anything; repeating events only count
+ * their first occurrence.
+ */
+export function parseBusyCalendar(text: string): Slot[] {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const blocks: Slot[] = [];
+  let event: Record<string, { value: string; params: Record<string, string> }> | undefined;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      event = {};
+      continue;
+    }
+    if (line === "END:VEVENT" && event) {
+      const start = event.DTSTART && icsDate(event.DTSTART.value, event.DTSTART.params);
+      const allDay = event.DTSTART?.value.length === 8;
+      let end = event.DTEND && icsDate(event.DTEND.value, event.DTEND.params);
+      if (!end && start) {
+        const duration = event.DURATION ? icsDuration(event.DURATION.value) : allDay ? DAY : 0;
+        end = new Date(start.getTime() + duration);
+      }
+
+      const free =
+        event.TRANSP?.value === "TRANSPARENT" || event.STATUS?.value === "CANCELLED";
+      if (start && end && end > start && !free) blocks.push({ start, end });
+      event = undefined;
+      continue;
+    }
+    if (!event) continue;
+
+    const colon = line.indexOf(":");
+    if (colon < 0) continue;
+    const [name, ...rawParams] = line.slice(0, colon).split(";");
+    const params = Object.fromEntries(
+      rawParams.map((param) => {
+        const [key, value = ""] = param.split("=");
+        return [key.toUpperCase(), value.replace(/^"|"$/g, "")];
+      }),
+    );
+    event[name.toUpperCase()] = { value: unescapeText(line.slice(colon + 1).trim()), params };
+  }
+
+  return blocks;
+}
+
+function readBusyCalendar() {
+  const filePath = path.join(process.cwd(), booking.calendarFile);
+  if (!fs.existsSync(filePath)) return [];
+  return parseBusyCalendar(fs.readFileSync(filePath, "utf-8"));
+}
+
+function busyBlocks(): Slot[] {
+  const configured = booking.busy.map(({ start, end }: { start: string; end: string }) => ({
+    start: parseDate(start),
+    end: parseDate(end),
+  }));
+  return [...configured, ...readBusyCalendar()];
+}
+
+function minutes(time: string) {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Every slot of `booking.duration` within the working hours of the next
+ * `booking.days` days that starts at least `booking.noticeHours` from now and
+ * doesn't overlap a busy block.
+ */
+export function getOpenSlots(now = new Date()): Slot[] {
+  const busy = busyBlocks();
+  const earliest = now.getTime() + booking.noticeHours * 60 * MINUTE;
+  const hours = booking.hours as Record<number, string[]>;
+
+  // Today's date where the owner is, as a UTC midnight to count days from.
+  const offset = timeZoneOffset(now, person.location);
+  const today = new Date(now.getTime() + offset);
+  const first = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+
+  const slots: Slot[] = [];
+  for (let index = 0; index <= booking.days; index++) {
+    const date = new Date(first + index * DAY);
+    const day = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+
+    for (const range of hours[date.getUTCDay()] || []) {
+      const [from, to] = range.split("-").map(minutes);
+      for (let minute = from; minute + booking.duration <= to; minute += booking.duration) {
+        const start = zonedTime({ ...day, hour: Math.floor(minute / 60), minute: minute % 60 });
+        const end = new Date(start.getTime() + booking.duration * MINUTE);
+        if (start.getTime() < earliest) continue;
+        if (busy.some((block) => block.start < end && block.end > start)) continue;
+        slots.push({ start, end });
+      }
+    }
+  }
+
+  return slots;
+}
+
+function escapeText(value: string) {
+  return value.replace(/[\\;,]/g, "\\$&").replace(/\r?\n/g, "\\n");
+}
+
+// Parameter values can't hold quotes, and need them around : ; and ,
+function quoteParam(value: string) {
+  return `"${value.replace(/"/g, "'")}"`;
+}
+
+// Lines longer than 75 octets continue on the next line after a space.
+function fold(line: string) {
+  const chunks: string[] = [];
+  let current = "";
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+function icsTime(date: Date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+export type BookingRequest = {
+  slot: Slot;
+  name: string;
+  email: string;
+  topic: string;
+};
+
+/**
+ * A tentative invite for the requested call, organized by `person` with the
+ * visitor as attendee. Opening it adds the call to the owner's calendar,
+ * which then sends the visitor the invitation.
+ */
+export function bookingInvite({ slot, name, email, topic }: BookingRequest) {
+  const host = new URL(baseURL).hostname;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${host}//Booking//EN`,
+    "METHOD:REQUEST",
+    "BEGIN:VEVENT",
+    `UID:${crypto.randomUUID()}@${host}`,
+    `DTSTAMP:${icsTime(new Date())}`,
+    `DTSTART:${icsTime(slot.start)}`,
+    `DTEND:${icsTime(slot.end)}`,
+    `SUMMARY:${escapeText(`${person.name} / ${name}`)}`,
+    `DESCRIPTION:${escapeText(topic)}`,
+    "STATUS:TENTATIVE",
+    `ORGANIZER;CN=${quoteParam(person.name)}:mailto:${person.email}`,
+    `ATTENDEE;CN=${quoteParam(name)};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${email}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(fold).join("\r\n")}\r\n`;
+}
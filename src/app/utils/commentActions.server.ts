@@ -0,0 +1,152 @@
+"use server";
+
+import crypto from "crypto";
+import { revalidatePath } from "next/cache";
+import { headers } from "next/headers";
+import { redirect } from "next/navigation";
+import { comments } from "@/app/resources";
+import {
+  Comment,
+  CommentStatus,
+  commentThreadPath,
+  endModeratorSession,
+  isModerator,
+  MAX_NAME_LENGTH,
+  MIN_MESSAGE_LENGTH,
+  spamReason,
+  startModeratorSession,
+} from "@/app/utils/comments";
+import { getCommentStore } from "@/app/utils/commentStore";
+import { clientIP, rateLimit } from "@/app/utils/rateLimit";
+
+/**
+ * Server actions behind the comment form and /admin/comments. A static
+ * export can't run them, so next.config.mjs only resolves this file when
+ * there's a server; commentActions.ts stands in for it otherwise.
+ */
+
+type CommentFields = {
+  name: string;
+  message: string;
+};
+
+export type CommentResult =
+  | { ok: true }
+  | { errors: Partial<Record<keyof CommentFields, string>> }
+  | { error: "invalid" | "rateLimited" | "failed" };
+
+function validate({ name, message }: CommentFields) {
+  const errors: Partial<Record<keyof CommentFields, string>> = {};
+
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    errors.name = `Please enter your name (up to ${MAX_NAME_LENGTH} characters).`;
+  }
+  if (message.length < MIN_MESSAGE_LENGTH || message.length > comments.maxLength) {
+    errors.message = `Comments must be between ${MIN_MESSAGE_LENGTH} and ${comments.maxLength} characters.`;
+  }
+
+  return errors;
+}
+
+/**
+ * Takes `{ thread, name, message }` plus the form's hidden `website` and
+ * `startedAt` fields. The comment is held for moderation either way; the
+ * result doesn't tell visitors whether it was filed as spam.
+ */
+export async function postComment(input: unknown): Promise<CommentResult> {
+  const limit = rateLimit(
+    `comments:${clientIP({ headers: headers() })}`,
+    comments.rateLimit.max,
+    comments.rateLimit.windowMs,
+  );
+  if (!limit.allowed) return { error: "rateLimited" };
+
+  // Anyone can call an action with any arguments, not just the form.
+  if (typeof input !== "object" || input === null || Array.isArray(input)) {
+    return { error: "invalid" };
+  }
+  const body = input as Record<string, unknown>;
+
+  const thread = String(body.thread ?? "");
+  if (!commentThreadPath(thread)) return { error: "invalid" };
+
+  // Bots fill the hidden field or send the form faster than anyone types;
+  // pretend it worked so they don't retry.
+  const elapsed = Date.now() - Number(body.startedAt);
+  if (
+    (typeof body.website === "string" && body.website.trim()) ||
+    !(elapsed >= comments.minSeconds * 1000)
+  ) {
+    return { ok: true };
+  }
+
+  const fields: CommentFields = {
+    name: String(body.name ?? "").trim(),
+    message: String(body.message ?? "").trim(),
+  };
+
+  const errors = validate(fields);
+  if (Object.keys(errors).length > 0) return { errors };
+
+  try {
+    const reason = await spamReason(thread, fields.name, fields.message);
+    const comment: Comment = {
+      id: crypto.randomUUID(),
+      thread,
+      ...fields,
+      createdAt: new Date().toISOString(),
+      status: reason ? "spam" : "pending",
+      reason,
+    };
+    await getCommentStore().add(comment);
+  } catch (error) {
+    console.error("Failed to save comment:", error);
+    return { error: "failed" };
+  }
+
+  return { ok: true };
+}
+
+/** The sign-in form at /admin/comments: `password` is COMMENTS_SECRET. */
+export async function signIn(form: FormData) {
+  // Slows down guessing; a real password doesn't need more than a few tries.
+  const limit = rateLimit(
+    `comments-session:${clientIP({ headers: headers() })}`,
+    10,
+    15 * 60 * 1000,
+  );
+  if (!limit.allowed || !startModeratorSession(String(form.get("password") ?? ""))) {
+    redirect("/admin/comments?denied");
+  }
+  redirect("/admin/comments");
+}
+
+export async function signOut() {
+  endModeratorSession();
+  redirect("/admin/comments");
+}
+
+const STATUSES: Record<string, CommentStatus> = {
+  approve: "approved",
+  spam: "spam",
+  pending: "pending",
+};
+
+/** The moderation buttons at /admin/comments: `id` and `action` (approve | spam | pending | delete). */
+export async function moderate(form: FormData) {
+  if (!isModerator()) redirect("/admin/comments");
+
+  const id = String(form.get("id") ?? "");
+  const action = String(form.get("action") ?? "");
+  const store = getCommentStore();
+
+  if (action === "delete") {
+    await store.remove(id);
+  } else if (STATUSES[action]) {
+    await store.update(id, STATUSES[action]);
+  } else {
+    throw new Error(`Unknown moderation action "${action}"`);
+  }
+
+  revalidatePath("/admin/comments");
+}
@@ -0,0 +1,18 @@
+import type * as actions from "@/app/utils/commentActions.server";
+
+export type { CommentResult } from "@/app/utils/commentActions.server";
+
+/**
+ * What a static export gets instead of commentActions.server.ts, which it
+ * can't include (see next.config.mjs). The comment form renders nothing there
+ * and /admin/comments isn't built, so none of these are ever called.
+ */
+
+function unavailable(): never {
+  throw new Error("Comments need a server; a static export has none");
+}
+
+export const postComment: typeof actions.postComment = async () => unavailable();
+export const signIn: typeof actions.signIn = async () => unavailable();
+export const signOut: typeof actions.signOut = async () => unavailable();
+export const moderate: typeof actions.moderate = async () => unavailable();
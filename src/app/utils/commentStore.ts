@@ -0,0 +1,170 @@
+import { comments } from "@/app/resources";
+import { jsonFile, sqliteDatabase } from "@/app/utils/dataFiles";
+import type { Comment, CommentStatus } from "@/app/utils/comments";
+
+/**
+ * Where comments are kept, chosen by `comments.storage`. Neither store needs
+ * a service running: a JSON file, or a SQLite database on Node.js 22.13+.
+ */
+
+type Store = {
+  add(comment: Comment): Promise<void>;
+  /** Oldest first; every comment when no filter is given. */
+  list(filter: { thread?: string; status?: CommentStatus }): Promise<Comment[]>;
+  /** Resolves to the updated comment, or undefined if there's no such id. */
+  update(id: string, status: CommentStatus): Promise<Comment | undefined>;
+  remove(id: string): Promise<Comment | undefined>;
+};
+
+function fileStore(): Store {
+  const file = jsonFile<{ comments: Comment[] }>(
+    process.env.COMMENTS_FILE || ".data/comments.json",
+    () => ({ comments: [] }),
+  );
+
+  // One at a time so concurrent submissions don't overwrite each other.
+  function change<T>(apply: (all: Comment[]) => T): Promise<T> {
+    return file.serialize(async () => {
+      const data = await file.read();
+      const value = apply(data.comments);
+      await file.write(data);
+      return value;
+    });
+  }
+
+  return {
+    add(comment) {
+      return change((all) => {
+        all.push(comment);
+      });
+    },
+
+    async list({ thread, status }) {
+      return (await file.read()).comments.filter(
+        (comment) => (!thread || comment.thread === thread) && (!status || comment.status === status),
+      );
+    },
+
+    update(id, status) {
+      return change((all) => {
+        const comment = all.find((item) => item.id === id);
+        if (comment) comment.status = status;
+        return comment;
+      });
+    },
+
+    remove(id) {
+      return change((all) => {
+        const index = all.findIndex((item) => item.id === id);
+        return index >= 0 ? all.splice(index, 1)[0] : undefined;
+      });
+    },
+  };
+}
+
+type CommentRow = {
+  id: string;
+  thread: string;
+  name: string;
+  message: string;
+  created_at: string;
+  status: CommentStatus;
+  reason: string | null;
+};
+
+function fromRow(row: CommentRow): Comment {
+  return {
+    id: row.id,
+    thread: row.thread,
+    name: row.name,
+    message: row.message,
+    createdAt: row.created_at,
+    status: row.status,
+    reason: row.reason ?? undefined,
+  };
+}
+
+function sqliteStore(): Store {
+  const open = sqliteDatabase(
+    process.env.COMMENTS_DB || ".data/comments.db",
+    `
+      CREATE TABLE IF NOT EXISTS comments (
+        id TEXT PRIMARY KEY,
+        thread TEXT NOT NULL,
+        name TEXT NOT NULL,
+        message TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        reason TEXT
+      );
+      CREATE INDEX IF NOT EXISTS comments_thread ON comments (thread, status);
+    `,
+    "COMMENTS_STORAGE",
+  );
+
+  function find(id: string) {
+    const row = open().prepare("SELECT * FROM comments WHERE id = ?").get(id) as
+      | CommentRow
+      | undefined;
+    return row && fromRow(row);
+  }
+
+  return {
+    async add(comment) {
+      open()
+        .prepare(
+          `INSERT INTO comments (id, thread, name, message, created_at, status, reason)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        )
+        .run(
+          comment.id,
+          comment.thread,
+          comment.name,
+          comment.message,
+          comment.createdAt,
+          comment.status,
+          comment.reason ?? null,
+        );
+    },
+
+    async list({ thread, status }) {
+      const rows = open()
+        .prepare(
+          `SELECT * FROM comments
+           WHERE (?1 IS NULL OR thread = ?1) AND (?2 IS NULL OR status = ?2)
+           ORDER BY created_at`,
+        )
+        .all(thread ?? null, status ?? null) as CommentRow[];
+      return rows.map(fromRow);
+    },
+
+    async update(id, status) {
+      open().prepare("UPDATE comments SET status = ? WHERE id = ?").run(status, id);
+      return find(id);
+    },
+
+    async remove(id) {
+      const comment = find(id);
+      if (comment) open().prepare("DELETE FROM comments WHERE id = ?").run(id);
+      return comment;
+    },
+  };
+}
+
+const stores: Record<string, () => Store> = {
+  file: fileStore,
+  sqlite: sqliteStore,
+};
+
+let store: Store | undefined;
+
+export function getCommentStore() {
+  if (!store) {
+    const create = stores[comments.storage];
+    if (!create) {
+      throw new Error(`Unknown comments storage "${comments.storage}"`);
+    }
+    store = create();
+  }
+  return store;
+}
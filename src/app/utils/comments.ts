@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import { cookies } from "next/headers";
+import { comments, routes } from "@/app/resources";
+import { getCommentStore } from "@/app/utils/commentStore";
+import { findContentItem, getContentItems } from "@/app/utils/content";
+
+/**
+ * Comments under posts and articles, and on /guestbook. Everything posted is
+ * kept, but only approved comments are shown; storage lives in
+ * commentStore.ts.
+ */
+
+export type CommentStatus = "pending" | "approved" | "spam";
+
+export type Comment = {
+  id: string;
+  // "blog:<slug>", "article:<id>" or "guestbook"; see commentThread().
+  thread: string;
+  name: string;
+  message: string;
+  createdAt: string;
+  status: CommentStatus;
+  // Why it was filed as spam.
+  reason?: string;
+};
+
+/** What the browser gets: no status, and nothing a moderator wrote down. */
+export type PublicComment = Pick<Comment, "id" | "name" | "message" | "createdAt">;
+
+export const MAX_NAME_LENGTH = 60;
+export const MIN_MESSAGE_LENGTH = 2;
+
+const SESSION_COOKIE = "comments_moderator";
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60;
+
+export function commentThread(type: "blog" | "article", slug: string) {
+  return `${type}:${slug}`;
+}
+
+/** The page a thread belongs to, or undefined if it can't take comments. */
+export function commentThreadPath(thread: string) {
+  if (!comments.display) return undefined;
+  if (thread === "guestbook") return routes["/guestbook"] ? "/guestbook" : undefined;
+
+  const [type, ...rest] = thread.split(":");
+  if (type !== "blog" && type !== "article") return undefined;
+  // Unlisted items take comments too; drafts never do.
+  const item = findContentItem(getContentItems(undefined, { unlisted: true }), type, rest.join(":"));
+  return item && (type === "blog" ? `/blog/${item.slug}` : `/articles/${item.slug}`);
+}
+
+export function toPublicComment({ id, name, message, createdAt }: Comment): PublicComment {
+  return { id, name, message, createdAt };
+}
+
+function normalize(message: string) {
+  return message.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Why a comment looks like spam, or undefined if it doesn't. Spam is kept
+ * so a moderator can still approve it.
+ */
+export async function spamReason(thread: string, name: string, message: string) {
+  const links = message.match(/https?:\/\/|www\./gi)?.length ?? 0;
+  if (links > comments.maxLinks) {
+    return `${links} links`;
+  }
+
+  const text = `${name} ${message}`.toLowerCase();
+  const word = comments.blockedWords.find((blocked) => text.includes(blocked.toLowerCase()));
+  if (word) {
+    return `blocked word "${word}"`;
+  }
+
+  const existing = await getCommentStore().list({ thread });
+  if (existing.some((comment) => normalize(comment.message) === normalize(message))) {
+    return "duplicate";
+  }
+
+  return undefined;
+}
+
+function sessionToken(secret: string) {
+  return crypto.createHmac("sha256", secret).update("comments-moderator").digest("base64url");
+}
+
+function matches(value: string, expected: string) {
+  const a = Buffer.from(value);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/** Whether this request comes from a moderator who signed in at /admin/comments. */
+export function isModerator() {
+  const secret = process.env.COMMENTS_SECRET;
+  const token = cookies().get(SESSION_COOKIE)?.value;
+  return Boolean(secret && token && matches(token, sessionToken(secret)));
+}
+
+/**
+ * Signs this browser in as a moderator when `password` is COMMENTS_SECRET.
+ * Without COMMENTS_SECRET set, nobody can sign in.
+ */
+export function startModeratorSession(password: string) {
+  const secret = process.env.COMMENTS_SECRET;
+  if (!secret || !matches(password, secret)) return false;
+
+  cookies().set(SESSION_COOKIE, sessionToken(secret), {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+    maxAge: SESSION_MAX_AGE,
+  });
+  return true;
+}
+
+export function endModeratorSession() {
+  cookies().delete(SESSION_COOKIE);
+}
@@ -0,0 +1,142 @@
+import { routes } from "@/app/resources";
+import { defaultLocale, Locale, localePath } from "@/app/resources/i18n";
+import { coverSrc } from "@/app/utils/covers";
+import type { Visibility } from "@/app/utils/publishing";
+import { getArticles, getPosts, toTags } from "@/app/utils/utils";
+
+export type ContentType = "blog" | "project" | "article";
+
+export type ContentItem = {
+  type: ContentType;
+  slug: string;
+  href: string;
+  title: string;
+  summary: string;
+  publishedAt: string;
+  tags: string[];
+  image?: string;
+  series?: string;
+  seriesOrder?: number;
+  content: string;
+};
+
+/**
+ * Every post, project and article from the sections enabled in `routes`,
+ * in one shape so they can be compared with each other. Only published
+ * items unless `visibility` says otherwise.
+ */
+export function getContentItems(
+  locale: Locale = defaultLocale,
+  visibility?: Visibility,
+): ContentItem[] {
+  const items: ContentItem[] = [];
+
+  if (routes["/blog"]) {
+    for (const post of getPosts(["src", "app", "blog", "posts"], locale, visibility)) {
+      items.push({
+        type: "blog",
+        slug: post.slug,
+        href: localePath(locale, `/blog/${post.slug}`),
+        title: post.metadata.title,
+        summary: post.metadata.summary,
+        publishedAt: post.metadata.publishedAt,
+        tags: toTags(post.metadata.tag),
+        image: post.metadata.image || undefined,
+        series: post.metadata.series,
+        seriesOrder: post.metadata.seriesOrder,
+        content: post.content,
+      });
+    }
+  }
+
+  if (routes["/project"]) {
+    for (const project of getPosts(["src", "app", "project", "projects"], locale, visibility)) {
+      items.push({
+        type: "project",
+        slug: project.slug,
+        href: localePath(locale, `/project/${project.slug}`),
+        title: project.metadata.title,
+        summary: project.metadata.summary,
+        publishedAt: project.metadata.publishedAt,
+        tags: toTags(project.metadata.tag),
+        image: project.metadata.images[0],
+        series: project.metadata.series,
+        seriesOrder: project.metadata.seriesOrder,
+        content: project.content,
+      });
+    }
+  }
+
+  if (routes["/articles"]) {
+    for (const article of getArticles(locale, visibility)) {
+      items.push({
+        type: "article",
+        slug: article.slug,
+        href: localePath(locale, `/articles/${article.slug}`),
+        title: article.metadata.title,
+        summary: article.metadata.summary,
+        publishedAt: article.metadata.publishedAt,
+        tags: article.metadata.tags,
+        image: coverSrc(article),
+        series: article.metadata.series,
+        seriesOrder: article.metadata.seriesOrder,
+        content: article.content,
+      });
+    }
+  }
+
+  return items.sort(
+    (a, b) => new Date(b.publishedAt).getTime() - new Date(a.publishedAt).getTime(),
+  );
+}
+
+export function findContentItem(items: ContentItem[], type: ContentType, slug: string) {
+  return items.find((item) => item.type === type && item.slug === slug);
+}
+
+/**
+ * Items in the same series, ordered by `seriesOrder` and then by date.
+ */
+export function getSeries(items: ContentItem[], current: ContentItem): ContentItem[] {
+  if (!current.series) return [];
+
+  return items
+    .filter((item) => item.series === current.series)
+    .sort(
+      (a, b) =>
+        (a.seriesOrder ?? Number.MAX_SAFE_INTEGER) - (b.seriesOrder ?? Number.MAX_SAFE_INTEGER) ||
+        new Date(a.publishedAt).getTime() - new Date(b.publishedAt).getTime(),
+    );
+}
+
+/**
+ * Up to `limit` items of any type, ranked by how many tags they share with
+ * `current`; newer items win ties. Items with no shared tag are left out.
+ */
+export function getRelated(items: ContentItem[], current: ContentItem, limit = 3) {
+  const tags = new Set(current.tags.map((tag) => tag.toLowerCase()));
+
+  return items
+    .filter((item) => item !== current)
+    .map((item) => ({
+      item,
+      score: item.tags.filter((tag) => tags.has(tag.toLowerCase())).length,
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ item }) => item);
+}
+
+/**
+ * The chronologically previous (older) and next (newer) item of the same type.
+ */
+export function getAdjacent(items: ContentItem[], current: ContentItem) {
+  const sameType = items.filter((item) => item.type === current.type);
+  const index = sameType.indexOf(current);
+
+  return {
+    previous: index >= 0 ? sameType[index + 1] : undefined,
+    next: index > 0 ? sameType[index - 1] : undefined,
+  };
+}
@@ -0,0 +1,197 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import {
+  ARTICLE_IMAGES_DIR,
+  COVERS_DIR,
+  CoverManifest,
+  CoverManifestEntry,
+  CoverVariant,
+  coverSize,
+  coverSrc,
+  coverWidths,
+  readCoverManifest,
+  writeCoverManifest,
+} from "@/app/utils/covers";
+import { renderOgCard } from "@/app/utils/ogCard";
+import { Article, getArticles, getReadingTime } from "@/app/utils/utils";
+
+const ARTICLES_DIR = path.join(process.cwd(), "src", "app", "articles", "posts");
+
+const EXTENSIONS: Record<string, string> = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+  "image/gif": ".gif",
+};
+
+export type CoverBuildResult = {
+  pulled: string[];
+  built: string[];
+  // Articles whose cover is still a remote URL, served from there as is.
+  remote: { slug: string; url: string }[];
+  // Articles whose cover is served as is, with why.
+  failed: { slug: string; error: string }[];
+};
+
+function publicPath(src: string) {
+  return path.join(process.cwd(), "public", src);
+}
+
+function hash(data: Buffer | string) {
+  return crypto.createHash("sha1").update(data).digest("hex");
+}
+
+/**
+ * Downloads a remote cover to public/images/articles and points the front
+ * matter of the article, and its translations, at the saved file, so it's
+ * fetched once and then lives in the repo. Only on request: this edits
+ * sources, which a build must not do.
+ */
+async function pullCover(article: Article, url: string) {
+  let response: Response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(15000) });
+  } catch (error) {
+    throw new Error(`Could not download ${url}: ${(error as Error).message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`${url} answered ${response.status}`);
+  }
+  const type = response.headers.get("Content-Type")?.split(";")[0] || "";
+  const extension = EXTENSIONS[type];
+  if (!extension) {
+    throw new Error(`${url} isn't an image (${type || "no content type"})`);
+  }
+
+  const src = `${ARTICLE_IMAGES_DIR}/${article.slug}${extension}`;
+  fs.mkdirSync(path.dirname(publicPath(src)), { recursive: true });
+  fs.writeFileSync(publicPath(src), Buffer.from(await response.arrayBuffer()));
+
+  for (const file of fs.readdirSync(ARTICLES_DIR)) {
+    const filePath = path.join(ARTICLES_DIR, file);
+    const source = fs.readFileSync(filePath, "utf-8");
+    if (source.includes(url)) {
+      fs.writeFileSync(filePath, source.split(url).join(src));
+    }
+  }
+  article.metadata.cover = src;
+}
+
+/** The cover's image data and a hash of what it was made from. */
+async function coverImage(article: Article, src: string) {
+  if (article.metadata.cover) {
+    const data = fs.readFileSync(publicPath(src));
+    return { data, hash: hash(data) };
+  }
+
+  const card = {
+    title: article.metadata.title,
+    tags: article.metadata.tags,
+    publishedAt: article.metadata.publishedAt,
+    readingTime: getReadingTime(article.content),
+  };
+  const key = hash(JSON.stringify({ card, coverSize }));
+  // Cards only change with the article, so an existing one is reused.
+  if (fs.existsSync(publicPath(src)) && readCoverManifest()[article.slug]?.hash === key) {
+    return { data: fs.readFileSync(publicPath(src)), hash: key };
+  }
+
+  const image = await renderOgCard(card, coverSize);
+  const data = Buffer.from(await image.arrayBuffer());
+  fs.mkdirSync(path.dirname(publicPath(src)), { recursive: true });
+  fs.writeFileSync(publicPath(src), data);
+  return { data, hash: key };
+}
+
+async function buildCover(article: Article, src: string, previous?: CoverManifestEntry) {
+  const { data, hash: key } = await coverImage(article, src);
+  const upToDate =
+    previous?.source === src &&
+    previous.hash === key &&
+    previous.variants.every((variant) => fs.existsSync(publicPath(variant.src)));
+  if (upToDate) return { entry: previous, built: false };
+
+  const image = sharp(data);
+  const { width, height, orientation } = await image.metadata();
+  if (!width || !height) {
+    throw new Error(`Could not read the dimensions of public${src}`);
+  }
+
+  // Never wider than the original; the original's own width is the last step.
+  const widths = coverWidths.filter((step) => step < width);
+  widths.push(Math.min(width, coverWidths[coverWidths.length - 1]));
+
+  const variants: CoverVariant[] = [];
+  for (const step of widths) {
+    const variant = `${COVERS_DIR}/${article.slug}-${step}.webp`;
+    await image.clone().rotate().resize(step).webp({ quality: 80 }).toFile(publicPath(variant));
+    variants.push({ width: step, src: variant });
+  }
+  const placeholder = await image
+    .clone()
+    .rotate()
+    .resize(16, 16, { fit: "inside" })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  // EXIF orientations 5–8 are stored rotated by 90°; browsers display them upright.
+  const rotated = (orientation || 1) >= 5;
+  const entry: CoverManifestEntry = {
+    source: src,
+    hash: key,
+    width: rotated ? height : width,
+    height: rotated ? width : height,
+    blurDataURL: `data:image/webp;base64,${placeholder.toString("base64")}`,
+    variants,
+  };
+  return { entry, built: true };
+}
+
+/**
+ * Brings public/images/covers up to date with the articles: draws cards for
+ * articles without a cover, and writes the width variants and manifest.
+ * Remote covers are left alone unless `pull` is on, when they're saved into
+ * the repo first. Files no article uses any more are removed.
+ */
+export async function buildCovers({ pull = false } = {}): Promise<CoverBuildResult> {
+  const result: CoverBuildResult = { pulled: [], built: [], remote: [], failed: [] };
+  const previous = readCoverManifest();
+  const manifest: CoverManifest = {};
+
+  fs.mkdirSync(publicPath(COVERS_DIR), { recursive: true });
+
+  // Drafts too, so their covers are ready when they're published.
+  for (const article of getArticles(undefined, { unlisted: true, preview: true })) {
+    try {
+      const { cover } = article.metadata;
+      if (cover && /^https?:\/\//.test(cover)) {
+        if (!pull) {
+          result.remote.push({ slug: article.slug, url: cover });
+          continue;
+        }
+        await pullCover(article, cover);
+        result.pulled.push(article.slug);
+      }
+
+      const { entry, built } = await buildCover(article, coverSrc(article), previous[article.slug]);
+      manifest[article.slug] = entry;
+      if (built) result.built.push(article.slug);
+    } catch (error) {
+      result.failed.push({ slug: article.slug, error: (error as Error).message });
+    }
+  }
+
+  const used = new Set(
+    Object.values(manifest).flatMap((entry) => [entry.source, ...entry.variants.map((variant) => variant.src)]),
+  );
+  for (const file of fs.readdirSync(publicPath(COVERS_DIR))) {
+    const src = `${COVERS_DIR}/${file}`;
+    if (file !== "manifest.json" && !used.has(src)) fs.rmSync(publicPath(src));
+  }
+
+  writeCoverManifest(manifest);
+  return result;
+}
@@ -0,0 +1,90 @@
+import fs from "fs";
+import path from "path";
+import type { Article } from "@/app/utils/utils";
+
+/**
+ * Article covers as served: the image named in front matter, or a branded
+ * card drawn for articles without one, each with smaller WebP copies and a
+ * blur placeholder. `npm run covers` (run before dev, build and export)
+ * writes them to public/images/covers; see coverBuild.ts.
+ */
+
+export type CoverVariant = { width: number; src: string };
+
+export type Cover = {
+  src: string;
+  width: number;
+  height: number;
+  blurDataURL?: string;
+  // Narrowest first.
+  variants: CoverVariant[];
+};
+
+export type CoverManifestEntry = Omit<Cover, "src"> & {
+  source: string;
+  // Of whatever the cover was made from, to tell when it needs redoing.
+  hash: string;
+};
+
+export type CoverManifest = Record<string, CoverManifestEntry>;
+
+/** Generated covers, variants and manifest.json; not kept in git. */
+export const COVERS_DIR = "/images/covers";
+
+/** Where remote covers are saved when they're pulled into the repo. */
+export const ARTICLE_IMAGES_DIR = "/images/articles";
+
+export const coverSize = { width: 1440, height: 960 };
+
+export const coverWidths = [360, 720, 1080, 1440];
+
+const MANIFEST = path.join(process.cwd(), "public", COVERS_DIR, "manifest.json");
+
+let cached: CoverManifest | undefined;
+
+export function readCoverManifest(): CoverManifest {
+  if (cached) return cached;
+
+  let manifest: CoverManifest = {};
+  try {
+    manifest = JSON.parse(fs.readFileSync(MANIFEST, "utf-8"));
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+  }
+  // Re-read in development, where `npm run covers` may run alongside.
+  if (process.env.NODE_ENV === "production") cached = manifest;
+  return manifest;
+}
+
+export function writeCoverManifest(manifest: CoverManifest) {
+  fs.mkdirSync(path.dirname(MANIFEST), { recursive: true });
+  fs.writeFileSync(MANIFEST, `${JSON.stringify(manifest, null, 2)}\n`);
+  cached = undefined;
+}
+
+/** The branded card drawn for an article without a cover of its own. */
+export function generatedCoverPath(slug: string) {
+  return `${COVERS_DIR}/${slug}.png`;
+}
+
+/** The article's cover image: its own, or the generated card. */
+export function coverSrc(article: Article) {
+  return article.metadata.cover || generatedCoverPath(article.slug);
+}
+
+/**
+ * Dimensions, placeholder and variants of the article's cover. Without them,
+ * before `npm run covers` has run or while the cover is still a remote URL,
+ * the image is served as is at the card's proportions.
+ */
+export function getCover(article: Article): Cover {
+  const src = coverSrc(article);
+  const entry = readCoverManifest()[article.slug];
+
+  if (!entry || entry.source !== src) {
+    return { src, ...coverSize, variants: [] };
+  }
+
+  const { width, height, blurDataURL, variants } = entry;
+  return { src, width, height, blurDataURL, variants };
+}
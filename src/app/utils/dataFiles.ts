@@ -0,0 +1,79 @@
+import fs from "fs/promises";
+import { mkdirSync } from "fs";
+import path from "path";
+
+/**
+ * The plumbing shared by the stores that keep their data on the server's
+ * disk: a JSON file, or a SQLite database on Node.js 22.13+. Paths are
+ * relative to the project root.
+ */
+
+/**
+ * A JSON document that is read fresh on every call. Run each read-modify-write
+ * through `serialize` so concurrent requests don't overwrite each other.
+ */
+export function jsonFile<T>(file: string, empty: () => T) {
+  const filePath = path.join(process.cwd(), file);
+  let queue: Promise<unknown> = Promise.resolve();
+
+  return {
+    async read(): Promise<T> {
+      try {
+        return JSON.parse(await fs.readFile(filePath, "utf8"));
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === "ENOENT") return empty();
+        throw error;
+      }
+    },
+
+    async write(data: T) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write-then-rename, so a crash can't leave half a file behind.
+      await fs.writeFile(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+      await fs.rename(`${filePath}.tmp`, filePath);
+    },
+
+    /** Runs `task` once every task queued before it has settled. */
+    serialize<R>(task: () => Promise<R>): Promise<R> {
+      const result = queue.then(task);
+      queue = result.catch(() => undefined);
+      return result;
+    },
+  };
+}
+
+// The subset of node:sqlite used here; @types/node doesn't cover it yet.
+export type SqliteDatabase = {
+  exec(sql: string): void;
+  prepare(sql: string): {
+    run(...params: unknown[]): { changes: number | bigint };
+    all(...params: unknown[]): unknown[];
+    get(...params: unknown[]): unknown;
+  };
+};
+
+/**
+ * Opens the database at `file` on first use and runs `schema` against it,
+ * which should only create what doesn't exist yet. `setting` names the
+ * option that chose SQLite, for the error on older Node.js versions.
+ */
+export function sqliteDatabase(file: string, schema: string, setting: string) {
+  let db: SqliteDatabase | undefined;
+
+  return function open() {
+    if (db) return db;
+
+    const sqlite = process.getBuiltinModule?.("node:sqlite") as
+      | { DatabaseSync: new (file: string) => SqliteDatabase }
+      | undefined;
+    if (!sqlite) {
+      throw new Error(`${setting}=sqlite needs Node.js 22.13 or later (node:sqlite)`);
+    }
+
+    const filePath = path.join(process.cwd(), file);
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    db = new sqlite.DatabaseSync(filePath);
+    db.exec(schema);
+    return db;
+  };
+}
@@ -0,0 +1,87 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import { contact } from "@/app/resources";
+import { person } from "@/app/resources/content";
+
+export type Attachment = {
+  filename: string;
+  content: string;
+  contentType: string;
+};
+
+export type OutgoingMessage = {
+  subject: string;
+  text: string;
+  replyTo?: string;
+  attachments?: Attachment[];
+};
+
+type Transport = (message: OutgoingMessage & { to: string }) => Promise<void>;
+
+const fileTransport: Transport = async (message) => {
+  const filePath = path.join(process.cwd(), process.env.CONTACT_FILE || ".data/messages.jsonl");
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(
+    filePath,
+    `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`,
+  );
+};
+
+const webhookTransport: Transport = async (message) => {
+  const url = process.env.CONTACT_WEBHOOK_URL;
+  if (!url) {
+    throw new Error("CONTACT_WEBHOOK_URL is not set");
+  }
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(message),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded with ${response.status}`);
+  }
+};
+
+const smtpTransport: Transport = async (message) => {
+  const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM } = process.env;
+  if (!SMTP_HOST) {
+    throw new Error("SMTP_HOST is not set");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: Number(SMTP_PORT || 587),
+    secure: Number(SMTP_PORT) === 465,
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+
+  await transporter.sendMail({
+    from: SMTP_FROM || SMTP_USER,
+    to: message.to,
+    replyTo: message.replyTo,
+    subject: message.subject,
+    text: message.text,
+    attachments: message.attachments,
+  });
+};
+
+const transports: Record<string, Transport> = {
+  file: fileTransport,
+  webhook: webhookTransport,
+  smtp: smtpTransport,
+};
+
+/**
+ * Sends a message to the site owner through the transport set in `contact.transport`.
+ */
+export async function deliver(message: OutgoingMessage) {
+  const transport = transports[contact.transport];
+  if (!transport) {
+    throw new Error(`Unknown contact transport "${contact.transport}"`);
+  }
+
+  await transport({ ...message, to: person.email });
+}
@@ -0,0 +1,175 @@
+import { baseURL, feed, routes } from "@/app/resources";
+import { home, person } from "@/app/resources/content";
+import { markdownToHtml } from "@/app/utils/markdown";
+import { getArticles, getPosts, toTags } from "@/app/utils/utils";
+import { escapeXml } from "@/app/utils/xml";
+
+export type FeedEntry = {
+  id: string;
+  title: string;
+  summary: string;
+  url: string;
+  publishedAt: string;
+  tags: string[];
+  section: "blog" | "project" | "articles";
+  content?: string;
+};
+
+function toISODate(date: string) {
+  return new Date(date.includes("T") ? date : `${date}T00:00:00Z`).toISOString();
+}
+
+/**
+ * Collects entries from every section enabled in `routes`, newest first.
+ */
+export async function getFeedEntries(): Promise<FeedEntry[]> {
+  const entries: (FeedEntry & { body: string })[] = [];
+
+  if (routes["/blog"]) {
+    for (const post of getPosts(["src", "app", "blog", "posts"])) {
+      entries.push({
+        id: `${baseURL}/blog/${post.slug}`,
+        title: post.metadata.title,
+        summary: post.metadata.summary,
+        url: `${baseURL}/blog/${post.slug}`,
+        publishedAt: toISODate(post.metadata.publishedAt),
+        tags: toTags(post.metadata.tag),
+        section: "blog",
+        body: post.content,
+      });
+    }
+  }
+
+  if (routes["/project"]) {
+    for (const project of getPosts(["src", "app", "project", "projects"])) {
+      entries.push({
+        id: `${baseURL}/project/${project.slug}`,
+        title: project.metadata.title,
+        summary: project.metadata.summary,
+        url: `${baseURL}/project/${project.slug}`,
+        publishedAt: toISODate(project.metadata.publishedAt),
+        tags: toTags(project.metadata.tag),
+        section: "project",
+        body: project.content,
+      });
+    }
+  }
+
+  if (routes["/articles"]) {
+    for (const article of getArticles()) {
+      entries.push({
+        id: `${baseURL}/articles/${article.slug}`,
+        title: article.metadata.title,
+        summary: article.metadata.summary,
+        url: `${baseURL}/articles/${article.slug}`,
+        publishedAt: toISODate(article.metadata.publishedAt),
+        tags: article.metadata.tags,
+        section: "articles",
+        body: article.content,
+      });
+    }
+  }
+
+  const latest = entries
+    .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+    .slice(0, feed.limit);
+
+  return Promise.all(
+    latest.map(async ({ body, ...entry }) => ({
+      ...entry,
+      content: feed.fullContent ? await markdownToHtml(body) : undefined,
+    })),
+  );
+}
+
+function cdata(value: string) {
+  return `<![CDATA[${value.replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+function lastUpdated(entries: FeedEntry[]) {
+  return entries[0]?.publishedAt ?? new Date(0).toISOString();
+}
+
+export function buildRss(entries: FeedEntry[]) {
+  const items = entries
+    .map(
+      (entry) => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="true">${escapeXml(entry.id)}</guid>
+      <pubDate>${new Date(entry.publishedAt).toUTCString()}</pubDate>
+      <description>${escapeXml(entry.summary)}</description>
+${entry.tags.map((tag) => `      <category>${escapeXml(tag)}</category>`).join("\n")}${
+        entry.content ? `\n      <content:encoded>${cdata(entry.content)}</content:encoded>` : ""
+      }
+    </item>`,
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(home.title)}</title>
+    <link>${baseURL}</link>
+    <description>${escapeXml(home.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${new Date(lastUpdated(entries)).toUTCString()}</lastBuildDate>
+    <atom:link href="${baseURL}/feed.xml" rel="self" type="application/rss+xml" />
+${items}
+  </channel>
+</rss>
+`;
+}
+
+export function buildAtom(entries: FeedEntry[]) {
+  const items = entries
+    .map(
+      (entry) => `  <entry>
+    <title>${escapeXml(entry.title)}</title>
+    <link href="${escapeXml(entry.url)}" />
+    <id>${escapeXml(entry.id)}</id>
+    <published>${entry.publishedAt}</published>
+    <updated>${entry.publishedAt}</updated>
+    <summary>${escapeXml(entry.summary)}</summary>
+${entry.tags.map((tag) => `    <category term="${escapeXml(tag)}" />`).join("\n")}${
+        entry.content ? `\n    <content type="html">${escapeXml(entry.content)}</content>` : ""
+      }
+  </entry>`,
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(home.title)}</title>
+  <subtitle>${escapeXml(home.description)}</subtitle>
+  <link href="${baseURL}" />
+  <link href="${baseURL}/atom.xml" rel="self" />
+  <id>${baseURL}/</id>
+  <updated>${lastUpdated(entries)}</updated>
+  <author>
+    <name>${escapeXml(person.name)}</name>
+  </author>
+${items}
+</feed>
+`;
+}
+
+export function buildJsonFeed(entries: FeedEntry[]) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: home.title,
+    description: home.description,
+    home_page_url: baseURL,
+    feed_url: `${baseURL}/feed.json`,
+    authors: [{ name: person.name, avatar: `${baseURL}${person.avatar}` }],
+    items: entries.map((entry) => ({
+      id: entry.id,
+      url: entry.url,
+      title: entry.title,
+      summary: entry.summary,
+      date_published: entry.publishedAt,
+      tags: entry.tags,
+      ...(entry.content ? { content_html: entry.content } : {}),
+    })),
+  };
+}
@@ -0,0 +1,242 @@
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { gallery } from "@/app/resources/content";
+import { defaultLocale, getContent, Locale, localePath } from "@/app/resources/i18n";
+import { slugify } from "@/app/utils/markdown";
+import { assertValid, galleryManifestSchema } from "@/app/utils/validation";
+
+export type GalleryImage = {
+  slug: string;
+  album: string;
+  src: string;
+  width: number;
+  height: number;
+  orientation: "horizontal" | "vertical";
+  alt: string;
+  caption?: string;
+  date?: string;
+  blurDataURL: string;
+};
+
+export type GalleryAlbum = {
+  slug: string;
+  title: string;
+  description?: string;
+  images: GalleryImage[];
+};
+
+type ImageDetails = { alt?: string; caption?: string; date?: string };
+
+type Manifest = {
+  title?: string;
+  description?: string;
+  images?: Record<string, ImageDetails>;
+};
+
+const MANIFEST = "gallery.json";
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".avif", ".gif"];
+
+function publicDir(src: string) {
+  return path.join(process.cwd(), "public", src);
+}
+
+/**
+ * `gallery.json` of a folder with `gallery.<locale>.json` layered over it, so
+ * a translation only needs the captions that change.
+ */
+function readManifest(dir: string, locale: Locale): Manifest {
+  const read = (file: string): Manifest => {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) return {};
+
+    let manifest: Manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (error) {
+      throw new Error(`${path.relative(process.cwd(), filePath)}: ${(error as Error).message}`);
+    }
+    assertValid(manifest, galleryManifestSchema, path.relative(process.cwd(), filePath));
+    return manifest;
+  };
+
+  const original = read(MANIFEST);
+  if (locale === defaultLocale) return original;
+
+  const translation = read(MANIFEST.replace(".json", `.${locale}.json`));
+  const images = { ...original.images };
+  for (const [file, details] of Object.entries(translation.images || {})) {
+    images[file] = { ...images[file], ...details };
+  }
+  return { ...original, ...translation, images };
+}
+
+/**
+ * DateTimeOriginal (or DateTime) from the raw EXIF block sharp returns, as
+ * YYYY-MM-DD. Only the two IFDs that hold those tags are read.
+ */
+function exifDate(exif?: Buffer) {
+  if (!exif) return undefined;
+
+  try {
+    const tiff = exif.subarray(exif.toString("ascii", 0, 4) === "Exif" ? 6 : 0);
+    const little = tiff.toString("ascii", 0, 2) === "II";
+    const u16 = (offset: number) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const u32 = (offset: number) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const entry = (ifd: number, tag: number) => {
+      for (let index = 0; index < u16(ifd); index++) {
+        const offset = ifd + 2 + index * 12;
+        if (u16(offset) === tag) return offset;
+      }
+      return undefined;
+    };
+    const ascii = (offset: number) => {
+      const count = u32(offset + 4);
+      const start = count > 4 ? u32(offset + 8) : offset + 8;
+      return tiff.toString("ascii", start, start + count).replace(/\0+$/, "");
+    };
+
+    const ifd0 = u32(4);
+    const exifPointer = entry(ifd0, 0x8769);
+    const original = exifPointer !== undefined ? entry(u32(exifPointer + 8), 0x9003) : undefined;
+    const modified = entry(ifd0, 0x0132);
+    const value = original !== undefined ? ascii(original) : modified !== undefined ? ascii(modified) : "";
+
+    const match = value.match(/^(\d{4}):(\d{2}):(\d{2})/);
+    return match && match[1] !== "0000" ? `${match[1]}-${match[2]}-${match[3]}` : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+async function readImage(
+  file: string,
+  src: string,
+  album: string,
+  details: ImageDetails = {},
+): Promise<GalleryImage> {
+  const image = sharp(file);
+  const metadata = await image.metadata();
+  if (!metadata.width || !metadata.height) {
+    throw new Error(`Could not read the dimensions of public${src}`);
+  }
+
+  // EXIF orientations 5–8 are stored rotated by 90°; browsers display them upright.
+  const rotated = (metadata.orientation || 1) >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const placeholder = await image.rotate().resize(16, 16, { fit: "inside" }).webp({ quality: 40 }).toBuffer();
+  const name = path.basename(file, path.extname(file));
+
+  return {
+    slug: slugify(name),
+    album,
+    src,
+    width,
+    height,
+    orientation: width >= height ? "horizontal" : "vertical",
+    alt: details.alt || details.caption || name.replace(/[-_]+/g, " "),
+    caption: details.caption,
+    date: details.date || exifDate(metadata.exif),
+    blurDataURL: `data:image/webp;base64,${placeholder.toString("base64")}`,
+  };
+}
+
+function byDate(a: GalleryImage, b: GalleryImage) {
+  if (a.date !== b.date) {
+    if (!a.date) return 1;
+    if (!b.date) return -1;
+    return a.date < b.date ? 1 : -1;
+  }
+  return a.src.localeCompare(b.src);
+}
+
+async function readAlbum(dir: string, slug: string, title: string, locale: Locale) {
+  const folder = publicDir(dir);
+  const manifest = readManifest(folder, locale);
+  const files = fs
+    .readdirSync(folder)
+    .filter((file) => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+
+  for (const file of Object.keys(manifest.images || {})) {
+    if (!files.includes(file)) {
+      throw new Error(`public${dir}/${MANIFEST}: "images.${file}" points to a missing file`);
+    }
+  }
+
+  const images = await Promise.all(
+    files.map((file) => readImage(path.join(folder, file), `${dir}/${file}`, slug, manifest.images?.[file])),
+  );
+
+  const seen = new Set<string>();
+  for (const image of images) {
+    if (seen.has(image.slug)) {
+      throw new Error(`public${dir}: two images share the slug "${image.slug}"; rename one of them`);
+    }
+    seen.add(image.slug);
+  }
+
+  return {
+    slug,
+    title: manifest.title || title,
+    description: manifest.description,
+    images: images.sort(byDate),
+  };
+}
+
+async function readGallery(locale: Locale): Promise<GalleryAlbum[]> {
+  const { directory } = gallery;
+  const { gallery: localized } = getContent(locale);
+  if (!fs.existsSync(publicDir(directory))) return [];
+
+  // Loose images form the default album; each subfolder is an album of its own.
+  const folders = fs
+    .readdirSync(publicDir(directory), { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+
+  const albums = await Promise.all([
+    readAlbum(directory, localized.album.slug, localized.album.title, locale),
+    ...folders.map((folder) =>
+      readAlbum(`${directory}/${folder}`, slugify(folder), folder.replace(/[-_]+/g, " "), locale),
+    ),
+  ]);
+
+  const slugs = new Set<string>();
+  for (const album of albums) {
+    if (slugs.has(album.slug)) {
+      throw new Error(`public${directory}: two albums share the slug "${album.slug}"`);
+    }
+    slugs.add(album.slug);
+  }
+
+  return albums.filter((album) => album.images.length > 0);
+}
+
+const cache = new Map<Locale, Promise<GalleryAlbum[]>>();
+
+/**
+ * Albums and images under `gallery.directory`, with dimensions, EXIF dates and
+ * blur placeholders read from the files. Cached for the lifetime of a build;
+ * in development new photos show up on reload.
+ */
+export function getGallery(locale: Locale = defaultLocale) {
+  if (process.env.NODE_ENV !== "production") return readGallery(locale);
+
+  let albums = cache.get(locale);
+  if (!albums) {
+    albums = readGallery(locale);
+    cache.set(locale, albums);
+  }
+  return albums;
+}
+
+export async function getGalleryImages(locale?: Locale) {
+  return (await getGallery(locale)).flatMap((album) => album.images).sort(byDate);
+}
+
+export function galleryPath(locale: Locale, album?: string, image?: string) {
+  return localePath(locale, ["/gallery", album, image].filter(Boolean).join("/"));
+}
@@ -0,0 +1,93 @@
+import Prism from "prismjs";
+import "prismjs/components/prism-markup";
+import "prismjs/components/prism-css";
+import "prismjs/components/prism-clike";
+import "prismjs/components/prism-javascript";
+import "prismjs/components/prism-jsx";
+import "prismjs/components/prism-typescript";
+import "prismjs/components/prism-tsx";
+import "prismjs/components/prism-scss";
+import "prismjs/components/prism-bash";
+import "prismjs/components/prism-json";
+import "prismjs/components/prism-yaml";
+import "prismjs/components/prism-diff";
+import "prismjs/components/prism-sql";
+import "prismjs/components/prism-python";
+import "prismjs/components/prism-java";
+import "prismjs/components/prism-markdown";
+
+const aliases: Record<string, string> = {
+  js: "javascript",
+  ts: "typescript",
+  sh: "bash",
+  shell: "bash",
+  zsh: "bash",
+  html: "markup",
+  xml: "markup",
+  vue: "markup",
+  svg: "markup",
+  yml: "yaml",
+  md: "markdown",
+  py: "python",
+};
+
+export type FenceMeta = {
+  highlight?: string;
+  label?: string;
+};
+
+/**
+ * Reads the fence info after the language, e.g. ```tsx {3-5} title="app.tsx".
+ */
+export function parseFenceMeta(meta?: string | null): FenceMeta {
+  if (!meta) return {};
+
+  const lines = meta.match(/\{([\d,\s-]+)\}/);
+  const label = meta.match(/(?:title|filename)=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+
+  return {
+    highlight: lines?.[1].replace(/\s+/g, ""),
+    label: label ? label[1] ?? label[2] ?? label[3] : undefined,
+  };
+}
+
+/**
+ * Best-effort guess for fences without a language.
+ */
+export function detectLanguage(code: string): string {
+  const source = code.trim();
+
+  if (/^[[{]/.test(source)) {
+    try {
+      JSON.parse(source);
+      return "json";
+    } catch {}
+  }
+  if (/^(\$ |npm |npx |yarn |pnpm |git |cd |mkdir )/m.test(source)) return "bash";
+  if (/^\s*(<template>|<!DOCTYPE|<html)/i.test(source)) return "markup";
+  if (/^[\w\s.#:>,\-*[\]="]+\{[^}]*:[^}]*;/m.test(source) && !/=>|function\s/.test(source)) {
+    return "css";
+  }
+  if (/\b(interface|type)\s+\w+\s*[={]|:\s*(string|number|boolean)\b/.test(source)) {
+    return /<[A-Z]\w*[\s/>]/.test(source) ? "tsx" : "typescript";
+  }
+  if (/<[A-Za-z][\w.]*[\s/>]/.test(source) && /(return|=>|\bconst\b)/.test(source)) return "jsx";
+  if (/\b(const|let|var|function|import|export|=>)\b/.test(source)) return "javascript";
+  return "plain";
+}
+
+export function resolveLanguage(language: string | undefined, code: string): string {
+  const name = (language || "").toLowerCase();
+  return aliases[name] || name || detectLanguage(code);
+}
+
+/**
+ * Highlights on the server so pages don't need Prism in the browser.
+ */
+export function highlightCode(code: string, language: string): string {
+  const grammar = Prism.languages[language];
+  if (!grammar) {
+    return code.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  }
+  return Prism.highlight(code, grammar, language);
+}
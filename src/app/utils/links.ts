@@ -0,0 +1,438 @@
+import fs from "fs";
+import path from "path";
+import { isValidElement } from "react";
+import { remark } from "remark";
+import remarkGfm from "remark-gfm";
+import { baseURL, linkCheck, routes, staticExport } from "@/app/resources";
+import { defaultLocale, getContent, Locale, localePath, locales } from "@/app/resources/i18n";
+import { getContentItems } from "@/app/utils/content";
+import { galleryPath, getGallery } from "@/app/utils/gallery";
+import { getHeadings, slugify } from "@/app/utils/markdown";
+import { readLocalizedFile, translationLocale } from "@/app/utils/utils";
+
+type LinkKind = "link" | "image";
+
+type FoundLink = {
+  url: string;
+  kind: LinkKind;
+  // Line in the file, or field in content.js, for the report.
+  where: string;
+};
+
+type Source = {
+  file: string;
+  // Page the links appear on, which relative links and bare #anchors resolve against.
+  page: string;
+  links: FoundLink[];
+};
+
+export type LinkIssue = {
+  file: string;
+  where: string;
+  url: string;
+  message: string;
+};
+
+export type LinkReport = {
+  checked: number;
+  errors: LinkIssue[];
+  // Only external URLs end up here: they may be down for a while, and
+  // they're not ours to fix.
+  warnings: LinkIssue[];
+  // External URLs that are neither allowed nor in the cache.
+  unchecked: string[];
+};
+
+type CacheEntry = {
+  status: number;
+  error?: string;
+  checkedAt: number;
+};
+
+type MarkdownNode = {
+  type: string;
+  url?: string;
+  value?: string;
+  position?: { start: { line: number } };
+  children?: MarkdownNode[];
+};
+
+const SECTIONS = [
+  { route: "/blog", dir: ["src", "app", "blog", "posts"], extension: ".mdx" },
+  { route: "/project", dir: ["src", "app", "project", "projects"], extension: ".mdx" },
+  { route: "/articles", dir: ["src", "app", "articles", "posts"], extension: ".md" },
+];
+
+const LINK_FIELDS = ["link", "href"];
+const IMAGE_FIELDS = ["src", "avatar", "image", "cover"];
+const MARKDOWN_LINK = /(!?)\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+
+const site = new URL(baseURL);
+
+function markdownLinks(source: string, firstLine: number): FoundLink[] {
+  const links: FoundLink[] = [];
+
+  const walk = (node: MarkdownNode) => {
+    const where = `line ${(node.position?.start.line || 1) + firstLine - 1}`;
+
+    if ((node.type === "link" || node.type === "definition") && node.url) {
+      links.push({ url: node.url, kind: "link", where });
+    } else if (node.type === "image" && node.url) {
+      links.push({ url: node.url, kind: "image", where });
+    } else if (node.type === "html" && node.value) {
+      // JSX in MDX comes through as HTML: <a href>, <SmartImage src> and the like.
+      for (const [, attribute, url] of Array.from(
+        node.value.matchAll(/\b(href|src)=["']([^"']+)["']/g),
+      )) {
+        links.push({ url, kind: attribute === "src" ? "image" : "link", where });
+      }
+    }
+    node.children?.forEach(walk);
+  };
+
+  walk(remark().use(remarkGfm).parse(source) as MarkdownNode);
+  return links;
+}
+
+function contentFileSources(): Source[] {
+  return SECTIONS.filter((section) => routes[section.route]).flatMap(({ route, dir, extension }) => {
+    const directory = path.join(process.cwd(), ...dir);
+    if (!fs.existsSync(directory)) return [];
+
+    return fs
+      .readdirSync(directory)
+      .filter((file) => path.extname(file) === extension)
+      .map((file) => {
+        const locale = translationLocale(file) || defaultLocale;
+        const original = file.replace(`.${locale}${extension}`, extension);
+        const { data, content, filePath } = readLocalizedFile(path.join(directory, original), locale);
+        const slug = String((route === "/articles" && data.slug) || path.basename(original, extension));
+
+        // The body starts after the front matter; count its lines so the
+        // report points at the right line of the file.
+        const raw = fs.readFileSync(filePath, "utf-8");
+        const firstLine = raw.slice(0, raw.length - content.length).split("\n").length;
+
+        const links = markdownLinks(content, firstLine);
+        if (typeof data.link === "string" && data.link) {
+          links.push({ url: data.link, kind: "link", where: "link" });
+        }
+
+        return {
+          file: path.join(...dir, file),
+          page: localePath(locale, `${route}/${slug}`),
+          links,
+        };
+      });
+  });
+}
+
+function collectContentLinks(value: unknown, field: string, links: FoundLink[], skip?: unknown) {
+  if (value === skip || isValidElement(value)) return;
+
+  if (typeof value === "string") {
+    const key = field.split(".").pop() || "";
+    if (value && LINK_FIELDS.includes(key)) {
+      links.push({ url: value, kind: "link", where: field });
+    } else if (value && IMAGE_FIELDS.includes(key)) {
+      links.push({ url: value, kind: "image", where: field });
+    } else {
+      // Descriptions and achievements are Markdown.
+      for (const [, bang, url] of Array.from(value.matchAll(MARKDOWN_LINK))) {
+        links.push({ url, kind: bang ? "image" : "link", where: field });
+      }
+    }
+    return;
+  }
+
+  if (Array.isArray(value) || (typeof value === "object" && value !== null)) {
+    for (const [key, item] of Object.entries(value)) {
+      const base = skip as Record<string, unknown> | undefined;
+      collectContentLinks(item, field ? `${field}.${key}` : key, links, base?.[key]);
+    }
+  }
+}
+
+// A translation inherits whatever it leaves out, so only the fields it
+// changes are checked again.
+function contentBundleSources(): Source[] {
+  const english = getContent(defaultLocale);
+
+  return locales.map((locale) => {
+    const links: FoundLink[] = [];
+    collectContentLinks(getContent(locale), "", links, locale === defaultLocale ? undefined : english);
+    return {
+      file: path.join(
+        "src",
+        "app",
+        "resources",
+        locale === defaultLocale ? "content.js" : `content.${locale}.js`,
+      ),
+      page: localePath(locale, "/"),
+      links,
+    };
+  });
+}
+
+// Route handlers with a fixed path, such as /feed.xml and /resume.pdf.
+function handlerRoutes(directory = path.join(process.cwd(), "src", "app"), route = ""): string[] {
+  const found: string[] = [];
+
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      const child = path.join(directory, entry.name);
+      if (entry.name === "[locale]") {
+        for (const locale of locales.filter((item) => item !== defaultLocale)) {
+          found.push(...handlerRoutes(child, `${route}/${locale}`));
+        }
+      } else if (!entry.name.startsWith("[") && !entry.name.startsWith("_")) {
+        const segment = entry.name.startsWith("(") ? "" : `/${entry.name}`;
+        found.push(...handlerRoutes(child, `${route}${segment}`));
+      }
+    } else if (/^route\.tsx?$/.test(entry.name) || (!staticExport && entry.name === "route.server.ts")) {
+      found.push(route || "/");
+    } else if (/^robots\.tsx?$/.test(entry.name)) {
+      found.push(`${route}/robots.txt`);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Every page the site builds, mapped to the ids its #anchors can point at:
+ * heading slugs for posts, projects and articles, section titles for /about.
+ */
+async function getPages() {
+  const pages = new Map<string, Set<string>>();
+
+  for (const locale of locales) {
+    const content = getContent(locale);
+
+    for (const [route, enabled] of Object.entries(routes)) {
+      if (enabled) pages.set(localePath(locale, route), new Set());
+    }
+
+    if (routes["/about"]) {
+      const { about } = content;
+      pages.set(
+        localePath(locale, "/about"),
+        new Set([
+          about.intro.title,
+          about.work.title,
+          about.studies.title,
+          about.technical.title,
+          ...about.work.experiences.map((experience) => experience.company),
+          ...about.studies.institutions.map((institution) => institution.name),
+        ]),
+      );
+    }
+
+    for (const item of getContentItems(locale, { unlisted: true })) {
+      const headings = getHeadings(item.content);
+      // MDX headings are slugged one by one, without numbering repeats.
+      pages.set(
+        item.href,
+        new Set(headings.flatMap((heading) => [heading.id, slugify(heading.text)])),
+      );
+    }
+
+    if (routes["/gallery"]) {
+      for (const album of await getGallery(locale)) {
+        pages.set(galleryPath(locale, album.slug), new Set());
+        for (const image of album.images) {
+          pages.set(galleryPath(locale, album.slug, image.slug), new Set());
+        }
+      }
+    }
+  }
+
+  for (const route of handlerRoutes()) {
+    pages.set(route, new Set());
+  }
+
+  return pages;
+}
+
+function publicFileExists(pathname: string) {
+  const file = path.join(process.cwd(), "public", pathname);
+  return fs.existsSync(file) && fs.statSync(file).isFile();
+}
+
+function isAllowed(url: URL) {
+  return linkCheck.allow.some((host) => url.hostname === host || url.hostname.endsWith(`.${host}`));
+}
+
+function readCache(): Record<string, CacheEntry> {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(process.cwd(), linkCheck.cacheFile), "utf-8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeFile(file: string, data: string) {
+  const target = path.join(process.cwd(), file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, data);
+}
+
+async function request(url: string): Promise<CacheEntry> {
+  const checkedAt = Date.now();
+  try {
+    let response = await fetch(url, { method: "HEAD", signal: AbortSignal.timeout(10000) });
+    // Plenty of servers answer HEAD with an error but GET just fine.
+    if (response.status >= 400) {
+      response = await fetch(url, { signal: AbortSignal.timeout(10000) });
+    }
+    return { status: response.status, checkedAt };
+  } catch (error) {
+    return { status: 0, error: (error as Error).message, checkedAt };
+  }
+}
+
+function describe(entry: CacheEntry) {
+  return entry.status ? `answered ${entry.status}` : `could not be reached (${entry.error})`;
+}
+
+/**
+ * Resolves every link and image in the content against the pages the site
+ * builds and the files in public/. External URLs are looked up in the cache,
+ * or requested and cached first when `external` is set.
+ */
+export async function checkLinks({ external = false } = {}): Promise<LinkReport> {
+  const pages = await getPages();
+  const cache = readCache();
+  const report: LinkReport = { checked: 0, errors: [], warnings: [], unchecked: [] };
+  const pending = new Map<string, LinkIssue[]>();
+
+  for (const source of [...contentFileSources(), ...contentBundleSources()]) {
+    for (const link of source.links) {
+      let url: URL;
+      try {
+        url = new URL(link.url, `${site.origin}${source.page}`);
+      } catch {
+        report.errors.push({ file: source.file, where: link.where, url: link.url, message: "is not a valid URL" });
+        continue;
+      }
+
+      // mailto:, tel: and the like.
+      if (url.protocol !== "http:" && url.protocol !== "https:") continue;
+
+      report.checked++;
+      const issue = (message: string) => ({ file: source.file, where: link.where, url: link.url, message });
+
+      if (url.origin !== site.origin) {
+        if (isAllowed(url)) continue;
+        const key = url.href.split("#")[0];
+        pending.set(key, [...(pending.get(key) || []), issue("")]);
+        continue;
+      }
+
+      const pathname = decodeURIComponent(url.pathname).replace(/(.)\/$/, "$1");
+
+      if (link.kind === "image") {
+        if (!publicFileExists(pathname)) report.errors.push(issue(`is not a file in public/`));
+        continue;
+      }
+
+      const anchors = pages.get(pathname);
+      if (!anchors) {
+        if (!publicFileExists(pathname)) report.errors.push(issue(`is not a page or a file in public/`));
+        continue;
+      }
+
+      const anchor = decodeURIComponent(url.hash.slice(1));
+      if (anchor && !anchors.has(anchor)) {
+        report.errors.push(issue(`points at #${anchor}, which isn't a heading on ${pathname}`));
+      }
+    }
+  }
+
+  const urls = Array.from(pending.keys());
+  const stale = urls.filter((url) => !cache[url] || Date.now() - cache[url].checkedAt > linkCheck.maxAge);
+
+  if (external && stale.length > 0) {
+    // A few at a time, to be gentle with the sites and this machine.
+    for (let index = 0; index < stale.length; index += 4) {
+      const batch = stale.slice(index, index + 4);
+      const results = await Promise.all(batch.map(request));
+      batch.forEach((url, position) => (cache[url] = results[position]));
+    }
+    writeFile(linkCheck.cacheFile, `${JSON.stringify(cache, null, 2)}\n`);
+  }
+
+  for (const url of urls) {
+    const entry = cache[url];
+    if (!entry) {
+      report.unchecked.push(url);
+    } else if (!entry.status || entry.status >= 400) {
+      for (const issue of pending.get(url) || []) {
+        report.warnings.push({ ...issue, message: describe(entry) });
+      }
+    }
+  }
+
+  return report;
+}
+
+function formatIssue(issue: LinkIssue) {
+  return `${issue.file} (${issue.where}): ${issue.url} ${issue.message}`;
+}
+
+/** The report as Markdown, for `linkCheck.report`. */
+export function formatLinkReport(report: LinkReport) {
+  const lines = [
+    "# Link check",
+    "",
+    `${report.checked} links checked: ${report.errors.length} errors, ${report.warnings.length} warnings, ` +
+      `${report.unchecked.length} external URLs not checked.`,
+  ];
+
+  const section = (title: string, items: string[]) => {
+    if (items.length > 0) lines.push("", `## ${title}`, "", ...items.map((item) => `- ${item}`));
+  };
+
+  section("Errors", report.errors.map(formatIssue));
+  section("Warnings", report.warnings.map(formatIssue));
+  section("Not checked", report.unchecked);
+  if (report.unchecked.length > 0) {
+    lines.push(
+      "",
+      "Run `npm run check-links -- --external` to request these, or add their hosts to `linkCheck.allow`.",
+    );
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+export function writeLinkReport(report: LinkReport) {
+  writeFile(linkCheck.report, formatLinkReport(report));
+}
+
+let checked = false;
+
+/**
+ * Checks links once per `next build` and writes the report. Broken internal
+ * links, anchors and images fail the build unless `linkCheck.failBuild` is
+ * off; dead external links are only reported.
+ */
+export async function checkLinksOnBuild() {
+  if (checked || process.env.NEXT_PHASE !== "phase-production-build") return;
+  checked = true;
+
+  const report = await checkLinks();
+  writeLinkReport(report);
+
+  const message = [
+    ...report.errors.map((issue) => `  - ${formatIssue(issue)}`),
+    ...report.warnings.map((issue) => `  - warning: ${formatIssue(issue)}`),
+  ].join("\n");
+
+  if (report.errors.length > 0 && linkCheck.failBuild) {
+    throw new Error(`Broken links (full report in ${linkCheck.report}):\n${message}`);
+  }
+  if (message) {
+    console.warn(`Link check (full report in ${linkCheck.report}):\n${message}`);
+  }
+}
@@ -0,0 +1,90 @@
+import { remark } from "remark";
+import remarkGfm from "remark-gfm";
+import remarkHtml from "remark-html";
+
+export function slugify(str: string): string {
+  return str
+    .toString()
+    .toLowerCase()
+    .trim() // Remove whitespace from both ends of a string
+    .replace(/\s+/g, "-") // Replace spaces with -
+    .replace(/&/g, "-and-") // Replace & with 'and'
+    .replace(/[^\w\-]+/g, "") // Remove all non-word characters except for -
+    .replace(/\-\-+/g, "-"); // Replace multiple - with single -
+}
+
+type MarkdownNode = {
+  type: string;
+  depth?: number;
+  value?: string;
+  children?: MarkdownNode[];
+  data?: { hProperties?: Record<string, unknown> };
+};
+
+export type Heading = {
+  depth: number;
+  text: string;
+  id: string;
+};
+
+function toText(node: MarkdownNode): string {
+  if (node.value) return node.value;
+  return (node.children || []).map(toText).join("");
+}
+
+function collectHeadings(tree: MarkdownNode) {
+  const headings: Heading[] = [];
+  const counts = new Map<string, number>();
+
+  const walk = (node: MarkdownNode) => {
+    if (node.type === "heading") {
+      const text = toText(node).trim();
+      const base = slugify(text) || "section";
+      const count = counts.get(base) || 0;
+      counts.set(base, count + 1);
+
+      const id = count === 0 ? base : `${base}-${count}`;
+      node.data = { ...node.data, hProperties: { ...node.data?.hProperties, id } };
+      headings.push({ depth: node.depth || 1, text, id });
+      return;
+    }
+    node.children?.forEach(walk);
+  };
+
+  walk(tree);
+  return headings;
+}
+
+/**
+ * Remark plugin that gives every heading a unique slug `id`, numbered the
+ * same way as `getHeadings` so table of contents links always resolve.
+ */
+export function remarkHeadingIds() {
+  return (tree: MarkdownNode) => {
+    collectHeadings(tree);
+  };
+}
+
+export function getHeadings(source: string): Heading[] {
+  const tree = remark().use(remarkGfm).parse(source) as MarkdownNode;
+  return collectHeadings(tree);
+}
+
+/**
+ * Plain text of a Markdown string, for places that can't render formatting
+ * such as JSON-LD, JSON Resume and the PDF résumé. Blocks are separated by a
+ * blank line.
+ */
+export function markdownToText(source: string): string {
+  const tree = remark().use(remarkGfm).parse(source) as MarkdownNode;
+  return (tree.children || [])
+    .map((node) => toText(node).replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/** A Markdown string as HTML, for feeds and the JSON API. */
+export async function markdownToHtml(source: string): Promise<string> {
+  const file = await remark().use(remarkGfm).use(remarkHtml).process(source);
+  return String(file);
+}
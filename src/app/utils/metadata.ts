@@ -0,0 +1,77 @@
+import type { Metadata } from "next";
+import { baseURL } from "@/app/resources";
+import { person } from "@/app/resources/content";
+import { Locale, localeConfig, localePath, pageAlternates } from "@/app/resources/i18n";
+import { ogImages } from "@/app/utils/og";
+
+type OgImage = { url: string; width?: number; height?: number; alt: string };
+
+type PageMetadataOptions = {
+  locale: Locale;
+  // Path without the locale prefix, e.g. "/articles/my-post".
+  path: string;
+  title: string;
+  description: string;
+  type?: "website" | "article" | "profile";
+  // Defaults to the generated /og card for `path`.
+  images?: OgImage[];
+  publishedTime?: string;
+  modifiedTime?: string;
+  tags?: string[];
+  // Keeps drafts and unlisted pages out of search results.
+  noindex?: boolean;
+};
+
+/** Absolute URL of `path` in `locale`, without a trailing slash. */
+export function pageURL(locale: Locale, path: string) {
+  return `${baseURL}${localePath(locale, path)}`.replace(/\/$/, "");
+}
+
+/** `src` as an absolute URL; remote images are returned as they are. */
+export function absoluteURL(src: string) {
+  return /^https?:\/\//.test(src) ? src : `${baseURL}${src.startsWith("/") ? "" : "/"}${src}`;
+}
+
+/**
+ * Everything a route's `generateMetadata` returns: title, description,
+ * canonical and hreflang alternates, Open Graph and Twitter cards.
+ */
+export function pageMetadata({
+  locale,
+  path,
+  title,
+  description,
+  type = "website",
+  images = ogImages({ locale, path, alt: title }),
+  publishedTime,
+  modifiedTime,
+  tags,
+  noindex,
+}: PageMetadataOptions): Metadata {
+  return {
+    title,
+    description,
+    alternates: pageAlternates(locale, path),
+    ...(noindex && { robots: { index: false, follow: true } }),
+    openGraph: {
+      title,
+      description,
+      type,
+      url: pageURL(locale, path),
+      locale: localeConfig(locale).ogLocale,
+      images,
+      ...(type === "article" && {
+        publishedTime,
+        modifiedTime: modifiedTime || publishedTime,
+        authors: [person.name],
+        tags,
+      }),
+    },
+    twitter: {
+      card: "summary_large_image",
+      title,
+      description,
+      images: [images[0].url],
+    },
+  };
+}
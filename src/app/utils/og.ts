@@ -0,0 +1,167 @@
+import { baseURL, routes } from "@/app/resources";
+import { getContent, isLocale, Locale, locales } from "@/app/resources/i18n";
+import { getContentItems } from "@/app/utils/content";
+import { getGallery } from "@/app/utils/gallery";
+import { isPreview } from "@/app/utils/publishing";
+import { getArticle, getPosts, getReadingTime, toTags } from "@/app/utils/utils";
+
+export type OgType = "blog" | "project" | "article";
+
+export const ogSizes = {
+  landscape: { width: 1920, height: 1080 },
+  og: { width: 1200, height: 630 },
+  square: { width: 1080, height: 1080 },
+} as const;
+
+export type OgSize = keyof typeof ogSizes;
+
+export type OgCard = {
+  title: string;
+  cover?: string;
+  tags: string[];
+  publishedAt?: string;
+  readingTime?: number;
+};
+
+/**
+ * Which card to draw: a post, project or article by slug, or any other page
+ * by its path, titled as in getOgPages().
+ */
+export type OgTarget = { type: OgType; slug: string } | { locale: Locale; path: string };
+
+/**
+ * Card images live at plain file paths, /og/article/<slug>/og.png or
+ * /og/page/<locale>/<path>/og.png, so a static export can write every one of
+ * them to disk.
+ */
+export function ogImagePath(target: OgTarget, size: OgSize = "landscape") {
+  const segments =
+    "type" in target
+      ? [target.type, target.slug]
+      : ["page", target.locale, ...target.path.split("/").filter(Boolean)];
+  return `/og/${segments.map(encodeURIComponent).join("/")}/${size}.png`;
+}
+
+export function ogImageURL(target: OgTarget, size?: OgSize) {
+  return `${baseURL}${ogImagePath(target, size)}`;
+}
+
+/**
+ * Open Graph `images` for a page: the 1200×630 card plus a square variant.
+ */
+export function ogImages(target: OgTarget & { alt: string }) {
+  return (["og", "square"] as const).map((size) => ({
+    url: ogImageURL(target, size),
+    alt: target.alt,
+    ...ogSizes[size],
+  }));
+}
+
+/** The target and size named by the segments of an /og path, if they make sense. */
+export function parseOgPath(segments: string[]): { target: OgTarget; size: OgSize } | undefined {
+  const match = segments[segments.length - 1]?.match(/^(\w+)\.png$/);
+  if (!match || !(match[1] in ogSizes)) return undefined;
+
+  const size = match[1] as OgSize;
+  const [first, second, ...rest] = segments.slice(0, -1).map(decodeURIComponent);
+
+  if (first === "page" && isLocale(second)) {
+    return { target: { locale: second, path: `/${rest.join("/")}` }, size };
+  }
+  if ((first === "blog" || first === "project" || first === "article") && second && !rest.length) {
+    return { target: { type: first, slug: second }, size };
+  }
+  return undefined;
+}
+
+/**
+ * Every page that gets a title card rather than a content card, in every
+ * locale: the section landing pages and gallery albums.
+ */
+export async function getOgPages() {
+  const pages: { locale: Locale; path: string; title: string }[] = [];
+
+  for (const locale of locales) {
+    const content = getContent(locale);
+    const titles: Record<string, string> = {
+      "/": content.home.title,
+      "/about": content.about.title,
+      "/project": content.project.title,
+      "/blog": content.blog.title,
+      "/articles": content.articles.title,
+      "/gallery": content.gallery.title,
+      "/guestbook": content.guestbook.title,
+      "/book": content.book.title,
+      "/resume": content.resume.title,
+    };
+
+    for (const [path, title] of Object.entries(titles)) {
+      if (routes[path]) pages.push({ locale, path, title });
+    }
+
+    if (routes["/gallery"]) {
+      for (const album of await getGallery(locale)) {
+        pages.push({ locale, path: `/gallery/${album.slug}`, title: album.title });
+      }
+    }
+  }
+
+  return pages;
+}
+
+/** Every card there is, for the static params of the /og route. */
+export async function getOgTargets(): Promise<OgTarget[]> {
+  const content = getContentItems(undefined, { unlisted: true }).map((item) => ({
+    type: item.type,
+    slug: item.slug,
+  }));
+  const pages = (await getOgPages()).map(({ locale, path }) => ({ locale, path }));
+  return [...content, ...pages];
+}
+
+export async function getOgCard(target: OgTarget): Promise<OgCard | undefined> {
+  if (!("type" in target)) {
+    const page = (await getOgPages()).find(
+      (entry) => entry.locale === target.locale && entry.path === target.path,
+    );
+    return page && { title: page.title, tags: [] };
+  }
+
+  const { type, slug } = target;
+
+  // Unlisted pages are shared by URL, so they get cards too.
+  const visibility = { unlisted: true, preview: isPreview() };
+
+  if (type === "article") {
+    const article = getArticle(slug, undefined, visibility);
+    return (
+      article && {
+        title: article.metadata.title,
+        cover: article.metadata.cover,
+        tags: article.metadata.tags,
+        publishedAt: article.metadata.publishedAt,
+        readingTime: getReadingTime(article.content),
+      }
+    );
+  }
+
+  const dirs: Record<string, string[]> = {
+    blog: ["src", "app", "blog", "posts"],
+    project: ["src", "app", "project", "projects"],
+  };
+
+  if (!dirs[type]) {
+    return undefined;
+  }
+
+  const post = getPosts(dirs[type], undefined, visibility).find((item) => item.slug === slug);
+  return (
+    post && {
+      title: post.metadata.title,
+      cover: post.metadata.image || post.metadata.images[0],
+      tags: toTags(post.metadata.tag),
+      publishedAt: post.metadata.publishedAt,
+      readingTime: getReadingTime(post.content),
+    }
+  );
+}
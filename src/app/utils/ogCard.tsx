@@ -0,0 +1,195 @@
+import fs from "fs";
+import path from "path";
+import { ImageResponse } from "next/og";
+import { style } from "@/app/resources";
+import { person } from "@/app/resources/content";
+import { formatDate } from "@/app/utils/formatDate";
+import type { OgCard } from "@/app/utils/og";
+
+/**
+ * Draws the branded card behind /og/... and the generated article covers:
+ * title, tags, date and author on the theme's colors, with the cover image
+ * beside it when there is one.
+ */
+
+// Sniffed from the file header because some assets carry the wrong extension.
+function mimeType(data: Buffer) {
+  if (data.subarray(0, 4).toString("hex") === "89504e47") return "image/png";
+  if (data.subarray(0, 2).toString("hex") === "ffd8") return "image/jpeg";
+  if (data.subarray(0, 3).toString("ascii") === "GIF") return "image/gif";
+  if (data.subarray(8, 12).toString("ascii") === "WEBP") return "image/webp";
+  return undefined;
+}
+
+function readScheme() {
+  const scss = fs.readFileSync(
+    path.join(process.cwd(), "src", "once-ui", "tokens", "scheme.scss"),
+    "utf-8",
+  );
+  const scheme: Record<string, string> = {};
+  for (const [, name, hex] of Array.from(scss.matchAll(/--scheme-([a-z]+-\d+):\s*(#[0-9A-Fa-f]{6})/g))) {
+    scheme[name] = hex;
+  }
+  return scheme;
+}
+
+// Images are inlined so a missing or unreachable cover drops out of the card
+// instead of failing the whole render.
+async function imageSource(src?: string) {
+  if (!src) return undefined;
+
+  let data: Buffer;
+  try {
+    if (/^https?:\/\//.test(src)) {
+      const response = await fetch(src);
+      if (!response.ok) return undefined;
+      data = Buffer.from(await response.arrayBuffer());
+    } else {
+      data = fs.readFileSync(path.join(process.cwd(), "public", src));
+    }
+  } catch {
+    return undefined;
+  }
+
+  const type = mimeType(data);
+  return type && `data:${type};base64,${data.toString("base64")}`;
+}
+
+export async function renderOgCard(card: OgCard, { width, height }: { width: number; height: number }) {
+  const { title } = card;
+
+  const fontData = fs.readFileSync(path.join(process.cwd(), "public", "fonts", "Inter.ttf"));
+  const scheme = readScheme();
+  const dark = style.theme !== "light";
+  const colors = {
+    background: scheme[`${style.neutral}-${dark ? 200 : 1200}`] || "#151515",
+    text: dark ? "#ffffff" : scheme[`${style.neutral}-100`] || "#000000",
+    brand: scheme[`${style.brand}-600`],
+    accent: scheme[`${style.accent}-600`],
+  };
+
+  // Type scale is designed for the 1920px card and shrinks with the output width.
+  const unit = (px: number) => `${Math.round((px * width) / 1920)}px`;
+  const square = width === height;
+  const [cover, avatar] = await Promise.all([
+    imageSource(card.cover),
+    imageSource(person.avatar),
+  ]);
+  const details = [
+    card.publishedAt && formatDate(card.publishedAt),
+    card.readingTime && `${card.readingTime} min read`,
+  ].filter(Boolean);
+
+  return new ImageResponse(
+    <div
+      style={{
+        display: "flex",
+        flexDirection: square ? "column" : "row",
+        width: "100%",
+        height: "100%",
+        padding: unit(128),
+        gap: unit(96),
+        background: colors.background,
+        backgroundImage: `linear-gradient(135deg, ${colors.background} 55%, ${colors.brand}55)`,
+        fontFamily: "Inter",
+        fontStyle: "normal",
+        color: colors.text,
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          justifyContent: "center",
+          flex: 1,
+          gap: unit(64),
+        }}
+      >
+        {card.tags.length > 0 && (
+          <div style={{ display: "flex", flexWrap: "wrap", gap: unit(24) }}>
+            {card.tags.slice(0, 4).map((tag) => (
+              <span
+                key={tag}
+                style={{
+                  fontSize: unit(40),
+                  padding: `${unit(12)} ${unit(32)}`,
+                  borderRadius: unit(48),
+                  border: `${unit(3)} solid ${colors.accent}`,
+                  color: colors.accent,
+                }}
+              >
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
+        <span
+          style={{
+            fontSize: unit(cover ? 112 : 128),
+            lineHeight: 1.05,
+            letterSpacing: "-0.05em",
+            whiteSpace: "pre-wrap",
+            textWrap: "balance",
+          }}
+        >
+          {title}
+        </span>
+        {details.length > 0 && (
+          <span style={{ fontSize: unit(44), opacity: 0.6 }}>{details.join(" · ")}</span>
+        )}
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: unit(48),
+          }}
+        >
+          {avatar && (
+            <img
+              src={avatar}
+              style={{
+                width: unit(160),
+                height: unit(160),
+                objectFit: "cover",
+                borderRadius: "100%",
+                border: `${unit(4)} solid ${colors.brand}`,
+              }}
+            />
+          )}
+          <div
+            style={{
+              display: "flex",
+              flexDirection: "column",
+              gap: unit(12),
+            }}
+          >
+            <span style={{ fontSize: unit(64), lineHeight: 1 }}>{person.name}</span>
+            <span style={{ fontSize: unit(40), lineHeight: 1, opacity: 0.6 }}>{person.role}</span>
+          </div>
+        </div>
+      </div>
+      {cover && !square && (
+        <img
+          src={cover}
+          style={{
+            width: unit(720),
+            height: "100%",
+            objectFit: "cover",
+            borderRadius: unit(32),
+          }}
+        />
+      )}
+    </div>,
+    {
+      width,
+      height,
+      fonts: [
+        {
+          name: "Inter",
+          data: fontData,
+          style: "normal",
+        },
+      ],
+    },
+  );
+}
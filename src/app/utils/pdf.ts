@@ -0,0 +1,236 @@
+import fs from "fs";
+import path from "path";
+import fontkit from "@pdf-lib/fontkit";
+import { degrees, grayscale, PDFDocument, PDFFont, PDFName, PDFPage, PDFString } from "pdf-lib";
+
+/**
+ * Text documents on US Letter pages through pdf-lib: word wrapping,
+ * horizontal rules and link annotations. Text is set in Source Han Sans, which
+ * covers Latin and Chinese; only the glyphs used are embedded.
+ */
+
+export type PdfFont = "regular" | "bold" | "italic";
+
+export type PdfRun = {
+  text: string;
+  font?: PdfFont;
+  link?: string;
+};
+
+type TextOptions = {
+  size?: number;
+  font?: PdfFont;
+  // 0 is black, 1 is white.
+  gray?: number;
+  indent?: number;
+  lineHeight?: number;
+  // Draws a bullet in the indent of the first line.
+  bullet?: boolean;
+};
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// Source Han Sans has no italic, so italic runs are the regular face slanted.
+const FONT_FILES = {
+  regular: "SourceHanSansCN-Regular.otf",
+  bold: "SourceHanSansCN-Bold.otf",
+};
+const ITALIC_SLANT = degrees(12);
+
+// Chinese has no spaces between words: a line may break after any ideograph,
+// but not before closing punctuation.
+const CJK = "\\p{Script=Han}\\u3000-\\u303f\\uff00-\\uffef";
+const CLOSING = "，。、；：！？）》」』";
+const BREAKS = new RegExp(`[${CJK}][${CLOSING}]*|[^${CJK}]+[${CLOSING}]*`, "gu");
+
+function fontFile(name: string) {
+  return fs.readFileSync(path.join(process.cwd(), "node_modules", "source-han-sans-cn", name));
+}
+
+type Word = { text: string; font: PdfFont; link?: string; width: number; space: number };
+
+export async function createPdf(info: {
+  title: string;
+  author: string;
+  subject?: string;
+  lang?: string;
+}) {
+  const doc = await PDFDocument.create();
+  doc.registerFontkit(fontkit);
+  doc.setTitle(info.title);
+  doc.setAuthor(info.author);
+  if (info.subject) doc.setSubject(info.subject);
+  if (info.lang) doc.setLanguage(info.lang);
+
+  const regular = await doc.embedFont(fontFile(FONT_FILES.regular), { subset: true });
+  const fonts: Record<PdfFont, PDFFont> = {
+    regular,
+    bold: await doc.embedFont(fontFile(FONT_FILES.bold), { subset: true }),
+    italic: regular,
+  };
+
+  const textWidth = (text: string, font: PdfFont, size: number) =>
+    fonts[font].widthOfTextAtSize(text, size);
+
+  let page: PDFPage;
+  let y = 0;
+
+  const addPage = () => {
+    page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  addPage();
+
+  /** Starts a new page unless `height` points still fit on this one. */
+  const keepTogether = (height: number) => {
+    if (y - height < MARGIN) addPage();
+  };
+
+  const addLink = (rect: [number, number, number, number], uri: string) => {
+    const link = doc.context.register(
+      doc.context.obj({
+        Type: "Annot",
+        Subtype: "Link",
+        Border: [0, 0, 0],
+        Rect: rect,
+        A: { Type: "Action", S: "URI", URI: PDFString.of(uri) },
+      }),
+    );
+    const annots = page.node.Annots();
+    if (annots) annots.push(link);
+    else page.node.set(PDFName.of("Annots"), doc.context.obj([link]));
+  };
+
+  const drawWords = (words: Word[], x: number, baseline: number, size: number, gray: number) => {
+    // Words in the same face and link are drawn as one string, so the text
+    // copies out of the PDF with its spaces.
+    const spans: { text: string; font: PdfFont; link?: string; x: number; width: number }[] = [];
+    let cursor = x;
+    for (const [index, word] of words.entries()) {
+      const last = spans[spans.length - 1];
+      const previous = words[index - 1];
+      if (last && last.font === word.font && last.link === word.link) {
+        last.text += (previous.space ? " " : "") + word.text;
+        last.width = cursor + word.width - last.x;
+      } else {
+        spans.push({ text: word.text, font: word.font, link: word.link, x: cursor, width: word.width });
+      }
+      cursor += word.width + word.space;
+    }
+
+    for (const span of spans) {
+      page.drawText(span.text, {
+        x: span.x,
+        y: baseline,
+        size,
+        font: fonts[span.font],
+        color: grayscale(gray),
+        ySkew: span.font === "italic" ? ITALIC_SLANT : undefined,
+      });
+      if (span.link) {
+        addLink([span.x, baseline - size * 0.25, span.x + span.width, baseline + size * 0.85], span.link);
+      }
+    }
+  };
+
+  const toWords = (content: string | PdfRun[], font: PdfFont, size: number) => {
+    const runs = typeof content === "string" ? [{ text: content }] : content;
+    const words: Word[] = [];
+    for (const run of runs) {
+      const runFont = run.font || font;
+      for (const part of run.text.split(/(\s+)/)) {
+        if (!part) continue;
+        if (/^\s+$/.test(part)) {
+          if (words.length > 0) words[words.length - 1].space = textWidth(" ", runFont, size);
+          continue;
+        }
+        for (const text of part.match(BREAKS) ?? []) {
+          words.push({
+            text,
+            font: runFont,
+            link: run.link,
+            width: textWidth(text, runFont, size),
+            space: 0,
+          });
+        }
+      }
+    }
+    return words;
+  };
+
+  /** Wrapped text flowing down the page, continuing on new pages as needed. */
+  const paragraph = (content: string | PdfRun[], options: TextOptions = {}) => {
+    const { size = 10, font = "regular", gray = 0, indent = 0, bullet = false } = options;
+    const lineHeight = options.lineHeight || size * 1.4;
+    const width = CONTENT_WIDTH - indent;
+    const words = toWords(content, font, size);
+
+    let line: Word[] = [];
+    let lineWidth = 0;
+    let first = true;
+
+    const flush = () => {
+      keepTogether(lineHeight);
+      y -= lineHeight;
+      if (bullet && first) {
+        // The font's own bullet is a small centred dot.
+        page.drawCircle({
+          x: MARGIN + indent - size * 0.7,
+          y: y + size * 0.32,
+          size: size * 0.14,
+          color: grayscale(gray),
+        });
+      }
+      drawWords(line, MARGIN + indent, y, size, gray);
+      line = [];
+      lineWidth = 0;
+      first = false;
+    };
+
+    for (const word of words) {
+      const previousSpace = line.length > 0 ? line[line.length - 1].space : 0;
+      if (line.length > 0 && lineWidth + previousSpace + word.width > width) flush();
+      lineWidth += (line.length > 0 ? line[line.length - 1].space : 0) + word.width;
+      line.push(word);
+    }
+    if (line.length > 0) flush();
+  };
+
+  /** One line with `left` flush left and `right` flush right, e.g. a company and its dates. */
+  const row = (left: string | PdfRun[], right: string, options: TextOptions = {}) => {
+    const { size = 10, font = "regular", gray = 0 } = options;
+    const lineHeight = options.lineHeight || size * 1.4;
+    const rightWidth = textWidth(right, "regular", size);
+    const leftWords = toWords(left, font, size);
+
+    keepTogether(lineHeight);
+    y -= lineHeight;
+    drawWords(leftWords, MARGIN, y, size, gray);
+    if (right) {
+      drawWords(toWords(right, "regular", size), MARGIN + CONTENT_WIDTH - rightWidth, y, size, 0.4);
+    }
+  };
+
+  const rule = (gap = 6) => {
+    keepTogether(gap * 2);
+    y -= gap;
+    page.drawLine({
+      start: { x: MARGIN, y },
+      end: { x: MARGIN + CONTENT_WIDTH, y },
+      thickness: 0.5,
+      color: grayscale(0.8),
+    });
+    y -= gap;
+  };
+
+  const space = (points: number) => {
+    y -= points;
+  };
+
+  const toBuffer = async () => Buffer.from(await doc.save());
+
+  return { paragraph, row, rule, space, keepTogether, toBuffer };
+}
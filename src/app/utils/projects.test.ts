@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { getTechnologies, techKey, usesTech } from "@/app/utils/projects";
+
+function project(publishedAt: string, stack: string[]) {
+  return { metadata: { publishedAt, stack } };
+}
+
+describe("techKey", () => {
+  it("matches spellings of the same technology", () => {
+    assert.equal(techKey("Next.js"), "next");
+    assert.equal(techKey("NextJS"), "next");
+    assert.equal(techKey("next js"), "next");
+  });
+
+  it("keeps a technology that is only a js suffix", () => {
+    assert.equal(techKey("JS"), "js");
+    assert.equal(techKey("js"), "js");
+    assert.notEqual(techKey("JS"), techKey("TypeScript"));
+  });
+
+  it("doesn't merge JS with other technologies", () => {
+    const technologies = getTechnologies([project("2024-01-01", ["JS", "Go"])]);
+    assert.deepEqual(
+      technologies.map(({ key }) => key),
+      ["go", "js"],
+    );
+    assert.ok(usesTech(project("2024-01-01", ["JS"]), "js"));
+    assert.ok(!usesTech(project("2024-01-01", ["Go"]), "JS"));
+  });
+});
+
+describe("getTechnologies", () => {
+  it("spells each technology the way the newest project does", () => {
+    const technologies = getTechnologies([
+      project("2023-01-01", ["NextJS"]),
+      project("2025-01-01", ["Next.js"]),
+      project("2024-01-01", ["next js"]),
+    ]);
+    assert.deepEqual(technologies, [{ name: "Next.js", key: "next", count: 3 }]);
+  });
+});
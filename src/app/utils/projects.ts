@@ -0,0 +1,78 @@
+import type { PROJECT_STATUSES } from "@/app/utils/validation";
+
+export type ProjectStatus = (typeof PROJECT_STATUSES)[number];
+
+export type ProjectMetric = {
+  label: string;
+  value: string;
+};
+
+export type Technology = {
+  name: string;
+  key: string;
+  count: number;
+};
+
+/**
+ * What two spellings of a technology have in common: "Next.js", "NextJS" and
+ * "next js" are all "next".
+ */
+export function techKey(name: string) {
+  const key = name.toLowerCase().replace(/[\s.\-_]/g, "");
+  // "JS" on its own is a technology too, not an empty suffix.
+  return key.replace(/js$/, "") || key;
+}
+
+/**
+ * Every technology in the `stack` of `projects`, most used first, spelled the
+ * way the newest project spells it.
+ */
+export function getTechnologies(
+  projects: { metadata: { stack: string[]; publishedAt: string } }[],
+): Technology[] {
+  const technologies = new Map<string, Technology>();
+  const newestFirst = [...projects].sort(
+    (a, b) => new Date(b.metadata.publishedAt).getTime() - new Date(a.metadata.publishedAt).getTime(),
+  );
+
+  for (const project of newestFirst) {
+    for (const name of project.metadata.stack) {
+      const key = techKey(name);
+      const technology = technologies.get(key);
+      if (technology) technology.count++;
+      else technologies.set(key, { name, key, count: 1 });
+    }
+  }
+
+  return [...technologies.values()].sort(
+    (a, b) => b.count - a.count || a.name.localeCompare(b.name),
+  );
+}
+
+export function usesTech(project: { metadata: { stack: string[] } }, tech: string) {
+  const key = techKey(tech);
+  return project.metadata.stack.some((name) => techKey(name) === key);
+}
+
+/**
+ * Turns the items of a comma-separated skills list, such as
+ * "React.js, Vue.js, Next.js", into Markdown links to the projects that use
+ * them. Items that no project uses, or that are more than plain text, are
+ * left alone.
+ */
+export function linkTechnologies(
+  description: string,
+  technologies: Technology[],
+  href: (technology: Technology) => string,
+) {
+  const byKey = new Map(technologies.map((technology) => [technology.key, technology]));
+
+  return description
+    .split(",")
+    .map((item) => {
+      const name = item.trim();
+      const technology = /[[\]()*_`]/.test(name) ? undefined : byKey.get(techKey(name));
+      return technology ? item.replace(name, `[${name}](${href(technology)})`) : item;
+    })
+    .join(",");
+}
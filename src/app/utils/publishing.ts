@@ -0,0 +1,69 @@
+import { draftMode } from "next/headers";
+import { staticExport } from "@/app/resources";
+import { PUBLISH_STATUSES } from "@/app/utils/validation";
+
+/**
+ * Front matter `status` and `publishAt` decide where a post, project or
+ * article shows up:
+ *
+ * - `published` (the default): everywhere.
+ * - `unlisted`: reachable by URL, but left out of listings, the sitemap,
+ *   feeds and related links.
+ * - `draft`: only in `next dev` or with the preview cookie set by
+ *   /api/preview.
+ * - `scheduled`: a draft until `publishAt`, then published. The status is
+ *   resolved when content is read, so a static build picks it up on the
+ *   next rebuild after that date.
+ *
+ * A `publishAt` in the future holds back any status that isn't a draft.
+ */
+
+export type PublishStatus = (typeof PUBLISH_STATUSES)[number];
+
+export type Visibility = {
+  // Include unlisted items; detail pages and their static params want them.
+  unlisted?: boolean;
+  // Include drafts and items scheduled for later; see isPreview().
+  preview?: boolean;
+};
+
+/** The status in effect at `now`. */
+export function publishStatus(
+  data: { status?: PublishStatus; publishAt?: string },
+  now = new Date(),
+): PublishStatus {
+  const status = data.status || "published";
+  if (status === "draft") return status;
+  if (data.publishAt && new Date(data.publishAt) > now) return "scheduled";
+  return status === "scheduled" ? "published" : status;
+}
+
+export function isVisible(status: PublishStatus, { unlisted, preview }: Visibility = {}) {
+  if (status === "published") return true;
+  if (status === "unlisted") return Boolean(unlisted || preview);
+  return Boolean(preview);
+}
+
+/**
+ * Whether drafts should be shown to this request: always in development,
+ * otherwise only with Next's draft-mode cookie. Outside a request, e.g. in
+ * generateStaticParams, and in a static export there is nothing to preview.
+ */
+export function isPreview() {
+  if (process.env.NODE_ENV === "development") return true;
+  if (staticExport) return false;
+  try {
+    return draftMode().isEnabled;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * What a generateStaticParams returns. A static export fails on a dynamic
+ * route without any params, as an empty gallery has, so it gets a
+ * `placeholder` that renders the 404 page instead.
+ */
+export function staticParams<T>(params: T[], placeholder: T) {
+  return staticExport && params.length === 0 ? [placeholder] : params;
+}
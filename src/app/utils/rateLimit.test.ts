@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { clientIP, rateLimit } from "@/app/utils/rateLimit";
+
+function request(forwardedFor?: string, ip?: string) {
+  const headers = new Headers(forwardedFor ? { "x-forwarded-for": forwardedFor } : {});
+  return { headers, ip };
+}
+
+// What a route does with each request: one try a minute per address.
+function allowed(req: ReturnType<typeof request>, route: string) {
+  return rateLimit(`${route}:${clientIP(req)}`, 1, 60 * 1000).allowed;
+}
+
+describe("clientIP", () => {
+  afterEach(() => {
+    delete process.env.TRUSTED_PROXY_HOPS;
+  });
+
+  it("ignores X-Forwarded-For without a trusted proxy", () => {
+    assert.equal(clientIP(request("203.0.113.7", "198.51.100.1")), "198.51.100.1");
+    assert.equal(clientIP(request("203.0.113.7")), "unknown");
+  });
+
+  it("reads the entry the trusted proxies added", () => {
+    process.env.TRUSTED_PROXY_HOPS = "1";
+    assert.equal(clientIP(request("203.0.113.7, 198.51.100.1")), "198.51.100.1");
+
+    process.env.TRUSTED_PROXY_HOPS = "2";
+    assert.equal(clientIP(request("203.0.113.7, 198.51.100.1, 10.0.0.2")), "198.51.100.1");
+    assert.equal(clientIP(request("198.51.100.1")), "198.51.100.1");
+  });
+
+  it("doesn't reset the limit for a spoofed header", () => {
+    assert.ok(allowed(request("203.0.113.1", "198.51.100.1"), "direct"));
+    assert.ok(!allowed(request("203.0.113.2", "198.51.100.1"), "direct"));
+
+    process.env.TRUSTED_PROXY_HOPS = "1";
+    assert.ok(allowed(request("203.0.113.1, 198.51.100.1"), "proxied"));
+    assert.ok(!allowed(request("203.0.113.2, 198.51.100.1"), "proxied"));
+    assert.ok(!allowed(request("198.51.100.1"), "proxied"));
+  });
+});
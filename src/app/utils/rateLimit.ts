@@ -0,0 +1,70 @@
+type Window = {
+  count: number;
+  resetAt: number;
+};
+
+const windows = new Map<string, Window>();
+
+// Expired windows are dropped at most once a minute, so the map only holds
+// clients seen within the longest window rather than everyone since startup.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+let nextSweep = 0;
+
+function sweep(now: number) {
+  if (now < nextSweep) return;
+  nextSweep = now + SWEEP_INTERVAL_MS;
+  for (const [key, entry] of windows) {
+    if (entry.resetAt <= now) windows.delete(key);
+  }
+}
+
+/**
+ * Fixed-window limiter kept in process memory. Counts reset when the server
+ * restarts, which is acceptable for a single-instance portfolio.
+ */
+export function rateLimit(key: string, max: number, windowMs: number) {
+  const now = Date.now();
+  sweep(now);
+  let entry = windows.get(key);
+
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+    windows.set(key, entry);
+  }
+
+  entry.count += 1;
+
+  return {
+    allowed: entry.count <= max,
+    retryAfter: Math.ceil((entry.resetAt - now) / 1000),
+  };
+}
+
+// How many reverse proxies in front of the app add to X-Forwarded-For, from
+// TRUSTED_PROXY_HOPS. Without one, visitors can send the header themselves.
+function trustedProxyHops() {
+  const hops = Number(process.env.TRUSTED_PROXY_HOPS);
+  return Number.isInteger(hops) && hops > 0 ? hops : 0;
+}
+
+/**
+ * The visitor's address, for rate limits and visitor hashes. Behind trusted
+ * proxies it's the X-Forwarded-For entry the outermost one added, counting
+ * from the right; whatever the visitor put before it is ignored. Otherwise
+ * the header isn't read and it's `request.ip` where the host sets it.
+ *
+ * Takes a Request, or anything with its headers such as next/headers' headers()
+ * in a server action.
+ */
+export function clientIP(request: { headers: Pick<Headers, "get">; ip?: string }) {
+  const hops = trustedProxyHops();
+  if (hops > 0) {
+    const forwarded = (request.headers.get("x-forwarded-for") ?? "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    const ip = forwarded[Math.max(forwarded.length - hops, 0)];
+    if (ip) return ip;
+  }
+  return request.ip || "unknown";
+}
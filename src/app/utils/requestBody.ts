@@ -0,0 +1,17 @@
+/**
+ * Reads a JSON request body that should be an object of fields. Resolves to
+ * undefined when the body isn't JSON or is `null`, a number, an array or any
+ * other non-object, so handlers can answer 400 before touching a field.
+ */
+export async function readJsonObject(request: Request): Promise<Record<string, unknown> | undefined> {
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch {
+    return undefined;
+  }
+  if (typeof body !== "object" || body === null || Array.isArray(body)) {
+    return undefined;
+  }
+  return body as Record<string, unknown>;
+}
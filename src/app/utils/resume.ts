@@ -0,0 +1,171 @@
+import fs from "fs";
+import path from "path";
+import { baseURL } from "@/app/resources";
+import { defaultLocale, getContent, Locale, localeConfig } from "@/app/resources/i18n";
+import { markdownToText } from "@/app/utils/markdown";
+import { createPdf } from "@/app/utils/pdf";
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+function monthToISO(value: string) {
+  const [month, year] = value.trim().split(" ");
+  const index = MONTHS.indexOf(month);
+  return index >= 0 && year ? `${year}-${String(index + 1).padStart(2, "0")}` : undefined;
+}
+
+/**
+ * "Jul 2021 - Present" → { startDate: "2021-07" }; a single "May 2020" is an
+ * end date, as on a degree.
+ */
+export function timeframeDates(timeframe?: string): { startDate?: string; endDate?: string } {
+  if (!timeframe) return {};
+  const [start, end] = timeframe.split(" - ");
+  if (end === undefined) return { endDate: monthToISO(start) };
+  return { startDate: monthToISO(start), endDate: end === "Present" ? undefined : monthToISO(end) };
+}
+
+function profiles(locale: Locale) {
+  return getContent(locale)
+    .social.filter((item) => item.link && !item.link.startsWith("mailto:"))
+    .map((item) => ({
+      network: item.name,
+      username: new URL(item.link).pathname.split("/").filter(Boolean).pop() || "",
+      url: item.link,
+    }));
+}
+
+export function skillKeywords(description: string) {
+  return markdownToText(description)
+    .split(",")
+    .map((keyword) => keyword.trim())
+    .filter(Boolean);
+}
+
+/** `about` and `person` from content.js in the JSON Resume v1 schema (jsonresume.org). */
+export function getJsonResume(locale: Locale = defaultLocale) {
+  const { person, about } = getContent(locale);
+  const [city, region] = person.displayLocation.split(",").map((part) => part.trim());
+  const contentFile = path.join(process.cwd(), "src", "app", "resources", "content.js");
+
+  return {
+    $schema: "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json",
+    basics: {
+      name: person.name,
+      label: person.role,
+      image: `${baseURL}${person.avatar}`,
+      email: person.email,
+      url: baseURL,
+      summary: markdownToText(about.intro.description),
+      location: { city, region },
+      profiles: profiles(locale),
+    },
+    work: about.work.experiences.map((experience) => ({
+      name: experience.company,
+      position: experience.role,
+      ...timeframeDates(experience.timeframe),
+      highlights: experience.achievements.map(markdownToText),
+    })),
+    education: about.studies.institutions.map((institution) => ({
+      institution: institution.name,
+      area: institution.area,
+      studyType: institution.degree,
+      score: institution.score,
+      ...timeframeDates(institution.timeframe),
+    })),
+    skills: about.technical.skills.map((skill) => ({
+      name: skill.title,
+      keywords: skillKeywords(skill.description),
+    })),
+    languages: person.languages.map((language) => ({ language })),
+    meta: {
+      canonical: `${baseURL}/resume.json`,
+      version: "v1.0.0",
+      lastModified: fs.statSync(contentFile).mtime.toISOString(),
+    },
+  };
+}
+
+/** The résumé as a text PDF, in any locale. */
+export async function getResumePdf(locale: Locale = defaultLocale) {
+  const { person, about, resume } = getContent(locale);
+  const pdf = await createPdf({
+    title: resume.title,
+    author: person.name,
+    subject: resume.description,
+    lang: localeConfig(locale).lang,
+  });
+  const website = baseURL.replace(/^https?:\/\//, "");
+
+  const heading = (title: string) => {
+    // Keep a heading with at least the first line of its section.
+    pdf.keepTogether(48);
+    pdf.space(10);
+    pdf.paragraph(title.toUpperCase(), { size: 10, font: "bold", gray: 0.3 });
+    pdf.rule(3);
+  };
+
+  pdf.paragraph(person.name, { size: 22, font: "bold", lineHeight: 26 });
+  pdf.paragraph(`${person.role} · ${person.displayLocation}`, { size: 11, gray: 0.35 });
+  pdf.space(4);
+  pdf.paragraph(
+    [
+      { text: person.email, link: `mailto:${person.email}` },
+      { text: "  ·  " },
+      { text: website, link: baseURL },
+      ...profiles(locale).flatMap((profile) => [
+        { text: "  ·  " },
+        { text: profile.url.replace(/^https?:\/\/(www\.)?/, ""), link: profile.url },
+      ]),
+    ],
+    { size: 9, gray: 0.2 },
+  );
+
+  if (about.intro.display) {
+    heading(resume.summary);
+    pdf.paragraph(markdownToText(about.intro.description), { size: 9.5 });
+  }
+
+  if (about.work.display) {
+    heading(about.work.title);
+    about.work.experiences.forEach((experience, index) => {
+      if (index > 0) pdf.space(6);
+      pdf.keepTogether(40);
+      pdf.row(experience.company, experience.timeframe, { size: 11, font: "bold" });
+      pdf.paragraph(experience.role, { size: 10, font: "italic", gray: 0.3 });
+      pdf.space(2);
+      for (const achievement of experience.achievements) {
+        pdf.paragraph(markdownToText(achievement), { size: 9.5, indent: 12, bullet: true });
+      }
+    });
+  }
+
+  if (about.studies.display) {
+    heading(about.studies.title);
+    about.studies.institutions.forEach((institution, index) => {
+      if (index > 0) pdf.space(4);
+      pdf.row(institution.name, institution.timeframe || "", { size: 10.5, font: "bold" });
+      pdf.paragraph(
+        [institution.description, institution.location].filter(Boolean).map(markdownToText).join(" · "),
+        { size: 9.5, gray: 0.3 },
+      );
+    });
+  }
+
+  if (about.technical.display) {
+    heading(resume.skills);
+    for (const skill of about.technical.skills) {
+      pdf.paragraph(
+        [{ text: `${skill.title}: `, font: "bold" }, { text: skillKeywords(skill.description).join(", ") }],
+        { size: 9.5 },
+      );
+    }
+    if (person.languages.length > 0) {
+      pdf.paragraph(
+        [{ text: `${resume.languages}: `, font: "bold" }, { text: person.languages.join(", ") }],
+        { size: 9.5 },
+      );
+    }
+  }
+
+  return pdf.toBuffer();
+}
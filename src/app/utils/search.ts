@@ -0,0 +1,103 @@
+import { routes, search } from "@/app/resources";
+import { defaultLocale, getContent, Locale, localePath } from "@/app/resources/i18n";
+import { ContentType, getContentItems } from "@/app/utils/content";
+import { markdownToText } from "@/app/utils/markdown";
+
+export type SearchType = ContentType | "about";
+
+/** One entry of /search.json; kept small since the whole index is sent to the browser. */
+export type SearchDocument = {
+  type: SearchType;
+  title: string;
+  href: string;
+  summary: string;
+  tags: string[];
+  text: string;
+};
+
+function compact(text: string) {
+  const plain = text.replace(/\s+/g, " ").trim();
+  return plain.length > search.bodyLength ? `${plain.slice(0, search.bodyLength)}…` : plain;
+}
+
+function aboutDocuments(locale: Locale): SearchDocument[] {
+  const { about } = getContent(locale);
+  const href = (anchor: string) => `${localePath(locale, "/about")}#${encodeURIComponent(anchor)}`;
+  const documents: SearchDocument[] = [];
+
+  if (about.intro.display) {
+    documents.push({
+      type: "about",
+      title: about.intro.title,
+      href: href(about.intro.title),
+      summary: about.description,
+      tags: [],
+      text: compact(markdownToText(about.intro.description)),
+    });
+  }
+
+  if (about.work.display) {
+    for (const experience of about.work.experiences) {
+      documents.push({
+        type: "about",
+        title: `${experience.company} · ${experience.role}`,
+        href: href(experience.company),
+        summary: experience.timeframe,
+        tags: [],
+        text: compact(experience.achievements.map(markdownToText).join(" ")),
+      });
+    }
+  }
+
+  if (about.studies.display) {
+    for (const institution of about.studies.institutions) {
+      documents.push({
+        type: "about",
+        title: institution.name,
+        href: href(institution.name),
+        summary: [institution.degree, institution.area].filter(Boolean).join(", "),
+        tags: [],
+        text: compact(markdownToText(institution.description)),
+      });
+    }
+  }
+
+  if (about.technical.display) {
+    documents.push({
+      type: "about",
+      title: about.technical.title,
+      href: href(about.technical.title),
+      summary: about.technical.skills.map((skill) => skill.title).join(", "),
+      tags: [],
+      text: compact(
+        about.technical.skills
+          .map((skill) => `${skill.title}: ${markdownToText(skill.description)}`)
+          .join(" "),
+      ),
+    });
+  }
+
+  return documents;
+}
+
+/**
+ * Everything the search palette can find in `locale`: published posts,
+ * projects and articles, plus the sections of the About page. Bodies are
+ * reduced to plain text and cut to `search.bodyLength`.
+ */
+export function getSearchIndex(locale: Locale = defaultLocale): SearchDocument[] {
+  const documents: SearchDocument[] = getContentItems(locale).map((item) => ({
+    type: item.type,
+    title: item.title,
+    href: item.href,
+    summary: item.summary,
+    tags: item.tags,
+    text: compact(markdownToText(item.content)),
+  }));
+
+  if (routes["/about"]) {
+    documents.push(...aboutDocuments(locale));
+  }
+
+  return documents;
+}
@@ -0,0 +1,166 @@
+import fs from "fs";
+import path from "path";
+import { baseURL, routes } from "@/app/resources";
+import { localeAlternates, localePath, locales } from "@/app/resources/i18n";
+import { getGallery } from "@/app/utils/gallery";
+import { getArticles, getPosts } from "@/app/utils/utils";
+import { escapeXml } from "@/app/utils/xml";
+
+export type SitemapEntry = {
+  url: string;
+  lastModified: string;
+  // hreflang → URL of the same page in every locale, itself included.
+  alternates?: Record<string, string>;
+};
+
+type RouteEntry = {
+  route: string;
+  lastModified: string;
+};
+
+// The sitemap protocol caps a single file at 50,000 URLs.
+export const SITEMAP_LIMIT = 50000;
+
+function toDate(date: string) {
+  return new Date(date.includes("T") ? date : `${date}T00:00:00Z`);
+}
+
+function latest(dates: Date[]) {
+  const valid = dates.filter((date) => !Number.isNaN(date.getTime()));
+  return valid.length > 0
+    ? new Date(Math.max(...valid.map((date) => date.getTime())))
+    : new Date(0);
+}
+
+function fileModified(...segments: string[]) {
+  const filePath = path.join(process.cwd(), ...segments);
+  return fs.existsSync(filePath) ? fs.statSync(filePath).mtime : new Date(0);
+}
+
+function contentEntry(route: string, publishedAt: string, updatedAt?: string): RouteEntry {
+  return {
+    route,
+    lastModified: toDate(updatedAt || publishedAt).toISOString(),
+  };
+}
+
+/**
+ * Lists every enabled page in every locale with the date it last changed:
+ * front matter `updatedAt`/`publishedAt` for content, and file mtimes for
+ * static pages, photo dates for the gallery. Dates come from the default
+ * locale's files.
+ */
+export async function getSitemapEntries(): Promise<SitemapEntry[]> {
+  const sections: Record<string, RouteEntry[]> = {};
+
+  if (routes["/blog"]) {
+    sections["/blog"] = getPosts(["src", "app", "blog", "posts"]).map((post) =>
+      contentEntry(`/blog/${post.slug}`, post.metadata.publishedAt, post.metadata.updatedAt),
+    );
+  }
+
+  if (routes["/project"]) {
+    sections["/project"] = getPosts(["src", "app", "project", "projects"]).map((post) =>
+      contentEntry(`/project/${post.slug}`, post.metadata.publishedAt, post.metadata.updatedAt),
+    );
+  }
+
+  if (routes["/articles"]) {
+    sections["/articles"] = getArticles().map((article) =>
+      contentEntry(
+        `/articles/${article.slug}`,
+        article.metadata.publishedAt,
+        article.metadata.updatedAt,
+      ),
+    );
+  }
+
+  if (routes["/gallery"]) {
+    sections["/gallery"] = (await getGallery()).flatMap((album) => {
+      const images = album.images.map((image) => ({
+        route: `/gallery/${album.slug}/${image.slug}`,
+        lastModified: (image.date
+          ? toDate(image.date)
+          : fileModified("public", image.src)
+        ).toISOString(),
+      }));
+      return [
+        {
+          route: `/gallery/${album.slug}`,
+          lastModified: latest(images.map((image) => new Date(image.lastModified))).toISOString(),
+        },
+        ...images,
+      ];
+    });
+  }
+
+  const contentModified = fileModified("src", "app", "resources", "content.js");
+
+  const staticEntries = Object.keys(routes)
+    .filter((route) => routes[route])
+    .map((route) => {
+      const pageModified = fileModified("src", "app", route, "page.tsx");
+      const children = (sections[route] || []).map((entry) => new Date(entry.lastModified));
+
+      return {
+        route,
+        lastModified: latest([pageModified, contentModified, ...children]).toISOString(),
+      };
+    });
+
+  return [...staticEntries, ...Object.values(sections).flat()].flatMap(({ route, lastModified }) => {
+    const alternates = localeAlternates(route);
+    return locales.map((locale) => ({
+      url: `${baseURL}${localePath(locale, route)}`.replace(/\/$/, ""),
+      lastModified,
+      alternates,
+    }));
+  });
+}
+
+export function chunkSitemap(entries: SitemapEntry[]) {
+  const chunks: SitemapEntry[][] = [];
+  for (let i = 0; i < entries.length; i += SITEMAP_LIMIT) {
+    chunks.push(entries.slice(i, i + SITEMAP_LIMIT));
+  }
+  return chunks;
+}
+
+export function buildUrlSet(entries: SitemapEntry[]) {
+  const urls = entries
+    .map(
+      (entry) => `  <url>
+    <loc>${escapeXml(entry.url)}</loc>
+    <lastmod>${entry.lastModified}</lastmod>${Object.entries(entry.alternates || {})
+      .map(
+        ([hreflang, href]) => `
+    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeXml(href)}" />`,
+      )
+      .join("")}
+  </url>`,
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls}
+</urlset>
+`;
+}
+
+export function buildSitemapIndex(chunks: SitemapEntry[][]) {
+  const sitemaps = chunks
+    .map(
+      (chunk, index) => `  <sitemap>
+    <loc>${baseURL}/sitemap/${index}.xml</loc>
+    <lastmod>${latest(chunk.map((entry) => new Date(entry.lastModified))).toISOString()}</lastmod>
+  </sitemap>`,
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps}
+</sitemapindex>
+`;
+}
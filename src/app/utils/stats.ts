@@ -0,0 +1,24 @@
+import type { ContentType } from "@/app/utils/content";
+
+/**
+ * View counts and reactions per post, project and article. These are the
+ * names shared with the browser; storage lives in statsStore.ts.
+ */
+
+export const REACTIONS = ["like", "clap"] as const;
+
+export type Reaction = (typeof REACTIONS)[number];
+
+export type StatsEvent = "view" | Reaction;
+
+export type Counts = Record<StatsEvent, number>;
+
+export const STATS_EVENTS: StatsEvent[] = ["view", ...REACTIONS];
+
+export function isStatsEvent(value: unknown): value is StatsEvent {
+  return STATS_EVENTS.includes(value as StatsEvent);
+}
+
+export function statsKey(type: ContentType, slug: string) {
+  return `${type}:${slug}`;
+}
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { stats } from "@/app/resources/config";
+
+// The file store reads STATS_FILE when it's first used.
+const file = `.data/stats-test-${process.pid}.json`;
+process.env.STATS_FILE = file;
+const filePath = path.join(process.cwd(), file);
+
+const { recordEvent } = await import("@/app/utils/statsStore");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function request() {
+  return new Request("http://localhost/api/stats/blog/post", {
+    headers: { "user-agent": "test" },
+  });
+}
+
+function seen(): Record<string, number | null> {
+  return JSON.parse(fs.readFileSync(filePath, "utf8")).seen;
+}
+
+describe("file stats store", () => {
+  after(() => fs.rmSync(filePath, { force: true }));
+
+  it("forgets reactions after stats.reactionDays", async () => {
+    assert.ok(await recordEvent(request(), "blog:post", "like"));
+    assert.ok(!(await recordEvent(request(), "blog:post", "like")));
+
+    const [expiresAt] = Object.values(seen()) as number[];
+    const ttl = stats.reactionDays * DAY;
+    assert.ok(expiresAt > Date.now() + ttl - 60 * 1000 && expiresAt <= Date.now() + ttl);
+  });
+
+  it("drops reactions stored without an expiry", async () => {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    data.seen = { legacy: null };
+    fs.writeFileSync(filePath, JSON.stringify(data));
+
+    assert.ok(await recordEvent(request(), "blog:post", "clap"));
+    assert.ok(!("legacy" in seen()));
+    assert.ok(Object.values(seen()).every((expiresAt) => typeof expiresAt === "number"));
+  });
+});
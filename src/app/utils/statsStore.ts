@@ -0,0 +1,222 @@
+import crypto from "crypto";
+import { stats } from "@/app/resources";
+import { jsonFile, sqliteDatabase } from "@/app/utils/dataFiles";
+import { clientIP } from "@/app/utils/rateLimit";
+import { Counts, STATS_EVENTS, StatsEvent } from "@/app/utils/stats";
+
+/**
+ * Where view counts and reactions are kept, chosen by `stats.storage`.
+ *
+ * No IP address is stored. A visitor is a salted hash of their IP and user
+ * agent, taken per item and per event, so hashes can't be joined across
+ * pages. Views are counted once per visitor per day (the day is part of the
+ * hash); each reaction once per visitor per `stats.reactionDays`.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+type Store = {
+  /**
+   * Adds one to `event` on `key` unless `visitor` was already counted, and
+   * remembers `visitor` for `ttl` ms. Resolves to whether it counted.
+   */
+  record(key: string, event: StatsEvent, visitor: string, ttl: number): Promise<boolean>;
+  read(keys: string[]): Promise<Record<string, Partial<Counts>>>;
+};
+
+type StatsFile = {
+  counts: Record<string, Partial<Counts>>;
+  // Visitor hash → expiry timestamp.
+  seen: Record<string, number>;
+};
+
+function fileStore(): Store {
+  const file = jsonFile<StatsFile>(process.env.STATS_FILE || ".data/stats.json", () => ({
+    counts: {},
+    seen: {},
+  }));
+
+  return {
+    record(key, event, visitor, ttl) {
+      // One at a time so concurrent requests don't lose increments.
+      return file.serialize(async () => {
+        const data = await file.read();
+        const now = Date.now();
+        for (const [hash, expiresAt] of Object.entries(data.seen)) {
+          // Older files kept reactions with a null expiry; those go too.
+          if (!(expiresAt > now)) delete data.seen[hash];
+        }
+        if (visitor in data.seen) return false;
+
+        data.seen[visitor] = now + ttl;
+        const counts = (data.counts[key] ??= {});
+        counts[event] = (counts[event] ?? 0) + 1;
+        await file.write(data);
+        return true;
+      });
+    },
+
+    async read(keys) {
+      const { counts } = await file.read();
+      return Object.fromEntries(keys.map((key) => [key, counts[key] ?? {}]));
+    },
+  };
+}
+
+function sqliteStore(): Store {
+  const open = sqliteDatabase(
+    process.env.STATS_DB || ".data/stats.db",
+    `
+      CREATE TABLE IF NOT EXISTS counts (
+        key TEXT NOT NULL,
+        event TEXT NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (key, event)
+      );
+      CREATE TABLE IF NOT EXISTS seen (hash TEXT PRIMARY KEY, expires_at INTEGER);
+    `,
+    "STATS_STORAGE",
+  );
+
+  return {
+    async record(key, event, visitor, ttl) {
+      const db = open();
+      const now = Date.now();
+      // Rows without an expiry are reactions recorded before they had one.
+      db.prepare("DELETE FROM seen WHERE expires_at IS NULL OR expires_at <= ?").run(now);
+      const { changes } = db
+        .prepare("INSERT OR IGNORE INTO seen (hash, expires_at) VALUES (?, ?)")
+        .run(visitor, now + ttl);
+      if (Number(changes) === 0) return false;
+
+      db.prepare(
+        `INSERT INTO counts (key, event, count) VALUES (?, ?, 1)
+         ON CONFLICT (key, event) DO UPDATE SET count = count + 1`,
+      ).run(key, event);
+      return true;
+    },
+
+    async read(keys) {
+      const result: Record<string, Partial<Counts>> = Object.fromEntries(
+        keys.map((key) => [key, {}]),
+      );
+      if (keys.length === 0) return result;
+
+      const rows = open()
+        .prepare(`SELECT key, event, count FROM counts WHERE key IN (${keys.map(() => "?").join(", ")})`)
+        .all(...keys) as { key: string; event: StatsEvent; count: number }[];
+      for (const row of rows) {
+        result[row.key][row.event] = Number(row.count);
+      }
+      return result;
+    },
+  };
+}
+
+/** Redis over HTTP: Upstash, or Vercel KV which uses the same API and variables. */
+function kvStore(): Store {
+  async function pipeline(commands: (string | number)[][]) {
+    const { KV_REST_API_URL, KV_REST_API_TOKEN } = process.env;
+    if (!KV_REST_API_URL || !KV_REST_API_TOKEN) {
+      throw new Error("KV_REST_API_URL and KV_REST_API_TOKEN must be set");
+    }
+
+    const response = await fetch(`${KV_REST_API_URL}/pipeline`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${KV_REST_API_TOKEN}` },
+      body: JSON.stringify(commands),
+      cache: "no-store",
+    });
+    if (!response.ok) {
+      throw new Error(`KV store responded with ${response.status}`);
+    }
+
+    const results: { result?: unknown; error?: string }[] = await response.json();
+    const failed = results.find((entry) => entry.error);
+    if (failed) {
+      throw new Error(`KV store error: ${failed.error}`);
+    }
+    return results.map((entry) => entry.result);
+  }
+
+  return {
+    async record(key, event, visitor, ttl) {
+      const [set] = await pipeline([
+        ["SET", `stats:seen:${visitor}`, 1, "NX", "PX", ttl],
+      ]);
+      if (set !== "OK") return false;
+
+      await pipeline([["HINCRBY", `stats:${key}`, event, 1]]);
+      return true;
+    },
+
+    async read(keys) {
+      if (keys.length === 0) return {};
+
+      const results = await pipeline(keys.map((key) => ["HGETALL", `stats:${key}`]));
+      return Object.fromEntries(
+        keys.map((key, index) => {
+          const fields = (results[index] as string[] | null) ?? [];
+          const counts: Partial<Counts> = {};
+          for (let i = 0; i < fields.length; i += 2) {
+            counts[fields[i] as StatsEvent] = Number(fields[i + 1]);
+          }
+          return [key, counts];
+        }),
+      );
+    },
+  };
+}
+
+const stores: Record<string, () => Store> = {
+  file: fileStore,
+  sqlite: sqliteStore,
+  kv: kvStore,
+};
+
+let store: Store | undefined;
+
+function getStore() {
+  if (!store) {
+    const create = stores[stats.storage];
+    if (!create) {
+      throw new Error(`Unknown stats storage "${stats.storage}"`);
+    }
+    store = create();
+  }
+  return store;
+}
+
+// Without STATS_SALT the salt lives only as long as the server process:
+// still private, but visitors can be counted again after a restart.
+const salt = process.env.STATS_SALT || crypto.randomBytes(32).toString("hex");
+
+function visitorHash(request: Request, parts: string[]) {
+  return crypto
+    .createHmac("sha256", salt)
+    .update([clientIP(request), request.headers.get("user-agent") || "", ...parts].join("\n"))
+    .digest("hex");
+}
+
+/**
+ * Counts `event` for the visitor behind `request`, once per day for views and
+ * once per `stats.reactionDays` for reactions.
+ */
+export function recordEvent(request: Request, key: string, event: StatsEvent) {
+  if (event === "view") {
+    const day = new Date().toISOString().slice(0, 10);
+    return getStore().record(key, event, visitorHash(request, [key, event, day]), DAY);
+  }
+  return getStore().record(key, event, visitorHash(request, [key, event]), stats.reactionDays * DAY);
+}
+
+/** Counts for each of `keys`, zero where nothing was recorded yet. */
+export async function getCounts(keys: string[]): Promise<Record<string, Counts>> {
+  const stored = await getStore().read(keys);
+  return Object.fromEntries(
+    keys.map((key) => [
+      key,
+      Object.fromEntries(STATS_EVENTS.map((event) => [event, stored[key]?.[event] ?? 0])) as Counts,
+    ]),
+  );
+}
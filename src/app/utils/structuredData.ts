@@ -0,0 +1,228 @@
+import { baseURL } from "@/app/resources";
+import { getContent, Locale, localeConfig } from "@/app/resources/i18n";
+import { coverSrc } from "@/app/utils/covers";
+import { GalleryImage } from "@/app/utils/gallery";
+import { markdownToText } from "@/app/utils/markdown";
+import { absoluteURL, pageURL } from "@/app/utils/metadata";
+import { ogImageURL } from "@/app/utils/og";
+import { skillKeywords } from "@/app/utils/resume";
+import { Article, getPosts, getReadingTime } from "@/app/utils/utils";
+
+/**
+ * schema.org nodes for the JSON-LD on each page. Pages combine them into one
+ * `@graph` with `jsonLd()`; nodes refer to the site owner and the site by
+ * `@id`, so the full Person is only spelled out once per page.
+ */
+
+export type Thing = Record<string, unknown>;
+
+type Post = ReturnType<typeof getPosts>[number];
+
+type Crumb = { name: string; path: string };
+
+export const PERSON_ID = `${baseURL}/#person`;
+const WEBSITE_ID = `${baseURL}/#website`;
+
+const personRef = { "@id": PERSON_ID };
+
+export function personSchema(locale: Locale): Thing {
+  const { person, about, social } = getContent(locale);
+  const [city, region] = person.displayLocation.split(",").map((part) => part.trim());
+
+  return {
+    "@type": "Person",
+    "@id": PERSON_ID,
+    name: person.name,
+    jobTitle: person.role,
+    description: markdownToText(about.intro.description),
+    url: pageURL(locale, "/about"),
+    image: absoluteURL(person.avatar),
+    email: `mailto:${person.email}`,
+    address: { "@type": "PostalAddress", addressLocality: city, addressRegion: region },
+    knowsLanguage: person.languages,
+    knowsAbout: about.technical.skills.flatMap((skill) => skillKeywords(skill.description)),
+    sameAs: social
+      .filter((item) => item.link && !item.link.startsWith("mailto:"))
+      .map((item) => item.link),
+    worksFor: about.work.experiences
+      .filter((experience) => experience.timeframe.endsWith("Present"))
+      .map((experience) => ({ "@type": "Organization", name: experience.company })),
+    alumniOf: about.studies.institutions.map((institution) => ({
+      "@type": "CollegeOrUniversity",
+      name: institution.name,
+      ...(institution.location && { address: institution.location }),
+    })),
+  };
+}
+
+export function websiteSchema(locale: Locale): Thing {
+  const { home } = getContent(locale);
+  return {
+    "@type": "WebSite",
+    "@id": WEBSITE_ID,
+    url: baseURL,
+    name: home.title,
+    description: home.description,
+    inLanguage: localeConfig(locale).lang,
+    publisher: personRef,
+  };
+}
+
+/** Home → `crumbs`; the last crumb is the current page. */
+export function breadcrumbSchema(locale: Locale, crumbs: Crumb[]): Thing {
+  const { home } = getContent(locale);
+  const items = [{ name: home.label, path: "/" }, ...crumbs];
+
+  return {
+    "@type": "BreadcrumbList",
+    itemListElement: items.map((crumb, index) => ({
+      "@type": "ListItem",
+      position: index + 1,
+      name: crumb.name,
+      item: pageURL(locale, crumb.path),
+    })),
+  };
+}
+
+type PageFields = { path: string; title: string; description: string };
+
+type PageNode = Thing & PageFields & { type?: string };
+
+/** A page node; `type` narrows WebPage, e.g. to "CollectionPage" or "ProfilePage". */
+export function webPageSchema(
+  locale: Locale,
+  { type = "WebPage", path, title, description, ...rest }: PageNode,
+): Thing {
+  return {
+    "@type": type,
+    url: pageURL(locale, path),
+    name: title,
+    description,
+    inLanguage: localeConfig(locale).lang,
+    isPartOf: { "@id": WEBSITE_ID },
+    ...rest,
+  };
+}
+
+/** A listing page whose main entity is the ordered list of the pages it links to. */
+export function collectionPageSchema(
+  locale: Locale,
+  { items, ...page }: PageFields & { items: Crumb[] },
+): Thing {
+  return webPageSchema(locale, {
+    type: "CollectionPage",
+    ...page,
+    mainEntity: {
+      "@type": "ItemList",
+      numberOfItems: items.length,
+      itemListElement: items.map((item, index) => ({
+        "@type": "ListItem",
+        position: index + 1,
+        name: item.name,
+        url: pageURL(locale, item.path),
+      })),
+    },
+  });
+}
+
+export function techArticleSchema(locale: Locale, article: Article): Thing {
+  const { title, summary, publishedAt, updatedAt, tags, series } = article.metadata;
+  const url = pageURL(locale, `/articles/${article.slug}`);
+
+  return {
+    "@type": "TechArticle",
+    headline: title,
+    description: summary,
+    url,
+    mainEntityOfPage: url,
+    image: [absoluteURL(coverSrc(article)), ogImageURL({ type: "article", slug: article.slug }, "og")],
+    datePublished: publishedAt,
+    dateModified: updatedAt || publishedAt,
+    inLanguage: localeConfig(locale).lang,
+    keywords: tags,
+    timeRequired: `PT${getReadingTime(article.content)}M`,
+    wordCount: article.content.split(/\s+/).filter(Boolean).length,
+    ...(series && { isPartOf: { "@type": "CreativeWorkSeries", name: series } }),
+    author: personRef,
+    publisher: personRef,
+  };
+}
+
+export function blogPostingSchema(locale: Locale, post: Post): Thing {
+  const { title, summary, publishedAt, updatedAt, image } = post.metadata;
+  const url = pageURL(locale, `/blog/${post.slug}`);
+
+  return {
+    "@type": "BlogPosting",
+    headline: title,
+    description: summary,
+    url,
+    mainEntityOfPage: url,
+    image: image ? absoluteURL(image) : ogImageURL({ type: "blog", slug: post.slug }, "og"),
+    datePublished: publishedAt,
+    dateModified: updatedAt || publishedAt,
+    inLanguage: localeConfig(locale).lang,
+    author: personRef,
+    publisher: personRef,
+  };
+}
+
+/**
+ * A project with a live `link` is described as the software itself; case
+ * studies without one are plain creative works.
+ */
+export function projectSchema(locale: Locale, post: Post): Thing {
+  const { title, summary, publishedAt, updatedAt, images, link, team, stack } = post.metadata;
+  const url = pageURL(locale, `/project/${post.slug}`);
+  const image =
+    images.length > 0
+      ? [...new Set(images.map(absoluteURL))]
+      : [ogImageURL({ type: "project", slug: post.slug }, "og")];
+
+  return {
+    "@type": link ? "SoftwareApplication" : "CreativeWork",
+    name: title,
+    headline: title,
+    description: summary,
+    url: link || url,
+    mainEntityOfPage: url,
+    image,
+    datePublished: publishedAt,
+    dateModified: updatedAt || publishedAt,
+    inLanguage: localeConfig(locale).lang,
+    creator: personRef,
+    ...(stack.length > 0 && { keywords: stack.join(", ") }),
+    ...(team.length > 0 && {
+      contributor: team.map((member) => ({
+        "@type": "Person",
+        name: member.name,
+        jobTitle: member.role,
+        ...(member.linkedIn && { sameAs: member.linkedIn }),
+      })),
+    }),
+    ...(link && { applicationCategory: "WebApplication", operatingSystem: "Web" }),
+  };
+}
+
+export function imageObjectSchema(locale: Locale, image: GalleryImage): Thing {
+  return {
+    "@type": "ImageObject",
+    contentUrl: absoluteURL(image.src),
+    url: pageURL(locale, `/gallery/${image.album}/${image.slug}`),
+    width: image.width,
+    height: image.height,
+    description: image.alt,
+    caption: image.caption,
+    dateCreated: image.date,
+    creator: personRef,
+  };
+}
+
+/** The `<script type="application/ld+json">` body for `nodes`. */
+export function jsonLd(...nodes: Thing[]) {
+  // "<" is escaped so content can never close the script element.
+  return JSON.stringify({ "@context": "https://schema.org", "@graph": nodes }).replace(
+    /</g,
+    "\\u003c",
+  );
+}
@@ -1,6 +1,10 @@
 import fs from "fs";
 import path from "path";
 import matter from "gray-matter";
+import { articleSchema, assertValid, normalizeDates, postSchema } from "@/app/utils/validation";
+import { defaultLocale, isLocale, Locale } from "@/app/resources/i18n";
+import { isVisible, publishStatus, PublishStatus, Visibility } from "@/app/utils/publishing";
+import type { ProjectMetric, ProjectStatus } from "@/app/utils/projects";
 
 type Team = {
   name: string;
@@ -12,61 +16,282 @@ type Team = {
 type Metadata = {
   title: string;
   publishedAt: string;
+  updatedAt?: string;
   summary: string;
   image?: string;
   images: string[];
   tag?: string;
   team: Team[];
   link?: string;
+  series?: string;
+  seriesOrder?: number;
+  status: PublishStatus;
+  publishAt?: string;
+  stack: string[];
+  role?: string;
+  projectStatus?: ProjectStatus;
+  period?: string;
+  metrics: ProjectMetric[];
 };
 
 import { notFound } from 'next/navigation';
 
+/**
+ * Translations sit next to the original as `<name>.<locale>.<ext>`, e.g.
+ * `intro.zh.mdx` for `intro.mdx`. Returns the locale of such a file, if any.
+ */
+export function translationLocale(file: string): Locale | undefined {
+  const suffix = path.extname(path.basename(file, path.extname(file))).slice(1);
+  return isLocale(suffix) ? suffix : undefined;
+}
+
+/**
+ * Front matter and body of `filePath` in `locale`. A translated file's front
+ * matter is layered over the original's, so it only needs the fields that
+ * change; without a translation the original is returned as is.
+ */
+export function readLocalizedFile(filePath: string, locale: Locale = defaultLocale) {
+  const original = matter(fs.readFileSync(filePath, "utf-8"));
+  const extension = path.extname(filePath);
+  const translationPath = filePath.slice(0, -extension.length) + `.${locale}${extension}`;
+
+  if (locale === defaultLocale || !fs.existsSync(translationPath)) {
+    return { data: original.data, content: original.content, filePath };
+  }
+
+  const translation = matter(fs.readFileSync(translationPath, "utf-8"));
+  return {
+    data: { ...original.data, ...translation.data },
+    content: translation.content,
+    filePath: translationPath,
+  };
+}
+
 function getMDXFiles(dir: string) {
   if (!fs.existsSync(dir)) {
     notFound();
   }
 
-  return fs.readdirSync(dir).filter((file) => path.extname(file) === ".mdx");
+  return fs
+    .readdirSync(dir)
+    .filter((file) => path.extname(file) === ".mdx" && !translationLocale(file));
 }
 
-function readMDXFile(filePath: string) {
+function readMDXFile(filePath: string, locale?: Locale) {
     if (!fs.existsSync(filePath)) {
         notFound();
     }
 
-  const rawContent = fs.readFileSync(filePath, "utf-8");
-  const { data, content } = matter(rawContent);
+  const { data, content, filePath: sourcePath } = readLocalizedFile(filePath, locale);
+
+  // Files on disk are checked by validateContent() for published sections only.
+  normalizeDates(data, ["publishedAt", "updatedAt", "publishAt"]);
+  assertValid(data, postSchema, path.relative(process.cwd(), sourcePath), { checkFiles: false });
 
   const metadata: Metadata = {
-    title: data.title || "",
+    title: data.title,
     publishedAt: data.publishedAt,
+    updatedAt: data.updatedAt,
     summary: data.summary || "",
     image: data.image || "",
     images: data.images || [],
-    tag: data.tag || [],
+    tag: data.tag || "",
     team: data.team || [],
     link: data.link || "",
+    series: data.series,
+    seriesOrder: data.seriesOrder,
+    status: publishStatus(data),
+    publishAt: data.publishAt,
+    stack: data.stack || [],
+    role: data.role,
+    projectStatus: data.projectStatus,
+    period: data.period,
+    metrics: data.metrics || [],
   };
 
   return { metadata, content };
 }
 
-function getMDXData(dir: string) {
+function getMDXData(dir: string, locale?: Locale, visibility?: Visibility) {
   const mdxFiles = getMDXFiles(dir);
-  return mdxFiles.map((file) => {
-    const { metadata, content } = readMDXFile(path.join(dir, file));
-    const slug = path.basename(file, path.extname(file));
-
-    return {
-      metadata,
-      slug,
-      content,
-    };
-  });
+  return mdxFiles
+    .map((file) => {
+      const { metadata, content } = readMDXFile(path.join(dir, file), locale);
+      const slug = path.basename(file, path.extname(file));
+
+      return {
+        metadata,
+        slug,
+        content,
+      };
+    })
+    .filter((post) => isVisible(post.metadata.status, visibility));
 }
 
-export function getPosts(customPath = ["", "", "", ""]) {
+export function toTags(tag?: string | string[]): string[] {
+  const tags = Array.isArray(tag) ? tag : (tag || "").split(",");
+  return tags.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * The posts in `customPath` that are published. Pass `visibility` to also get
+ * unlisted posts or drafts; see publishing.ts.
+ */
+export function getPosts(
+  customPath = ["", "", "", ""],
+  locale?: Locale,
+  visibility?: Visibility,
+) {
   const postsDir = path.join(process.cwd(), ...customPath);
-  return getMDXData(postsDir);
+  return getMDXData(postsDir, locale, visibility);
+}
+
+export type ArticleMetadata = {
+  title: string;
+  publishedAt: string;
+  updatedAt?: string;
+  summary: string;
+  // Without one, a branded cover is drawn; see covers.ts.
+  cover?: string;
+  tags: string[];
+  series?: string;
+  seriesOrder?: number;
+  status: PublishStatus;
+  publishAt?: string;
+};
+
+export type Article = {
+  metadata: ArticleMetadata;
+  slug: string;
+  content: string;
+};
+
+const ARTICLES_DIR = ["src", "app", "articles", "posts"];
+
+function readArticleFile(filePath: string, locale?: Locale): Article {
+  let parsed: ReturnType<typeof readLocalizedFile>;
+
+  try {
+    parsed = readLocalizedFile(filePath, locale);
+  } catch (error) {
+    throw new Error(
+      `Could not read article ${path.relative(process.cwd(), filePath)}: ${(error as Error).message}`,
+    );
+  }
+
+  const { data, content } = parsed;
+  const fileName = path.relative(process.cwd(), parsed.filePath);
+
+  normalizeDates(data, ["publishedAt", "updatedAt", "publishAt"]);
+  assertValid(data, articleSchema, fileName, { checkFiles: false });
+
+  if (!content.trim()) {
+    throw new Error(`Article ${fileName} has no content`);
+  }
+
+  const metadata: ArticleMetadata = {
+    title: data.title,
+    publishedAt: data.publishedAt,
+    updatedAt: data.updatedAt,
+    summary: data.summary,
+    cover: data.cover,
+    tags: Array.isArray(data.tags) ? data.tags.map(String) : [],
+    series: data.series,
+    seriesOrder: data.seriesOrder,
+    status: publishStatus(data),
+    publishAt: data.publishAt,
+  };
+
+  return {
+    metadata,
+    slug: String(data.slug || path.basename(filePath, path.extname(filePath))),
+    content,
+  };
+}
+
+/** Published articles, newest first; `visibility` as for getPosts(). */
+export function getArticles(locale?: Locale, visibility?: Visibility): Article[] {
+  const articlesDir = path.join(process.cwd(), ...ARTICLES_DIR);
+  const files = fs
+    .readdirSync(articlesDir)
+    .filter((file) => path.extname(file) === ".md" && !translationLocale(file));
+  const allArticles = files.map((file) => readArticleFile(path.join(articlesDir, file), locale));
+
+  const seen = new Set<string>();
+  for (const article of allArticles) {
+    if (seen.has(article.slug)) {
+      throw new Error(`Duplicate article slug "${article.slug}" in ${ARTICLES_DIR.join("/")}`);
+    }
+    seen.add(article.slug);
+  }
+
+  return allArticles
+    .filter((article) => isVisible(article.metadata.status, visibility))
+    .sort(
+      (a, b) =>
+        new Date(b.metadata.publishedAt).getTime() - new Date(a.metadata.publishedAt).getTime(),
+    );
+}
+
+export function getArticle(
+  slug: string,
+  locale?: Locale,
+  visibility?: Visibility,
+): Article | undefined {
+  return getArticles(locale, visibility).find((article) => article.slug === slug);
+}
+
+/**
+ * One value of a query parameter. `?tag=a&tag=b` arrives as an array; the
+ * pages only filter by one, so the first wins.
+ */
+export function firstParam(value?: string | string[]) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+export type ArticleQuery = {
+  tag?: string;
+  q?: string;
+};
+
+export function getArticleTags(allArticles: Article[]): string[] {
+  const tags = new Set(allArticles.flatMap((article) => article.metadata.tags));
+  return Array.from(tags).sort((a, b) => a.localeCompare(b));
+}
+
+export function filterArticles(allArticles: Article[], { tag, q }: ArticleQuery): Article[] {
+  const terms = (q || "").toLowerCase().split(/\s+/).filter(Boolean);
+
+  return allArticles.filter((article) => {
+    if (tag && !article.metadata.tags.some((t) => t.toLowerCase() === tag.toLowerCase())) {
+      return false;
+    }
+
+    if (terms.length === 0) {
+      return true;
+    }
+
+    const haystack = [article.metadata.title, article.metadata.summary, article.content]
+      .join("\n")
+      .toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
+
+const WORDS_PER_MINUTE = 200;
+// Chinese and Japanese text has no spaces between words, so it is measured
+// in characters instead.
+const CJK_CHARACTERS_PER_MINUTE = 400;
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+// Full-width punctuation left between them shouldn't count as words.
+const CJK_PUNCTUATION = /[\u3000-\u303f\uff00-\uffef]/g;
+
+export function getReadingTime(content: string): number {
+  const text = content.replace(/```[\s\S]*?```/g, " ").replace(/<[^>]+>/g, " ");
+  const characters = text.match(CJK_PATTERN)?.length ?? 0;
+  const words = text.replace(CJK_PATTERN, " ").replace(CJK_PUNCTUATION, " ").split(/\s+/).filter(Boolean).length;
+  return Math.max(
+    1,
+    Math.round(words / WORDS_PER_MINUTE + characters / CJK_CHARACTERS_PER_MINUTE),
+  );
 }
@@ -0,0 +1,158 @@
+import fs from "fs";
+import path from "path";
+import { routes } from "@/app/resources";
+import { about, gallery, person, social } from "@/app/resources/content";
+import {
+  articleSchema,
+  formatIssues,
+  normalizeDates,
+  postSchema,
+  schema,
+  validate,
+  ValidationIssue,
+  Validator,
+} from "@/app/utils/validation";
+import { readLocalizedFile, translationLocale } from "@/app/utils/utils";
+
+const CONTENT_FILE = "src/app/resources/content.js";
+
+const personSchema = schema.object({
+  firstName: schema.string(),
+  lastName: schema.string(),
+  role: schema.string(),
+  avatar: schema.image(),
+  location: schema.timezone(),
+  displayLocation: schema.string(),
+  languages: schema.array(schema.string(), { optional: true }),
+  email: schema.string(),
+});
+
+const socialSchema = schema.array(
+  schema.object({
+    name: schema.string(),
+    icon: schema.string(),
+    link: schema.url(),
+  }),
+);
+
+// Résumé text is Markdown so /resume.json and /resume.pdf can use it too.
+const aboutSchema = schema.object({
+  intro: schema.object({
+    description: schema.string(),
+  }),
+  work: schema.object({
+    experiences: schema.array(
+      schema.object({
+        company: schema.string(),
+        timeframe: schema.timeframe(),
+        role: schema.string(),
+        achievements: schema.array(schema.string()),
+        logo: schema.object(
+          {
+            src: schema.image(),
+            alt: schema.string(),
+          },
+          { optional: true },
+        ),
+        images: schema.array(
+          schema.object({
+            src: schema.image(),
+            alt: schema.string(),
+            width: schema.number(),
+            height: schema.number(),
+          }),
+          { optional: true },
+        ),
+      }),
+    ),
+  }),
+  studies: schema.object({
+    institutions: schema.array(
+      schema.object({
+        name: schema.string(),
+        description: schema.string(),
+        degree: schema.string({ optional: true }),
+        area: schema.string({ optional: true }),
+        score: schema.string({ optional: true }),
+        timeframe: schema.timeframe({ optional: true }),
+        location: schema.string({ optional: true }),
+      }),
+    ),
+  }),
+  technical: schema.object({
+    skills: schema.array(
+      schema.object({
+        title: schema.string(),
+        description: schema.string(),
+      }),
+    ),
+  }),
+});
+
+// The photos themselves and their gallery.json manifests are checked as
+// they are read, by getGallery().
+const gallerySchema = schema.object({
+  directory: schema.image(),
+  album: schema.object({
+    slug: schema.string(),
+    title: schema.string(),
+  }),
+});
+
+function validateFrontMatter(dir: string[], extension: string, validator: Validator) {
+  const directory = path.join(process.cwd(), ...dir);
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(directory)
+    .filter((file) => path.extname(file) === extension)
+    .flatMap((file) => {
+      // Translations are checked as they are served: layered over the original.
+      const locale = translationLocale(file);
+      const original = locale ? file.replace(`.${locale}${extension}`, extension) : file;
+      const { data } = readLocalizedFile(path.join(directory, original), locale);
+      normalizeDates(data, ["publishedAt", "updatedAt", "publishAt"]);
+      return validate(data, validator, path.join(...dir, file));
+    });
+}
+
+// Re-checked on every render in development so content edits are picked up.
+let validated = false;
+
+/**
+ * Checks content.js and the front matter of every published section,
+ * including that referenced images exist under public/. Sections disabled in
+ * `routes` are skipped so placeholders there don't break the build. Throws one
+ * error listing every problem found.
+ */
+export function validateContent() {
+  if (validated) return;
+
+  const issues: ValidationIssue[] = [
+    ...validate(person, personSchema, `${CONTENT_FILE} (person)`),
+    ...validate(social, socialSchema, `${CONTENT_FILE} (social)`),
+  ];
+
+  if (routes["/about"]) {
+    issues.push(...validate(about, aboutSchema, `${CONTENT_FILE} (about)`));
+  }
+  if (routes["/gallery"]) {
+    issues.push(...validate(gallery, gallerySchema, `${CONTENT_FILE} (gallery)`));
+  }
+  if (routes["/blog"]) {
+    issues.push(...validateFrontMatter(["src", "app", "blog", "posts"], ".mdx", postSchema));
+  }
+  if (routes["/project"]) {
+    issues.push(...validateFrontMatter(["src", "app", "project", "projects"], ".mdx", postSchema));
+  }
+  if (routes["/articles"]) {
+    issues.push(...validateFrontMatter(["src", "app", "articles", "posts"], ".md", articleSchema));
+  }
+
+  if (issues.length > 0) {
+    throw new Error(formatIssues(issues));
+  }
+  validated = process.env.NODE_ENV === "production";
+}
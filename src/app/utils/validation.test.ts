@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { postSchema, validate } from "@/app/utils/validation";
+
+function post(fields: Record<string, unknown>) {
+  return validate({ title: "Ascedio", publishedAt: "2024-05-15", ...fields }, postSchema, "post.mdx");
+}
+
+describe("postSchema", () => {
+  it("accepts a project's facts", () => {
+    const issues = post({
+      stack: ["Next.js", "TypeScript"],
+      role: "Lead engineer",
+      projectStatus: "live",
+      period: "Jul 2021 - Present",
+    });
+    assert.deepEqual(issues, []);
+    assert.deepEqual(post({ period: "May 2020" }), []);
+    assert.deepEqual(post({ period: "Jul 2021 - May 2023" }), []);
+  });
+
+  it("rejects a period that isn't month and year", () => {
+    for (const period of ["2021 - Present", "July 2021", "Jul 2021 – Present"]) {
+      const [issue] = post({ period });
+      assert.equal(issue.field, "period");
+      assert.match(issue.message, /must look like "Jul 2021 - Present"/);
+    }
+  });
+
+  it("points a project status under `status` to `projectStatus`", () => {
+    const [issue] = post({ status: "live" });
+    assert.equal(issue.field, "status");
+    assert.match(issue.message, /`projectStatus`/);
+  });
+
+  it("still lists the publishing statuses for other values", () => {
+    const [issue] = post({ status: "hidden" });
+    assert.equal(issue.field, "status");
+    assert.match(issue.message, /must be one of draft, scheduled, unlisted, published/);
+    assert.doesNotMatch(issue.message, /projectStatus/);
+  });
+});
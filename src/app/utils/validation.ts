@@ -0,0 +1,324 @@
+import fs from "fs";
+import path from "path";
+
+export type ValidationIssue = {
+  file: string;
+  field: string;
+  message: string;
+};
+
+type Context = {
+  file: string;
+  issues: ValidationIssue[];
+  // Disk checks are skipped for sections that aren't published.
+  checkFiles: boolean;
+};
+
+export type Validator = (value: unknown, field: string, ctx: Context) => void;
+
+type ValidatorOptions = {
+  optional?: boolean;
+};
+
+function report(ctx: Context, field: string, message: string) {
+  ctx.issues.push({ file: ctx.file, field, message });
+}
+
+function isMissing(value: unknown) {
+  return value === undefined || value === null || value === "";
+}
+
+function required(check: Validator, { optional }: ValidatorOptions = {}): Validator {
+  return (value, field, ctx) => {
+    if (isMissing(value)) {
+      if (!optional) report(ctx, field, "is required");
+      return;
+    }
+    check(value, field, ctx);
+  };
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+const TIMEFRAME_PATTERN =
+  /^[A-Z][a-z]{2} \d{4}( - ([A-Z][a-z]{2} \d{4}|Present))?$/;
+
+function publicFileExists(src: string) {
+  return fs.existsSync(path.join(process.cwd(), "public", decodeURI(src.split(/[?#]/)[0])));
+}
+
+export const schema = {
+  string: (options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      if (typeof value !== "string") report(ctx, field, `must be a string, got ${typeof value}`);
+    }, options),
+
+  number: (options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        report(ctx, field, `must be a number, got ${JSON.stringify(value)}`);
+      }
+    }, options),
+
+  boolean: (options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      if (typeof value !== "boolean") report(ctx, field, "must be true or false");
+    }, options),
+
+  /** ISO date such as "2024-05-15" or "2024-05-15T09:00:00Z". */
+  date: (options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      if (typeof value !== "string" || !DATE_PATTERN.test(value)) {
+        report(ctx, field, `must be an ISO date like "2024-05-15", got ${JSON.stringify(value)}`);
+      } else if (Number.isNaN(new Date(value).getTime())) {
+        report(ctx, field, `is not a real date: ${value}`);
+      }
+    }, options),
+
+  /** Résumé-style period such as "Jul 2021 - Present" or "May 2020". */
+  timeframe: (options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      if (typeof value !== "string" || !TIMEFRAME_PATTERN.test(value)) {
+        report(
+          ctx,
+          field,
+          `must look like "Jul 2021 - Present" or "May 2020", got ${JSON.stringify(value)}`,
+        );
+      }
+    }, options),
+
+  url: (options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      if (typeof value !== "string" || !/^(https?:|mailto:)/.test(value)) {
+        report(ctx, field, `must be an absolute http(s) or mailto: URL, got ${JSON.stringify(value)}`);
+      }
+    }, options),
+
+  /** A remote URL or a path under public/ that must exist. */
+  image: (options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      if (typeof value !== "string") {
+        report(ctx, field, "must be an image path or URL");
+      } else if (/^https?:\/\//.test(value)) {
+        return;
+      } else if (!value.startsWith("/")) {
+        report(ctx, field, `must start with "/" (relative to public/), got "${value}"`);
+      } else if (ctx.checkFiles && !publicFileExists(value)) {
+        report(ctx, field, `points to a missing file: public${value}`);
+      }
+    }, options),
+
+  timezone: (options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: String(value) });
+      } catch {
+        report(ctx, field, `is not a valid IANA time zone: ${JSON.stringify(value)}`);
+      }
+    }, options),
+
+  oneOf: (values: readonly string[], options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      if (!values.includes(value as string)) {
+        report(ctx, field, `must be one of ${values.join(", ")}, got ${JSON.stringify(value)}`);
+      }
+    }, options),
+
+  array: (item: Validator, options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      if (!Array.isArray(value)) {
+        report(ctx, field, "must be a list");
+        return;
+      }
+      value.forEach((entry, index) => item(entry, `${field}[${index}]`, ctx));
+    }, options),
+
+  object: (shape: Record<string, Validator>, options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        report(ctx, field, "must be an object");
+        return;
+      }
+      const record = value as Record<string, unknown>;
+      for (const [key, check] of Object.entries(shape)) {
+        check(record[key], field ? `${field}.${key}` : key, ctx);
+      }
+    }, options),
+
+  /** An object with arbitrary keys whose values all match `item`. */
+  record: (item: Validator, options?: ValidatorOptions) =>
+    required((value, field, ctx) => {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        report(ctx, field, "must be an object");
+        return;
+      }
+      for (const [key, entry] of Object.entries(value as Record<string, unknown>)) {
+        item(entry, field ? `${field}.${key}` : key, ctx);
+      }
+    }, options),
+
+  /** `validator`, then `check` over the whole value for rules that span fields. */
+  refine:
+    (
+      validator: Validator,
+      check: (value: any) => { field: string; message: string } | undefined,
+    ): Validator =>
+    (value, field, ctx) => {
+      const before = ctx.issues.length;
+      validator(value, field, ctx);
+      if (ctx.issues.length > before || isMissing(value)) return;
+      const issue = check(value);
+      if (issue) report(ctx, field ? `${field}.${issue.field}` : issue.field, issue.message);
+    },
+
+  /** Anything renderable, e.g. the JSX fragments in content.js. */
+  any: (options?: ValidatorOptions) => required(() => {}, options),
+};
+
+/**
+ * Runs `validator` over `value` and returns the issues found. `file` is the
+ * path shown in error messages.
+ */
+export function validate(
+  value: unknown,
+  validator: Validator,
+  file: string,
+  { checkFiles = true } = {},
+) {
+  const ctx: Context = { file, issues: [], checkFiles };
+  validator(value, "", ctx);
+  return ctx.issues;
+}
+
+export function formatIssues(issues: ValidationIssue[]) {
+  return `Invalid content:\n${issues
+    .map((issue) => `  - ${issue.file}: "${issue.field}" ${issue.message}`)
+    .join("\n")}`;
+}
+
+export function assertValid(
+  value: unknown,
+  validator: Validator,
+  file: string,
+  options?: { checkFiles?: boolean },
+) {
+  const issues = validate(value, validator, file, options);
+  if (issues.length > 0) {
+    throw new Error(formatIssues(issues));
+  }
+}
+
+/**
+ * YAML turns unquoted dates into Date objects; the loaders and schemas work
+ * with ISO strings, so those are converted back before validation.
+ */
+export function normalizeDates(data: Record<string, unknown>, fields: string[]) {
+  for (const field of fields) {
+    const value = data[field];
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+      const iso = value.toISOString();
+      // Keep the time when there is one, e.g. on `publishAt`.
+      data[field] = iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+    }
+  }
+  return data;
+}
+
+const team = schema.object({
+  name: schema.string(),
+  role: schema.string(),
+  avatar: schema.image(),
+  linkedIn: schema.url({ optional: true }),
+});
+
+// Front matter `status` values; see publishing.ts for what each one does.
+export const PUBLISH_STATUSES = ["draft", "scheduled", "unlisted", "published"] as const;
+
+const publishing = {
+  status: schema.oneOf(PUBLISH_STATUSES, { optional: true }),
+  publishAt: schema.date({ optional: true }),
+};
+
+function scheduledHasDate(data: Record<string, unknown>) {
+  return data.status === "scheduled" && !data.publishAt
+    ? { field: "publishAt", message: 'is required when status is "scheduled"' }
+    : undefined;
+}
+
+// Front matter `projectStatus` values. The field isn't called `status`
+// because that one is taken by publishing.
+export const PROJECT_STATUSES = ["live", "in-progress", "archived"] as const;
+
+// Project statuses are easy to put in `status` by mistake; say where they go.
+const postStatus: Validator = (value, field, ctx) => {
+  if (PROJECT_STATUSES.includes(value as (typeof PROJECT_STATUSES)[number])) {
+    report(
+      ctx,
+      field,
+      `must be one of ${PUBLISH_STATUSES.join(", ")}, got ${JSON.stringify(value)}; ` +
+        "set how a project is doing with `projectStatus` instead",
+    );
+    return;
+  }
+  publishing.status(value, field, ctx);
+};
+
+// Projects only; see ProjectCard for how they're shown.
+const projectFacts = {
+  stack: schema.array(schema.string(), { optional: true }),
+  role: schema.string({ optional: true }),
+  projectStatus: schema.oneOf(PROJECT_STATUSES, { optional: true }),
+  period: schema.timeframe({ optional: true }),
+  metrics: schema.array(schema.object({ label: schema.string(), value: schema.string() }), {
+    optional: true,
+  }),
+};
+
+const postFields = schema.object({
+  title: schema.string(),
+  publishedAt: schema.date(),
+  updatedAt: schema.date({ optional: true }),
+  summary: schema.string({ optional: true }),
+  image: schema.image({ optional: true }),
+  images: schema.array(schema.image(), { optional: true }),
+  tag: schema.string({ optional: true }),
+  team: schema.array(team, { optional: true }),
+  link: schema.url({ optional: true }),
+  series: schema.string({ optional: true }),
+  seriesOrder: schema.number({ optional: true }),
+  ...projectFacts,
+  ...publishing,
+  status: postStatus,
+});
+
+/** Front matter of the MDX files under blog/posts and project/projects. */
+export const postSchema = schema.refine(postFields, scheduledHasDate);
+
+const articleFields = schema.object({
+  title: schema.string(),
+  slug: schema.string({ optional: true }),
+  publishedAt: schema.date(),
+  updatedAt: schema.date({ optional: true }),
+  summary: schema.string(),
+  cover: schema.image({ optional: true }),
+  tags: schema.array(schema.string(), { optional: true }),
+  series: schema.string({ optional: true }),
+  seriesOrder: schema.number({ optional: true }),
+  ...publishing,
+});
+
+/** Front matter of the Markdown files under articles/posts. */
+export const articleSchema = schema.refine(articleFields, scheduledHasDate);
+
+/** `gallery.json` manifests next to the photos of an album. */
+export const galleryManifestSchema = schema.object({
+  title: schema.string({ optional: true }),
+  description: schema.string({ optional: true }),
+  images: schema.record(
+    schema.object({
+      alt: schema.string({ optional: true }),
+      caption: schema.string({ optional: true }),
+      date: schema.date({ optional: true }),
+    }),
+    { optional: true },
+  ),
+});
@@ -0,0 +1,126 @@
+import { Column, Flex, Grid, Heading, Line, SmartLink, Tag, Text } from "@/once-ui/components";
+import { formatDate } from "@/app/utils/formatDate";
+import { getContent, Locale, localeConfig } from "@/app/resources/i18n";
+import {
+  ContentItem,
+  ContentType,
+  findContentItem,
+  getAdjacent,
+  getContentItems,
+  getRelated,
+  getSeries,
+} from "@/app/utils/content";
+
+interface ContentNavigationProps {
+  type: ContentType;
+  slug: string;
+  locale: Locale;
+}
+
+interface ContentLinkProps {
+  item: ContentItem;
+  label: string;
+  locale: Locale;
+  align?: "start" | "end";
+}
+
+function ContentLink({ item, label, locale, align = "start" }: ContentLinkProps) {
+  return (
+    <SmartLink href={item.href} unstyled fillWidth>
+      <Column
+        fillWidth
+        gap="4"
+        padding="16"
+        radius="l"
+        border="neutral-alpha-weak"
+        horizontal={align}
+        align={align === "end" ? "right" : "left"}
+      >
+        <Text variant="label-default-s" onBackground="neutral-weak">
+          {label} · {formatDate(item.publishedAt, false, localeConfig(locale).lang)}
+        </Text>
+        <Text variant="heading-strong-s" wrap="balance">
+          {item.title}
+        </Text>
+      </Column>
+    </SmartLink>
+  );
+}
+
+/**
+ * Series, previous/next and related links shown at the end of posts,
+ * projects and articles.
+ */
+export function ContentNavigation({ type, slug, locale }: ContentNavigationProps) {
+  const { ui } = getContent(locale);
+  const items = getContentItems(locale);
+  const current = findContentItem(items, type, slug);
+
+  if (!current) {
+    return null;
+  }
+
+  const series = getSeries(items, current);
+  const related = getRelated(items, current);
+  const { previous, next } = getAdjacent(items, current);
+
+  return (
+    <Column as="nav" aria-label="More content" fillWidth gap="40" marginTop="40">
+      <Line />
+      {series.length > 1 && (
+        <Column gap="12">
+          <Heading as="h2" variant="heading-strong-m">
+            {ui.series}: {current.series}
+          </Heading>
+          <Column as="ol" gap="8" paddingLeft="20" margin="0">
+            {series.map((item, index) => (
+              <li key={`${item.type}-${item.slug}`}>
+                {item === current ? (
+                  <Text variant="body-strong-m" onBackground="brand-strong">
+                    {index + 1}. {item.title}
+                  </Text>
+                ) : (
+                  <SmartLink href={item.href}>
+                    {index + 1}. {item.title}
+                  </SmartLink>
+                )}
+              </li>
+            ))}
+          </Column>
+        </Column>
+      )}
+      {(previous || next) && (
+        <Flex fillWidth gap="16" mobileDirection="column">
+          <Flex flex={1}>{previous && <ContentLink item={previous} label={ui.previous} locale={locale} />}</Flex>
+          <Flex flex={1}>{next && <ContentLink item={next} label={ui.next} locale={locale} align="end" />}</Flex>
+        </Flex>
+      )}
+      {related.length > 0 && (
+        <Column gap="16">
+          <Heading as="h2" variant="heading-strong-m">
+            {ui.related}
+          </Heading>
+          <Grid columns="3" mobileColumns="1" gap="16" fillWidth>
+            {related.map((item) => (
+              <SmartLink key={`${item.type}-${item.slug}`} href={item.href} unstyled fillWidth>
+                <Column fillWidth gap="8" padding="16" radius="l" border="neutral-alpha-weak">
+                  <Text variant="label-default-s" onBackground="neutral-weak">
+                    {ui.contentTypes[item.type]}
+                  </Text>
+                  <Text variant="heading-strong-s" wrap="balance">
+                    {item.title}
+                  </Text>
+                  <Flex gap="4" wrap>
+                    {item.tags.slice(0, 3).map((tag) => (
+                      <Tag key={tag} size="s" label={tag} />
+                    ))}
+                  </Flex>
+                </Column>
+              </SmartLink>
+            ))}
+          </Grid>
+        </Column>
+      )}
+    </Column>
+  );
+}
@@ -0,0 +1,12 @@
+import { Button, Column } from "@/once-ui/components";
+
+/** A mailto link to the owner, offered where a form has no server to talk to. */
+export function EmailButton({ email, label }: { email: string; label: string }) {
+  return (
+    <Column horizontal="start">
+      <Button href={`mailto:${email}`} size="m" prefixIcon="email">
+        {label}
+      </Button>
+    </Column>
+  );
+}
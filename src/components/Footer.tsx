@@ -1,12 +1,28 @@
+"use client";
+
 import { Flex, IconButton, SmartLink, Text } from "@/once-ui/components";
-import { person, social } from "@/app/resources/content";
+import type { Content } from "@/app/resources/i18n";
+import type { Locale } from "@/app/resources/locales";
+import { useLocale } from "@/components/i18n/useLocale";
+
+export type FooterContent = {
+  name: string;
+  social: Content["social"];
+};
+
+interface FooterProps {
+  // Every locale's, as the footer works out which one applies from the URL.
+  content: Record<Locale, FooterContent>;
+}
 
-export const Footer = () => {
+export const Footer = ({ content }: FooterProps) => {
+  const { name, social } = content[useLocale()];
   const currentYear = new Date().getFullYear();
 
   return (
     <Flex
       as="footer"
+      className="print-hide"
       position="relative"
       fillWidth
       padding="8"
@@ -24,7 +40,7 @@ export const Footer = () => {
       >
         <Text variant="body-default-s" onBackground="neutral-strong">
           <Text onBackground="neutral-weak">© {currentYear} /</Text>
-          <Text paddingX="4">{person.name}</Text>
+          <Text paddingX="4">{name}</Text>
         </Text>
         <Flex gap="16">
           {social.map(
@@ -1,64 +1,37 @@
 "use client";
 
 import { usePathname } from "next/navigation";
-import { useEffect, useState } from "react";
 import { Fade, Flex, Line, ToggleButton } from "@/once-ui/components";
-import { routes, display } from "@/app/resources";
-import {
-  person,
-  home,
-  about,
-  blog,
-  project,
-  gallery,
-  articles,
-} from "@/app/resources/content";
+import { routes, display, search } from "@/app/resources/config";
+import { Locale, localePath, locales, splitLocalePath } from "@/app/resources/locales";
+import { ThemeToggle } from "@/components/theme/ThemeToggle";
+import { LanguageSwitcher } from "@/components/i18n/LanguageSwitcher";
+import { SearchPalette, SearchPaletteContent } from "@/components/search/SearchPalette";
+import type { Content } from "@/app/resources/i18n";
 
-type TimeDisplayProps = {
-  timeZone: string;
-  locale?: string;
+export type HeaderContent = {
+  // Navigation labels, by section.
+  labels: Record<"about" | "project" | "blog" | "gallery" | "articles" | "guestbook", string>;
+  search: SearchPaletteContent;
+  theme: Content["ui"]["theme"];
 };
 
-const TimeDisplay: React.FC<TimeDisplayProps> = ({
-  timeZone,
-  locale = "en-GB",
-}) => {
-  const [currentTime, setCurrentTime] = useState("");
+interface HeaderProps {
+  // Every locale's, as the header works out which one applies from the URL.
+  content: Record<Locale, HeaderContent>;
+}
 
-  useEffect(() => {
-    const updateTime = () => {
-      const now = new Date();
-      const options: Intl.DateTimeFormatOptions = {
-        timeZone,
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-        hour12: false,
-      };
-      const timeString = new Intl.DateTimeFormat(locale, options).format(now);
-      setCurrentTime(timeString);
-    };
-
-    updateTime();
-    const intervalId = setInterval(updateTime, 1000);
-
-    return () => clearInterval(intervalId);
-  }, [timeZone, locale]);
-
-  return <>{currentTime}</>;
-};
-
-export default TimeDisplay;
-
-export const Header = () => {
-  const pathname = usePathname() ?? "";
+export const Header = ({ content }: HeaderProps) => {
+  const { locale, path: pathname } = splitLocalePath(usePathname() ?? "/");
+  const { labels } = content[locale];
 
   return (
     <>
-      <Fade hide="s" fillWidth position="fixed" height="80" zIndex={9}>
+      <Fade className="print-hide" hide="s" fillWidth position="fixed" height="80" zIndex={9}>
         <div className="absolute inset-0 bg-gradient-to-b from-page-background to-transparent backdrop-blur-sm pointer-events-none" />
       </Fade>
       <Fade
+        className="print-hide"
         show="s"
         fillWidth
         position="fixed"
@@ -71,7 +44,7 @@ export const Header = () => {
       </Fade>
       <Flex
         as="header"
-        className="sticky top-0 sm:fixed sm:bottom-6 sm:top-auto"
+        className="print-hide sticky top-0 sm:fixed sm:bottom-6 sm:top-auto"
         zIndex={9}
         fillWidth
         padding="8"
@@ -90,7 +63,7 @@ export const Header = () => {
               {routes["/"] && (
                 <ToggleButton
                   prefixIcon="home"
-                  href="/"
+                  href={localePath(locale, "/")}
                   selected={pathname === "/"}
                 />
               )}
@@ -100,14 +73,14 @@ export const Header = () => {
                   <ToggleButton
                     className="s-flex-hide"
                     prefixIcon="person"
-                    href="/about"
-                    label={about.label}
+                    href={localePath(locale, "/about")}
+                    label={labels.about}
                     selected={pathname === "/about"}
                   />
                   <ToggleButton
                     className="s-flex-show"
                     prefixIcon="person"
-                    href="/about"
+                    href={localePath(locale, "/about")}
                     selected={pathname === "/about"}
                   />
                 </>
@@ -117,14 +90,14 @@ export const Header = () => {
                   <ToggleButton
                     className="s-flex-hide"
                     prefixIcon="grid"
-                    href="/project"
-                    label={project.label}
+                    href={localePath(locale, "/project")}
+                    label={labels.project}
                     selected={pathname.startsWith("/project")}
                   />
                   <ToggleButton
                     className="s-flex-show"
                     prefixIcon="grid"
-                    href="/project"
+                    href={localePath(locale, "/project")}
                     selected={pathname.startsWith("/project")}
                   />
                 </>
@@ -134,14 +107,14 @@ export const Header = () => {
                   <ToggleButton
                     className="s-flex-hide"
                     prefixIcon="book"
-                    href="/blog"
-                    label={blog.label}
+                    href={localePath(locale, "/blog")}
+                    label={labels.blog}
                     selected={pathname.startsWith("/blog")}
                   />
                   <ToggleButton
                     className="s-flex-show"
                     prefixIcon="book"
-                    href="/blog"
+                    href={localePath(locale, "/blog")}
                     selected={pathname.startsWith("/blog")}
                   />
                 </>
@@ -151,14 +124,14 @@ export const Header = () => {
                   <ToggleButton
                     className="s-flex-hide"
                     prefixIcon="gallery"
-                    href="/gallery"
-                    label={gallery.label}
+                    href={localePath(locale, "/gallery")}
+                    label={labels.gallery}
                     selected={pathname.startsWith("/gallery")}
                   />
                   <ToggleButton
                     className="s-flex-show"
                     prefixIcon="gallery"
-                    href="/gallery"
+                    href={localePath(locale, "/gallery")}
                     selected={pathname.startsWith("/gallery")}
                   />
                 </>
@@ -168,18 +141,53 @@ export const Header = () => {
                   <ToggleButton
                     className="s-flex-hide"
                     prefixIcon="document"
-                    href="/articles"
-                    label={articles.label}
+                    href={localePath(locale, "/articles")}
+                    label={labels.articles}
                     selected={pathname.startsWith("/articles")}
                   />
                   <ToggleButton
                     className="s-flex-show"
                     prefixIcon="document"
-                    href="/articles"
+                    href={localePath(locale, "/articles")}
                     selected={pathname.startsWith("/articles")}
                   />
                 </>
               )}
+              {routes["/guestbook"] && (
+                <>
+                  <ToggleButton
+                    className="s-flex-hide"
+                    prefixIcon="chat"
+                    href={localePath(locale, "/guestbook")}
+                    label={labels.guestbook}
+                    selected={pathname === "/guestbook"}
+                  />
+                  <ToggleButton
+                    className="s-flex-show"
+                    prefixIcon="chat"
+                    href={localePath(locale, "/guestbook")}
+                    selected={pathname === "/guestbook"}
+                  />
+                </>
+              )}
+              {search.display && (
+                <>
+                  <Line vert maxHeight="24" />
+                  <SearchPalette content={content[locale].search} />
+                </>
+              )}
+              {locales.length > 1 && (
+                <>
+                  <Line vert maxHeight="24" />
+                  <LanguageSwitcher />
+                </>
+              )}
+              {display.themeSwitcher && (
+                <>
+                  <Line vert maxHeight="24" />
+                  <ThemeToggle labels={content[locale].theme} />
+                </>
+              )}
             </Flex>
           </Flex>
         </Flex>
@@ -0,0 +1,12 @@
+import { jsonLd, Thing } from "@/app/utils/structuredData";
+
+/** One JSON-LD `@graph` script holding `nodes`. */
+export function JsonLd({ nodes }: { nodes: Thing[] }) {
+  return (
+    <script
+      type="application/ld+json"
+      suppressHydrationWarning
+      dangerouslySetInnerHTML={{ __html: jsonLd(...nodes) }}
+    />
+  );
+}
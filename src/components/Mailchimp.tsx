@@ -1,6 +1,6 @@
 "use client";
 
-import { mailchimp } from "@/app/resources";
+import { mailchimp, staticExport } from "@/app/resources/config";
 import {
   Button,
   Flex,
@@ -9,8 +9,11 @@ import {
   Text,
   Background,
   Column,
+  Textarea,
+  useToast,
 } from "@/once-ui/components";
 import { useState } from "react";
+import type { Content } from "@/app/resources/i18n";
 
 function debounce<T extends (...args: any[]) => void>(
   func: T,
@@ -33,23 +36,92 @@ interface MailchimpProps {
   newsletter: {
     title: React.ReactNode;
     description: React.ReactNode;
+    resume?: {
+      display: boolean;
+      label: string;
+      link: string;
+    };
   };
+  // Resolved on the server, so the client bundle doesn't carry content.js.
+  form: Content["ui"]["form"];
+  email: string;
 }
 
-export const Mailchimp = ({ newsletter }: MailchimpProps) => {
-  const handleEmailClick = (e: React.MouseEvent) => {
-    e.preventDefault();
-    window.open("mailto:yangguanggeng960123@gmail.com", "_blank");
-  };
+type ContactFields = {
+  name: string;
+  email: string;
+  message: string;
+  website: string;
+};
+
+const emptyFields: ContactFields = { name: "", email: "", message: "", website: "" };
 
-  const handleResumeClick = (e: React.MouseEvent) => {
+export const Mailchimp = ({ newsletter, form, email }: MailchimpProps) => {
+  const { addToast } = useToast();
+  const [fields, setFields] = useState<ContactFields>(emptyFields);
+  const [errors, setErrors] = useState<Partial<Record<keyof ContactFields, string>>>({});
+  const [loading, setLoading] = useState(false);
+
+  const handleChange =
+    (field: keyof ContactFields) =>
+    (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
+      setFields((current) => ({ ...current, [field]: e.target.value }));
+      setErrors((current) => ({ ...current, [field]: undefined }));
+    };
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
     e.preventDefault();
-    window.open(
-      "https://drive.google.com/file/d/1OlcfFIZe8RgxRk9zQIPBah1ATPXefapg/view?usp=sharing",
-      "_blank"
-    );
+    setLoading(true);
+
+    try {
+      const response = await fetch("/api/contact", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(fields),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        if (result.errors) setErrors(result.errors);
+        addToast({
+          variant: "danger",
+          message:
+            response.status === 429
+              ? form.rateLimited
+              : result.errors
+                ? form.invalid
+                : form.failed,
+        });
+        return;
+      }
+
+      setFields(emptyFields);
+      addToast({
+        variant: "success",
+        message: form.sent,
+      });
+    } catch {
+      addToast({
+        variant: "danger",
+        message: form.failed,
+      });
+    } finally {
+      setLoading(false);
+    }
   };
 
+  const resumeButton = newsletter.resume?.display && (
+    <Button
+      href={newsletter.resume.link}
+      variant="secondary"
+      fillWidth
+      size="m"
+      prefixIcon="download"
+    >
+      {newsletter.resume.label}
+    </Button>
+  );
+
   return (
     <Column
       overflow="hidden"
@@ -130,24 +202,82 @@ export const Mailchimp = ({ newsletter }: MailchimpProps) => {
       >
         {newsletter.description}
       </Text>
-      <Flex fillWidth maxWidth={24} gap="16" mobileDirection="column">
-        <Button
-          onClick={handleEmailClick}
-          size="m"
-          prefixIcon="email"
+      {staticExport ? (
+        // No server to post the form to, so visitors write an email instead.
+        <Flex
           fillWidth
+          gap="16"
+          mobileDirection="column"
+          style={{ position: "relative", maxWidth: "var(--responsive-width-xs)" }}
         >
-          Send Message
-        </Button>
-        <Button
-          onClick={handleResumeClick}
-          fillWidth
-          size="m"
-          prefixIcon="IoDownloadOutline"
+          <Button href={`mailto:${email}`} size="m" prefixIcon="email" fillWidth>
+            {form.emailMe}
+          </Button>
+          {resumeButton}
+        </Flex>
+      ) : (
+        <form
+          onSubmit={handleSubmit}
+          style={{ position: "relative", width: "100%", maxWidth: "var(--responsive-width-xs)" }}
+          noValidate
         >
-          Download Resume
-        </Button>
-      </Flex>
+          <Column fillWidth gap="8">
+            <Flex fillWidth gap="8" mobileDirection="column">
+              <Input
+                id="contact-name"
+                name="name"
+                label={form.name}
+                autoComplete="name"
+                required
+                value={fields.name}
+                onChange={handleChange("name")}
+                error={!!errors.name}
+                errorMessage={errors.name}
+              />
+              <Input
+                id="contact-email"
+                name="email"
+                type="email"
+                label={form.email}
+                autoComplete="email"
+                required
+                value={fields.email}
+                onChange={handleChange("email")}
+                error={!!errors.email}
+                errorMessage={errors.email}
+              />
+            </Flex>
+            <Textarea
+              id="contact-message"
+              name="message"
+              label={form.message}
+              lines={5}
+              required
+              value={fields.message}
+              onChange={handleChange("message")}
+              error={!!errors.message}
+              errorMessage={errors.message}
+            />
+            {/* Honeypot: hidden from people, filled in by bots */}
+            <input
+              type="text"
+              name="website"
+              tabIndex={-1}
+              autoComplete="off"
+              aria-hidden="true"
+              value={fields.website}
+              onChange={handleChange("website")}
+              style={{ position: "absolute", left: "-9999px", width: 1, height: 1, opacity: 0 }}
+            />
+            <Flex fillWidth gap="16" marginTop="8" mobileDirection="column">
+              <Button type="submit" size="m" prefixIcon="email" fillWidth loading={loading}>
+                {form.send}
+              </Button>
+              {resumeButton}
+            </Flex>
+          </Column>
+        </form>
+      )}
     </Column>
   );
 };
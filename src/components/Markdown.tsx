@@ -0,0 +1,28 @@
+import ReactMarkdown from "react-markdown";
+import { InlineCode, SmartLink } from "@/once-ui/components";
+
+interface MarkdownProps {
+  children: string;
+  // Drops the paragraph wrapper so the text can sit inside a <li> or <Text>.
+  inline?: boolean;
+}
+
+/**
+ * Short Markdown from content.js, such as résumé achievements: inline
+ * formatting and links only, no headings or block elements.
+ */
+export function Markdown({ children, inline = false }: MarkdownProps) {
+  return (
+    <ReactMarkdown
+      allowedElements={["p", "strong", "em", "code", "a", "br"]}
+      unwrapDisallowed
+      components={{
+        p: ({ children }) => (inline ? <>{children}</> : <p>{children}</p>),
+        a: ({ href, children }) => <SmartLink href={href || ""}>{children}</SmartLink>,
+        code: ({ children }) => <InlineCode>{children}</InlineCode>,
+      }}
+    >
+      {children}
+    </ReactMarkdown>
+  );
+}
@@ -1,5 +1,3 @@
-"use client";
-
 import {
   AvatarGroup,
   Carousel,
@@ -7,11 +5,26 @@ import {
   Flex,
   Heading,
   SmartLink,
+  Tag,
   Text,
 } from "@/once-ui/components";
+import Link from "next/link";
+import { staticExport } from "@/app/resources";
+import { getContent, Locale } from "@/app/resources/i18n";
+import { PublishStatusTag } from "@/components/PublishStatusTag";
+import type { PublishStatus } from "@/app/utils/publishing";
+import type { ProjectMetric, ProjectStatus } from "@/app/utils/projects";
+import { projectsHref } from "@/components/project/ProjectFilters";
+
+const PROJECT_STATUS_VARIANTS = {
+  live: "success",
+  "in-progress": "info",
+  archived: "neutral",
+} as const;
 
 interface ProjectCardProps {
   href: string;
+  locale: Locale;
   priority?: boolean;
   images: string[];
   title: string;
@@ -19,17 +32,34 @@ interface ProjectCardProps {
   description: string;
   avatars: { src: string; key?: string }[];
   link: string;
+  status?: PublishStatus;
+  publishAt?: string;
+  stack?: string[];
+  role?: string;
+  projectStatus?: ProjectStatus;
+  period?: string;
+  metrics?: ProjectMetric[];
 }
 
 export const ProjectCard: React.FC<ProjectCardProps> = ({
   href,
+  locale,
   images = [],
   title,
   content,
   description,
   avatars,
   link,
+  status = "published",
+  publishAt,
+  stack = [],
+  role,
+  projectStatus,
+  period,
+  metrics = [],
 }) => {
+  const { ui } = getContent(locale);
+
   return (
     <Column fillWidth gap="m">
       <Carousel
@@ -49,13 +79,33 @@ export const ProjectCard: React.FC<ProjectCardProps> = ({
         gap="l"
       >
         {title && (
-          <Flex flex={5}>
+          <Column flex={5} gap="8">
             <Heading as="h2" wrap="balance" variant="heading-strong-xl">
               {title}
             </Heading>
-          </Flex>
+            {(status !== "published" || projectStatus) && (
+              <Flex gap="8" wrap>
+                <PublishStatusTag status={status} publishAt={publishAt} locale={locale} />
+                {projectStatus && (
+                  <Tag
+                    variant={PROJECT_STATUS_VARIANTS[projectStatus]}
+                    label={ui.projectFacts.status[projectStatus]}
+                  />
+                )}
+              </Flex>
+            )}
+            {(role || period) && (
+              <Text variant="body-default-s" onBackground="neutral-weak">
+                {[role, period].filter(Boolean).join(" · ")}
+              </Text>
+            )}
+          </Column>
         )}
-        {(avatars?.length > 0 || description?.trim() || content?.trim()) && (
+        {(avatars?.length > 0 ||
+          description?.trim() ||
+          content?.trim() ||
+          metrics.length > 0 ||
+          stack.length > 0) && (
           <Column flex={7} gap="16">
             {avatars?.length > 0 && (
               <AvatarGroup avatars={avatars} size="m" reverse />
@@ -69,6 +119,35 @@ export const ProjectCard: React.FC<ProjectCardProps> = ({
                 {description}
               </Text>
             )}
+            {metrics.length > 0 && (
+              <Flex as="dl" gap="24" wrap margin="0">
+                {metrics.map((metric) => (
+                  <Column key={metric.label} gap="2">
+                    <Text as="dt" variant="label-default-s" onBackground="neutral-weak">
+                      {metric.label}
+                    </Text>
+                    <Text as="dd" variant="heading-strong-m" style={{ margin: 0 }}>
+                      {metric.value}
+                    </Text>
+                  </Column>
+                ))}
+              </Flex>
+            )}
+            {stack.length > 0 && (
+              <Flex as="ul" aria-label={ui.projectFacts.stack} gap="4" wrap margin="0" padding="0">
+                {stack.map((tech) => (
+                  <li key={tech} style={{ listStyle: "none" }}>
+                    {staticExport ? (
+                      <Tag size="s" label={tech} />
+                    ) : (
+                      <Link href={projectsHref(tech, locale)}>
+                        <Tag size="s" label={tech} />
+                      </Link>
+                    )}
+                  </li>
+                ))}
+              </Flex>
+            )}
             <Flex gap="24" wrap>
               {content?.trim() && (
                 <SmartLink
@@ -76,7 +155,7 @@ export const ProjectCard: React.FC<ProjectCardProps> = ({
                   style={{ margin: "0", width: "fit-content" }}
                   href={href}
                 >
-                  <Text variant="body-default-s">Read case study</Text>
+                  <Text variant="body-default-s">{ui.readCaseStudy}</Text>
                 </SmartLink>
               )}
               {link && (
@@ -85,7 +164,7 @@ export const ProjectCard: React.FC<ProjectCardProps> = ({
                   style={{ margin: "0", width: "fit-content" }}
                   href={link}
                 >
-                  <Text variant="body-default-s">View project</Text>
+                  <Text variant="body-default-s">{ui.viewProject}</Text>
                 </SmartLink>
               )}
             </Flex>
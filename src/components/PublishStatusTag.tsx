@@ -0,0 +1,23 @@
+import { Tag } from "@/once-ui/components";
+import { formatDate } from "@/app/utils/formatDate";
+import { getContent, Locale, localeConfig } from "@/app/resources/i18n";
+import type { PublishStatus } from "@/app/utils/publishing";
+
+interface PublishStatusTagProps {
+  status: PublishStatus;
+  publishAt?: string;
+  locale: Locale;
+}
+
+/** Marks content that readers outside preview won't see in listings. */
+export function PublishStatusTag({ status, publishAt, locale }: PublishStatusTagProps) {
+  if (status === "published") return null;
+
+  const { ui } = getContent(locale);
+  const label =
+    status === "scheduled" && publishAt
+      ? `${ui.publishStatus.scheduled} · ${formatDate(publishAt, false, localeConfig(locale).lang)}`
+      : ui.publishStatus[status];
+
+  return <Tag variant={status === "unlisted" ? "neutral" : "warning"} label={label} />;
+}
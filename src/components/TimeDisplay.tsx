@@ -0,0 +1,39 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { localeConfig } from "@/app/resources/locales";
+import { useLocale } from "@/components/i18n/useLocale";
+
+type TimeDisplayProps = {
+  timeZone: string;
+  locale?: string;
+};
+
+/** The current time in `timeZone`, ticking every second. */
+export const TimeDisplay: React.FC<TimeDisplayProps> = ({ timeZone, locale: localeProp }) => {
+  // Formats in the language of the page unless a locale is passed explicitly.
+  const locale = localeProp || localeConfig(useLocale()).lang;
+  const [currentTime, setCurrentTime] = useState("");
+
+  useEffect(() => {
+    const updateTime = () => {
+      const now = new Date();
+      const options: Intl.DateTimeFormatOptions = {
+        timeZone,
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hour12: false,
+      };
+      const timeString = new Intl.DateTimeFormat(locale, options).format(now);
+      setCurrentTime(timeString);
+    };
+
+    updateTime();
+    const intervalId = setInterval(updateTime, 1000);
+
+    return () => clearInterval(intervalId);
+  }, [timeZone, locale]);
+
+  return <>{currentTime}</>;
+};
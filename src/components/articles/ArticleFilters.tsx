@@ -0,0 +1,151 @@
+import { Button, Flex, Input, Tag, Text } from "@/once-ui/components";
+import Link from "next/link";
+import { stats } from "@/app/resources";
+import { defaultLocale, getContent, Locale, localePath } from "@/app/resources/i18n";
+
+export type ArticleSearchParams = {
+  tag?: string;
+  q?: string;
+  page?: string;
+  // "popular" sorts by view count; anything else is newest first.
+  sort?: string;
+};
+
+export function articlesHref({ tag, q, page, sort }: ArticleSearchParams, locale = defaultLocale) {
+  const params = new URLSearchParams();
+  if (tag) params.set("tag", tag);
+  if (q) params.set("q", q);
+  if (sort === "popular") params.set("sort", sort);
+  if (page && page !== "1") params.set("page", page);
+
+  const query = params.toString();
+  const path = localePath(locale, "/articles");
+  return query ? `${path}?${query}` : path;
+}
+
+interface ArticleFiltersProps {
+  tags: string[];
+  tag?: string;
+  q?: string;
+  sort?: string;
+  locale?: Locale;
+}
+
+export function ArticleFilters({ tags, tag, q, sort, locale = defaultLocale }: ArticleFiltersProps) {
+  const { ui } = getContent(locale);
+
+  return (
+    <Flex direction="column" gap="16" marginBottom="24" fillWidth>
+      <form action={localePath(locale, "/articles")} method="get" role="search">
+        {tag && <input type="hidden" name="tag" value={tag} />}
+        {sort === "popular" && <input type="hidden" name="sort" value={sort} />}
+        <Flex gap="8" vertical="center" mobileDirection="column">
+          <Input
+            id="articles-search"
+            name="q"
+            type="search"
+            label={ui.searchArticles}
+            labelAsPlaceholder
+            defaultValue={q}
+          />
+          <Button type="submit" size="m" variant="secondary" prefixIcon="search">
+            {ui.search}
+          </Button>
+        </Flex>
+      </form>
+      <Flex gap="8" wrap>
+        <Link href={articlesHref({ q, sort }, locale)}>
+          <Tag size="l" variant={tag ? "neutral" : "brand"} label={ui.all} />
+        </Link>
+        {tags.map((item) => (
+          <Link
+            key={item}
+            href={articlesHref({ tag: item === tag ? undefined : item, q, sort }, locale)}
+            aria-current={item === tag ? "true" : undefined}
+          >
+            <Tag size="l" variant={item === tag ? "brand" : "neutral"} label={item} />
+          </Link>
+        ))}
+      </Flex>
+      {stats.display && (
+        <Flex gap="8" wrap vertical="center">
+          <Text variant="label-default-s" onBackground="neutral-weak">
+            {ui.stats.sortBy}
+          </Text>
+          {(["latest", "popular"] as const).map((item) => {
+            const current = (sort === "popular" ? "popular" : "latest") === item;
+            return (
+              <Link
+                key={item}
+                href={articlesHref({ tag, q, sort: item }, locale)}
+                aria-current={current ? "true" : undefined}
+              >
+                <Tag size="m" variant={current ? "brand" : "neutral"} label={ui.stats[item]} />
+              </Link>
+            );
+          })}
+        </Flex>
+      )}
+    </Flex>
+  );
+}
+
+interface ArticlePaginationProps {
+  page: number;
+  totalPages: number;
+  tag?: string;
+  q?: string;
+  sort?: string;
+  locale?: Locale;
+}
+
+export function ArticlePagination({
+  page,
+  totalPages,
+  tag,
+  q,
+  sort,
+  locale = defaultLocale,
+}: ArticlePaginationProps) {
+  if (totalPages <= 1) {
+    return null;
+  }
+
+  const { ui } = getContent(locale);
+
+  return (
+    <Flex as="nav" aria-label="Pagination" gap="8" horizontal="center" vertical="center" marginTop="24">
+      {page > 1 && (
+        <Button
+          href={articlesHref({ tag, q, sort, page: String(page - 1) }, locale)}
+          variant="tertiary"
+          size="s"
+          prefixIcon="chevronLeft"
+        >
+          {ui.previous}
+        </Button>
+      )}
+      {Array.from({ length: totalPages }, (_, index) => index + 1).map((number) => (
+        <Button
+          key={number}
+          href={articlesHref({ tag, q, sort, page: String(number) }, locale)}
+          variant={number === page ? "primary" : "tertiary"}
+          size="s"
+          aria-current={number === page ? "page" : undefined}
+        >
+          {number}
+        </Button>
+      ))}
+      {page < totalPages && (
+        <Button
+          href={articlesHref({ tag, q, sort, page: String(page + 1) }, locale)}
+          variant="tertiary"
+          size="s"
+          suffixIcon="chevronRight"
+        >
+          {ui.next}
+        </Button>
+      )}
+    </Flex>
+  );
+}
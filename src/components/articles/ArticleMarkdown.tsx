@@ -0,0 +1,86 @@
+import React from "react";
+import ReactMarkdown, { Components } from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { HeadingLink } from "@/components";
+import { CodeBlock } from "@/once-ui/modules";
+import { remarkHeadingIds } from "@/app/utils/markdown";
+import { highlightCode, parseFenceMeta, resolveLanguage } from "@/app/utils/highlight";
+
+type HastNode = {
+  type: string;
+  tagName?: string;
+  value?: string;
+  properties?: { className?: string[] };
+  data?: { meta?: string | null };
+  children?: HastNode[];
+};
+
+function toText(node: HastNode): string {
+  return node.value ?? (node.children || []).map(toText).join("");
+}
+
+// Fenced code arrives as <pre><code class="language-x">; render it as a
+// pre-highlighted CodeBlock so no Prism runs in the browser.
+function ArticleCode({ node, children }: { node?: HastNode; children?: React.ReactNode }) {
+  const codeNode = node?.children?.find((child) => child.tagName === "code");
+  if (!codeNode) {
+    return <pre>{children}</pre>;
+  }
+
+  const code = toText(codeNode).replace(/\n$/, "");
+  const fenceLanguage = codeNode.properties?.className
+    ?.find((name) => name.startsWith("language-"))
+    ?.replace("language-", "");
+  const language = resolveLanguage(fenceLanguage, code);
+  const { highlight, label } = parseFenceMeta(codeNode.data?.meta);
+
+  return (
+    <CodeBlock
+      marginTop="8"
+      marginBottom="16"
+      highlight={highlight}
+      codeInstances={[
+        {
+          code,
+          language,
+          label: label || fenceLanguage || language,
+          html: highlightCode(code, language),
+        },
+      ]}
+    />
+  );
+}
+
+function createHeading(level: 1 | 2 | 3 | 4 | 5 | 6) {
+  const ArticleHeading = ({ id, children }: React.HTMLAttributes<HTMLHeadingElement>) => (
+    <HeadingLink level={level} id={id || ""}>
+      {children}
+    </HeadingLink>
+  );
+
+  ArticleHeading.displayName = `ArticleHeading${level}`;
+
+  return ArticleHeading;
+}
+
+const components: Components = {
+  h1: createHeading(1),
+  h2: createHeading(2),
+  h3: createHeading(3),
+  h4: createHeading(4),
+  h5: createHeading(5),
+  h6: createHeading(6),
+  pre: ArticleCode as Components["pre"],
+};
+
+interface ArticleMarkdownProps {
+  source: string;
+}
+
+export function ArticleMarkdown({ source }: ArticleMarkdownProps) {
+  return (
+    <ReactMarkdown remarkPlugins={[remarkGfm, remarkHeadingIds]} components={components}>
+      {source}
+    </ReactMarkdown>
+  );
+}
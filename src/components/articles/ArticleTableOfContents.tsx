@@ -0,0 +1,76 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import classNames from "classnames";
+import { Column, Flex, Text } from "@/once-ui/components";
+import type { Heading } from "@/app/utils/markdown";
+import styles from "./ArticleTableOfContents.module.scss";
+
+interface ArticleTableOfContentsProps {
+  headings: Heading[];
+  title?: string;
+}
+
+const ArticleTableOfContents: React.FC<ArticleTableOfContentsProps> = ({
+  headings,
+  title = "On this page",
+}) => {
+  const [activeId, setActiveId] = useState<string>();
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(
+      (entries) => {
+        const visible = entries.find((entry) => entry.isIntersecting);
+        if (visible) setActiveId(visible.target.id);
+      },
+      { rootMargin: "-80px 0px -70% 0px" },
+    );
+
+    headings.forEach((heading) => {
+      const element = document.getElementById(heading.id);
+      if (element) observer.observe(element);
+    });
+
+    return () => observer.disconnect();
+  }, [headings]);
+
+  const scrollTo = (id: string, offset: number) => {
+    const element = document.getElementById(id);
+    if (element) {
+      const elementPosition = element.getBoundingClientRect().top;
+      const offsetPosition = elementPosition + window.scrollY - offset;
+
+      window.scrollTo({
+        top: offsetPosition,
+        behavior: "smooth",
+      });
+      window.history.replaceState(null, "", `#${id}`);
+    }
+  };
+
+  if (headings.length === 0) return null;
+
+  return (
+    <Column as="nav" aria-label="Table of contents" className={styles.toc} gap="12" hide="m">
+      <Text variant="label-strong-s" onBackground="neutral-weak">
+        {title}
+      </Text>
+      {headings.map((heading) => (
+        <Flex
+          key={heading.id}
+          cursor="interactive"
+          className={classNames(styles.item, heading.id === activeId && styles.active)}
+          gap="8"
+          vertical="center"
+          paddingLeft={heading.depth > 2 ? "16" : undefined}
+          onClick={() => scrollTo(heading.id, 80)}
+        >
+          <Flex height="1" minWidth={heading.depth > 2 ? "8" : "16"} background="neutral-strong"></Flex>
+          <Text variant="body-default-s">{heading.text}</Text>
+        </Flex>
+      ))}
+    </Column>
+  );
+};
+
+export default ArticleTableOfContents;
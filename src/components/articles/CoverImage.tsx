@@ -0,0 +1,43 @@
+"use client";
+
+import Image, { ImageLoaderProps } from "next/image";
+import { staticExport } from "@/app/resources/config";
+import type { Cover } from "@/app/utils/covers";
+
+interface CoverImageProps {
+  cover: Cover;
+  alt: string;
+  sizes: string;
+  className?: string;
+  priority?: boolean;
+}
+
+/**
+ * An article cover served from the WebP variants written by `npm run
+ * covers`, so it needs neither an image optimizer nor a remote host. Covers
+ * without variants are served as they are.
+ */
+export function CoverImage({ cover, alt, sizes, className, priority }: CoverImageProps) {
+  const { variants } = cover;
+  const widest = variants[variants.length - 1];
+  // The narrowest variant at least as wide as asked for, else the widest.
+  const loader = ({ width }: ImageLoaderProps) =>
+    (variants.find((variant) => variant.width >= width) || widest).src;
+  // A static export turns loaders off for every image, so it gets one size.
+  const responsive = variants.length > 0 && !staticExport;
+
+  return (
+    <Image
+      src={staticExport && widest ? widest.src : cover.src}
+      alt={alt}
+      width={cover.width}
+      height={cover.height}
+      sizes={sizes}
+      className={className}
+      priority={priority}
+      placeholder={cover.blurDataURL ? "blur" : "empty"}
+      blurDataURL={cover.blurDataURL}
+      {...(responsive ? { loader } : { unoptimized: true })}
+    />
+  );
+}
@@ -1,16 +1,20 @@
-"use client";
-
 import { Column, Flex, Heading, SmartImage, SmartLink, Tag, Text } from "@/once-ui/components";
 import styles from "./Posts.module.scss";
 import { formatDate } from "@/app/utils/formatDate";
+import { Locale, localeConfig, localePath } from "@/app/resources/i18n";
+import { PublishStatusTag } from "@/components/PublishStatusTag";
 
 interface PostProps {
   post: any;
   thumbnail: boolean;
+  locale: Locale;
 }
 
-export default function Post({ post, thumbnail }: PostProps) {
-  const tags = post.metadata.tag.split(",").map((tag: string) => tag.trim());
+export default function Post({ post, thumbnail, locale }: PostProps) {
+  const tags = post.metadata.tag
+    .split(",")
+    .map((tag: string) => tag.trim())
+    .filter(Boolean);
 
   return (
     <SmartLink
@@ -18,7 +22,7 @@ export default function Post({ post, thumbnail }: PostProps) {
       className={styles.hover}
       unstyled
       key={post.slug}
-      href={`/blog/${post.slug}`}
+      href={localePath(locale, `/blog/${post.slug}`)}
     >
       <Flex
         position="relative"
@@ -47,10 +51,15 @@ export default function Post({ post, thumbnail }: PostProps) {
             {post.metadata.title}
           </Heading>
           <Text variant="label-default-s" onBackground="neutral-weak">
-            {post.metadata.publishedAt && formatDate(post.metadata.publishedAt, false)}
+            {post.metadata.publishedAt && formatDate(post.metadata.publishedAt, false, localeConfig(locale).lang)}
           </Text>
-          {tags.length > 0 && (
+          {(tags.length > 0 || post.metadata.status !== "published") && (
             <Flex gap="8">
+              <PublishStatusTag
+                status={post.metadata.status}
+                publishAt={post.metadata.publishAt}
+                locale={locale}
+              />
               {tags.map((tag: string, index: number) =>
                 index < 3 ? <Tag key={index} label={tag} variant="neutral" /> : null
               )}
@@ -1,15 +1,23 @@
 import { getPosts } from "@/app/utils/utils";
+import { isPreview } from "@/app/utils/publishing";
 import { Grid } from "@/once-ui/components";
 import Post from "./Post";
+import { defaultLocale, Locale } from "@/app/resources/i18n";
 
 interface PostsProps {
   range?: [number] | [number, number];
   columns?: "1" | "2" | "3";
   thumbnail?: boolean;
+  locale?: Locale;
 }
 
-export function Posts({ range, columns = "1", thumbnail = false }: PostsProps) {
-  let allBlogs = getPosts(["src", "app", "blog", "posts"]);
+export function Posts({
+  range,
+  columns = "1",
+  thumbnail = false,
+  locale = defaultLocale,
+}: PostsProps) {
+  let allBlogs = getPosts(["src", "app", "blog", "posts"], locale, { preview: isPreview() });
 
   const sortedBlogs = allBlogs.sort((a, b) => {
     return new Date(b.metadata.publishedAt).getTime() - new Date(a.metadata.publishedAt).getTime();
@@ -24,7 +32,7 @@ export function Posts({ range, columns = "1", thumbnail = false }: PostsProps) {
       {displayedBlogs.length > 0 && (
         <Grid columns={columns} mobileColumns="1" fillWidth marginBottom="40" gap="m">
           {displayedBlogs.map((post) => (
-            <Post key={post.slug} post={post} thumbnail={thumbnail} />
+            <Post key={post.slug} post={post} thumbnail={thumbnail} locale={locale} />
           ))}
         </Grid>
       )}
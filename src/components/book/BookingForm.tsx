@@ -0,0 +1,256 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import {
+  Button,
+  Column,
+  Flex,
+  Heading,
+  Input,
+  Text,
+  Textarea,
+  ToggleButton,
+  useToast,
+} from "@/once-ui/components";
+import type { Content } from "@/app/resources/i18n";
+import { Locale, localeConfig } from "@/app/resources/locales";
+import { EmailButton } from "@/components/EmailButton";
+import { TimeDisplay } from "@/components/TimeDisplay";
+
+interface BookingFormProps {
+  locale: Locale;
+  book: Content["book"];
+  form: Content["ui"]["form"];
+  // The owner's email and where they are, beside their side of each slot.
+  email: string;
+  ownerLocation: string;
+}
+
+type Availability = {
+  timeZone: string;
+  duration: number;
+  slots: string[];
+};
+
+type BookingFields = {
+  name: string;
+  email: string;
+  topic: string;
+  website: string;
+};
+
+const emptyFields: BookingFields = { name: "", email: "", topic: "", website: "" };
+
+/**
+ * Open slots from /api/book grouped by day in the visitor's timezone, each
+ * with the owner's time beside it, and the form to request one.
+ */
+export function BookingForm({ locale, book, form, email, ownerLocation }: BookingFormProps) {
+  const { lang } = localeConfig(locale);
+  const { addToast } = useToast();
+  const [availability, setAvailability] = useState<Availability | null>(null);
+  const [unavailable, setUnavailable] = useState(false);
+  // Known only in the browser; rendering waits for it to avoid a mismatch.
+  const [timeZone, setTimeZone] = useState<string | null>(null);
+  const [selected, setSelected] = useState<string | null>(null);
+  const [fields, setFields] = useState<BookingFields>(emptyFields);
+  const [errors, setErrors] = useState<Partial<Record<keyof BookingFields, boolean>>>({});
+  const [loading, setLoading] = useState(false);
+
+  const load = () =>
+    fetch("/api/book")
+      .then((response) => {
+        if (!response.ok) throw new Error(`Booking request failed with ${response.status}`);
+        return response.json();
+      })
+      .then((result: Availability) => {
+        setAvailability(result);
+        setUnavailable(false);
+      })
+      .catch(() => setUnavailable(true));
+
+  useEffect(() => {
+    setTimeZone(Intl.DateTimeFormat().resolvedOptions().timeZone);
+    load();
+  }, []);
+
+  // Without slots there's nothing to pick from; offer an email instead.
+  if (unavailable) {
+    return (
+      <Column fillWidth gap="16">
+        <Text onBackground="neutral-weak">{book.failed}</Text>
+        <EmailButton email={email} label={form.emailMe} />
+      </Column>
+    );
+  }
+  if (!availability || !timeZone) return null;
+
+  const sameZone = timeZone === availability.timeZone;
+  // The same options TimeDisplay uses, minus the seconds.
+  const time = (date: Date, zone: string) =>
+    new Intl.DateTimeFormat(lang, { timeZone: zone, hour: "2-digit", minute: "2-digit", hour12: false }).format(date);
+  const dayLabel = (date: Date) =>
+    new Intl.DateTimeFormat(lang, { timeZone, weekday: "long", month: "long", day: "numeric" }).format(date);
+
+  const days = new Map<string, string[]>();
+  for (const slot of availability.slots) {
+    const label = dayLabel(new Date(slot));
+    days.set(label, [...(days.get(label) || []), slot]);
+  }
+
+  const handleChange =
+    (field: keyof BookingFields) =>
+    (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
+      setFields((current) => ({ ...current, [field]: e.target.value }));
+      setErrors((current) => ({ ...current, [field]: false }));
+    };
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await fetch("/api/book", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...fields, start: selected }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        if (result.errors) {
+          setErrors({ name: !!result.errors.name, email: !!result.errors.email, topic: !!result.errors.topic });
+          return;
+        }
+        if (response.status === 409) {
+          setSelected(null);
+          load();
+        }
+        addToast({
+          variant: "danger",
+          message:
+            response.status === 409
+              ? book.taken
+              : response.status === 429
+                ? book.rateLimited
+                : book.failed,
+        });
+        return;
+      }
+
+      setFields(emptyFields);
+      setSelected(null);
+      addToast({ variant: "success", message: book.sent });
+    } catch {
+      addToast({ variant: "danger", message: book.failed });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Column fillWidth gap="32">
+      <Flex gap="24" wrap>
+        <Text variant="body-default-s" onBackground="neutral-weak">
+          {book.yourTime}: <TimeDisplay timeZone={timeZone} /> ({timeZone})
+        </Text>
+        {!sameZone && (
+          <Text variant="body-default-s" onBackground="neutral-weak">
+            {book.ownerTime}: <TimeDisplay timeZone={availability.timeZone} /> ({ownerLocation})
+          </Text>
+        )}
+      </Flex>
+      {days.size === 0 ? (
+        <Text onBackground="neutral-weak">{book.empty}</Text>
+      ) : (
+        <Column fillWidth gap="24">
+          <Heading as="h2" variant="heading-strong-l">
+            {book.pick}
+          </Heading>
+          {Array.from(days, ([day, slots]) => (
+            <Column key={day} fillWidth gap="8">
+              <Text variant="label-strong-s">{day}</Text>
+              <Flex gap="8" wrap>
+                {slots.map((slot) => {
+                  const date = new Date(slot);
+                  const label = sameZone
+                    ? time(date, timeZone)
+                    : `${time(date, timeZone)} · ${time(date, availability.timeZone)}`;
+                  return (
+                    <ToggleButton
+                      key={slot}
+                      size="s"
+                      variant="outline"
+                      label={label}
+                      selected={selected === slot}
+                      aria-pressed={selected === slot}
+                      onClick={() => setSelected(slot)}
+                    />
+                  );
+                })}
+              </Flex>
+            </Column>
+          ))}
+        </Column>
+      )}
+      {selected && (
+        <form onSubmit={handleSubmit} style={{ position: "relative", width: "100%" }} noValidate>
+          <Column fillWidth gap="8">
+            <Text variant="label-strong-m">
+              {dayLabel(new Date(selected))}, {time(new Date(selected), timeZone)} ({availability.duration}{" "}
+              min)
+            </Text>
+            <Flex fillWidth gap="8" mobileDirection="column">
+              <Input
+                id="book-name"
+                name="name"
+                label={form.name}
+                autoComplete="name"
+                required
+                value={fields.name}
+                onChange={handleChange("name")}
+                error={errors.name}
+              />
+              <Input
+                id="book-email"
+                name="email"
+                type="email"
+                label={form.email}
+                autoComplete="email"
+                required
+                value={fields.email}
+                onChange={handleChange("email")}
+                error={errors.email}
+              />
+            </Flex>
+            <Textarea
+              id="book-topic"
+              name="topic"
+              label={book.topic}
+              lines={3}
+              value={fields.topic}
+              onChange={handleChange("topic")}
+              error={errors.topic}
+            />
+            {/* Honeypot: hidden from people, filled in by bots */}
+            <input
+              type="text"
+              name="website"
+              tabIndex={-1}
+              autoComplete="off"
+              aria-hidden="true"
+              value={fields.website}
+              onChange={handleChange("website")}
+              style={{ position: "absolute", left: "-9999px", width: 1, height: 1, opacity: 0 }}
+            />
+            <Flex marginTop="8">
+              <Button type="submit" size="m" prefixIcon="calendar" loading={loading}>
+                {book.send}
+              </Button>
+            </Flex>
+          </Column>
+        </form>
+      )}
+    </Column>
+  );
+}
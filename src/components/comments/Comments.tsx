@@ -0,0 +1,175 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button, Column, Flex, Heading, Input, Text, Textarea, useToast } from "@/once-ui/components";
+import { comments as config, staticExport } from "@/app/resources/config";
+import type { Content } from "@/app/resources/i18n";
+import { Locale, localeConfig } from "@/app/resources/locales";
+import { postComment } from "@/app/utils/commentActions";
+import type { PublicComment } from "@/app/utils/comments";
+import { formatDate } from "@/app/utils/formatDate";
+
+interface CommentsProps {
+  // "blog:<slug>", "article:<id>" or "guestbook"
+  thread: string;
+  locale: Locale;
+  labels: Content["ui"]["comments"];
+}
+
+type CommentFields = {
+  name: string;
+  message: string;
+  website: string;
+};
+
+const emptyFields: CommentFields = { name: "", message: "", website: "" };
+
+/**
+ * Approved comments on a thread, oldest first, and a form that posts through
+ * the `postComment` server action. New comments wait for moderation at
+ * /admin/comments. Renders nothing if the comments API isn't there, as in a
+ * static export.
+ */
+export function Comments({ thread, locale, labels }: CommentsProps) {
+  const { addToast } = useToast();
+  const [comments, setComments] = useState<PublicComment[] | null>(null);
+  const [fields, setFields] = useState<CommentFields>(emptyFields);
+  const [errors, setErrors] = useState<Partial<Record<keyof CommentFields, string>>>({});
+  const [loading, setLoading] = useState(false);
+  // When the form was shown; the server ignores forms sent implausibly fast.
+  const [startedAt, setStartedAt] = useState(0);
+
+  useEffect(() => {
+    if (staticExport) return;
+    setStartedAt(Date.now());
+    fetch(`/api/comments?thread=${encodeURIComponent(thread)}`)
+      .then((response) => {
+        if (!response.ok) throw new Error(`Comments request failed with ${response.status}`);
+        return response.json();
+      })
+      .then((result: { comments: PublicComment[] }) => setComments(result.comments))
+      .catch(() => setComments(null));
+  }, [thread]);
+
+  const handleChange =
+    (field: keyof CommentFields) =>
+    (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
+      setFields((current) => ({ ...current, [field]: e.target.value }));
+      setErrors((current) => ({ ...current, [field]: undefined }));
+    };
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const result = await postComment({ thread, ...fields, startedAt });
+
+      // The server explains in English; show the visitor's language instead.
+      if ("errors" in result) {
+        setErrors({
+          name: result.errors.name && labels.nameInvalid,
+          message:
+            result.errors.message &&
+            labels.messageInvalid.replace("{max}", String(config.maxLength)),
+        });
+        return;
+      }
+      if ("error" in result) {
+        addToast({
+          variant: "danger",
+          message: result.error === "rateLimited" ? labels.rateLimited : labels.failed,
+        });
+        return;
+      }
+
+      setFields(emptyFields);
+      addToast({ variant: "success", message: labels.sent });
+    } catch {
+      addToast({ variant: "danger", message: labels.failed });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!comments) return null;
+
+  return (
+    <Column fillWidth gap="24" marginTop="40">
+      <Heading as="h2" variant="heading-strong-l">
+        {labels.title}
+        {comments.length > 0 && ` (${comments.length})`}
+      </Heading>
+      {comments.length === 0 ? (
+        <Text variant="body-default-s" onBackground="neutral-weak">
+          {labels.empty}
+        </Text>
+      ) : (
+        <Column as="ol" fillWidth gap="16" style={{ listStyle: "none", padding: 0 }}>
+          {comments.map((comment) => (
+            <Column as="li" key={comment.id} fillWidth gap="4">
+              <Flex gap="8" vertical="center" wrap>
+                <Text variant="label-strong-s">{comment.name}</Text>
+                <Text variant="body-default-xs" onBackground="neutral-weak">
+                  <time dateTime={comment.createdAt}>
+                    {formatDate(comment.createdAt, false, localeConfig(locale).lang)}
+                  </time>
+                </Text>
+              </Flex>
+              <Text
+                variant="body-default-m"
+                onBackground="neutral-medium"
+                style={{ whiteSpace: "pre-wrap", overflowWrap: "anywhere" }}
+              >
+                {comment.message}
+              </Text>
+            </Column>
+          ))}
+        </Column>
+      )}
+      <form onSubmit={handleSubmit} style={{ position: "relative", width: "100%" }} noValidate>
+        <Column fillWidth gap="8">
+          <Input
+            id={`comment-name-${thread}`}
+            name="name"
+            label={labels.name}
+            autoComplete="name"
+            required
+            value={fields.name}
+            onChange={handleChange("name")}
+            error={!!errors.name}
+            errorMessage={errors.name}
+          />
+          <Textarea
+            id={`comment-message-${thread}`}
+            name="message"
+            label={labels.message}
+            lines={4}
+            required
+            maxLength={config.maxLength}
+            value={fields.message}
+            onChange={handleChange("message")}
+            error={!!errors.message}
+            errorMessage={errors.message}
+          />
+          {/* Honeypot: hidden from people, filled in by bots */}
+          <input
+            type="text"
+            name="website"
+            tabIndex={-1}
+            autoComplete="off"
+            aria-hidden="true"
+            value={fields.website}
+            onChange={handleChange("website")}
+            style={{ position: "absolute", left: "-9999px", width: 1, height: 1, opacity: 0 }}
+          />
+          <Flex marginTop="8">
+            <Button type="submit" size="m" prefixIcon="chat" loading={loading}>
+              {labels.send}
+            </Button>
+          </Flex>
+        </Column>
+      </form>
+    </Column>
+  );
+}
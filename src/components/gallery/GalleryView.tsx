@@ -0,0 +1,97 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { Column, Flex, Heading, Tag, Text } from "@/once-ui/components";
+import { getContent, Locale } from "@/app/resources/i18n";
+import { galleryPath, getGallery, getGalleryImages } from "@/app/utils/gallery";
+import { breadcrumbSchema, imageObjectSchema, webPageSchema } from "@/app/utils/structuredData";
+import { JsonLd } from "@/components/JsonLd";
+import MasonryGrid from "./MasonryGrid";
+
+interface GalleryViewProps {
+  locale: Locale;
+  album?: string;
+  image?: string;
+}
+
+/**
+ * The gallery grid for every photo or for one album, with the lightbox open on
+ * `image` when the page is a deep link. Unknown albums and images 404.
+ */
+export default async function GalleryView({ locale, album, image }: GalleryViewProps) {
+  const { gallery } = getContent(locale);
+  const albums = await getGallery(locale);
+  const current = album ? albums.find((item) => item.slug === album) : undefined;
+  if (album && !current) notFound();
+
+  const images = current ? current.images : await getGalleryImages(locale);
+  if (image && !images.some((item) => item.slug === image)) notFound();
+
+  const listPath = galleryPath(locale, current?.slug);
+  const opened = image && images.find((item) => item.slug === image);
+  const crumbs = [
+    { name: gallery.label, path: "/gallery" },
+    ...(current ? [{ name: current.title, path: `/gallery/${current.slug}` }] : []),
+    ...(opened && current
+      ? [{ name: opened.caption || opened.alt, path: `/gallery/${current.slug}/${opened.slug}` }]
+      : []),
+  ];
+
+  return (
+    <Column fillWidth gap="l">
+      <JsonLd
+        nodes={[
+          webPageSchema(locale, {
+            type: "ImageGallery",
+            path: current ? `/gallery/${current.slug}` : "/gallery",
+            title: current ? current.title : gallery.title,
+            description: current?.description || gallery.description,
+            image: images.map((item) => imageObjectSchema(locale, item)),
+          }),
+          breadcrumbSchema(locale, crumbs),
+        ]}
+      />
+      {current && (
+        <Column gap="8">
+          <Heading variant="display-strong-s">{current.title}</Heading>
+          {current.description && (
+            <Text variant="body-default-l" onBackground="neutral-weak">
+              {current.description}
+            </Text>
+          )}
+        </Column>
+      )}
+      {albums.length > 1 && (
+        <Flex gap="8" wrap>
+          <Link href={galleryPath(locale)} aria-current={current ? undefined : "page"}>
+            <Tag size="l" variant={current ? "neutral" : "brand"} label={gallery.allAlbums} />
+          </Link>
+          {albums.map((item) => (
+            <Link
+              key={item.slug}
+              href={galleryPath(locale, item.slug)}
+              aria-current={item.slug === current?.slug ? "page" : undefined}
+            >
+              <Tag
+                size="l"
+                variant={item.slug === current?.slug ? "brand" : "neutral"}
+                label={`${item.title} · ${item.images.length}`}
+              />
+            </Link>
+          ))}
+        </Flex>
+      )}
+      {images.length === 0 ? (
+        <Text variant="body-default-l" onBackground="neutral-weak">
+          {gallery.empty}
+        </Text>
+      ) : (
+        <MasonryGrid
+          images={images}
+          listPath={listPath}
+          lightbox={gallery.lightbox}
+          initialImage={image && current ? `${current.slug}/${image}` : undefined}
+        />
+      )}
+    </Column>
+  );
+}
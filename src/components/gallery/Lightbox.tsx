@@ -0,0 +1,167 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import Image from "next/image";
+import { Column, Flex, IconButton, Text } from "@/once-ui/components";
+import type { GalleryImage } from "@/app/utils/gallery";
+import { formatDate } from "@/app/utils/formatDate";
+import type { Content } from "@/app/resources/i18n";
+import { localeConfig } from "@/app/resources/locales";
+import { useLocale } from "@/components/i18n/useLocale";
+import styles from "./Gallery.module.scss";
+
+interface LightboxProps {
+  images: GalleryImage[];
+  index: number;
+  onIndexChange: (index: number) => void;
+  onClose: () => void;
+  labels: Content["gallery"]["lightbox"];
+}
+
+const SWIPE_DISTANCE = 48;
+
+export default function Lightbox({ images, index, onIndexChange, onClose, labels }: LightboxProps) {
+  const locale = useLocale();
+  const dialogRef = useRef<HTMLDivElement>(null);
+  const touchStart = useRef<number | null>(null);
+  const [mounted, setMounted] = useState(false);
+  const image = images[index];
+
+  const show = useCallback(
+    (next: number) => onIndexChange((next + images.length) % images.length),
+    [images.length, onIndexChange],
+  );
+
+  const handleKeyDown = useCallback(
+    (event: KeyboardEvent) => {
+      if (event.key === "Escape") onClose();
+      if (event.key === "ArrowLeft") show(index - 1);
+      if (event.key === "ArrowRight") show(index + 1);
+      if (event.key === "Home") show(0);
+      if (event.key === "End") show(images.length - 1);
+      if (event.key === "Tab" && dialogRef.current) {
+        const focusable = dialogRef.current.querySelectorAll<HTMLElement>("button, [href]");
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
+        }
+      }
+    },
+    [images.length, index, onClose, show],
+  );
+
+  useEffect(() => {
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [handleKeyDown]);
+
+  useEffect(() => setMounted(true), []);
+
+  // Lock the page behind the lightbox and hand focus back to the thumbnail on close.
+  useEffect(() => {
+    if (!mounted) return;
+    const previousFocus = document.activeElement as HTMLElement | null;
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    dialogRef.current?.querySelector<HTMLElement>("button")?.focus();
+
+    return () => {
+      document.body.style.overflow = overflow;
+      previousFocus?.focus();
+    };
+  }, [mounted]);
+
+  // The portal target only exists in the browser; deep links open it after hydration.
+  if (!mounted || !image) return null;
+
+  const description = image.caption || image.alt;
+
+  return createPortal(
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={description}
+      className={styles.lightbox}
+      onClick={(event) => event.target === event.currentTarget && onClose()}
+      onTouchStart={(event) => {
+        touchStart.current = event.touches[0].clientX;
+      }}
+      onTouchEnd={(event) => {
+        if (touchStart.current === null) return;
+        const distance = event.changedTouches[0].clientX - touchStart.current;
+        touchStart.current = null;
+        if (Math.abs(distance) > SWIPE_DISTANCE) show(index + (distance < 0 ? 1 : -1));
+      }}
+    >
+      <Flex position="absolute" top="16" right="16" gap="8" zIndex={1}>
+        <IconButton
+          icon="close"
+          variant="secondary"
+          tooltip={labels.close}
+          aria-label={labels.close}
+          onClick={onClose}
+        />
+      </Flex>
+      {images.length > 1 && (
+        <>
+          <Flex position="absolute" left="16" className={styles.lightboxNav} zIndex={1}>
+            <IconButton
+              icon="chevronLeft"
+              variant="secondary"
+              aria-label={labels.previous}
+              onClick={() => show(index - 1)}
+            />
+          </Flex>
+          <Flex position="absolute" right="16" className={styles.lightboxNav} zIndex={1}>
+            <IconButton
+              icon="chevronRight"
+              variant="secondary"
+              aria-label={labels.next}
+              onClick={() => show(index + 1)}
+            />
+          </Flex>
+        </>
+      )}
+      <Column gap="12" horizontal="center" className={styles.lightboxContent}>
+        <Image
+          key={image.src}
+          src={image.src}
+          alt={image.alt}
+          width={image.width}
+          height={image.height}
+          sizes="100vw"
+          placeholder="blur"
+          blurDataURL={image.blurDataURL}
+          className={styles.lightboxImage}
+          priority
+        />
+        <Flex gap="16" vertical="center" horizontal="center" wrap>
+          {image.caption && (
+            <Text variant="body-default-m" onBackground="neutral-strong" align="center">
+              {image.caption}
+            </Text>
+          )}
+          {image.date && (
+            <Text variant="body-default-s" onBackground="neutral-weak">
+              {formatDate(image.date, false, localeConfig(locale).lang)}
+            </Text>
+          )}
+          {images.length > 1 && (
+            <Text variant="body-default-s" onBackground="neutral-weak" aria-live="polite">
+              {index + 1} / {images.length}
+            </Text>
+          )}
+        </Flex>
+      </Column>
+    </div>,
+    document.body,
+  );
+}
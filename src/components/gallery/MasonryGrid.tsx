@@ -1,36 +1,119 @@
 "use client";
 
+import { useCallback, useEffect, useRef, useState } from "react";
 import Masonry from "react-masonry-css";
-import { SmartImage } from "@/once-ui/components";
+import Image from "next/image";
+import type { GalleryImage } from "@/app/utils/gallery";
+import type { Content } from "@/app/resources/i18n";
+import { localePath } from "@/app/resources/locales";
+import { useLocale } from "@/components/i18n/useLocale";
+import Lightbox from "./Lightbox";
 import styles from "./Gallery.module.scss";
-import { gallery } from "@/app/resources/content";
-
-export default function MasonryGrid() {
-  const breakpointColumnsObj = {
-    default: 4,
-    1440: 3,
-    1024: 2,
-    560: 1,
+
+interface MasonryGridProps {
+  images: GalleryImage[];
+  // Where the address bar goes back to when the lightbox closes.
+  listPath: string;
+  // "<album>/<image>" to open on load, from a /gallery/<album>/<image> deep link.
+  initialImage?: string;
+  lightbox: Content["gallery"]["lightbox"];
+}
+
+const breakpointColumnsObj = {
+  default: 4,
+  1440: 3,
+  1024: 2,
+  560: 1,
+};
+
+function imageKey(image: GalleryImage) {
+  return `${image.album}/${image.slug}`;
+}
+
+export default function MasonryGrid({ images, listPath, initialImage, lightbox }: MasonryGridProps) {
+  const locale = useLocale();
+  const [index, setIndex] = useState<number | null>(() => {
+    const initial = images.findIndex((image) => imageKey(image) === initialImage);
+    return initial >= 0 ? initial : null;
+  });
+  // Whether opening the lightbox added a history entry that closing should pop.
+  const pushed = useRef(false);
+
+  const imagePath = useCallback(
+    (image: GalleryImage) => localePath(locale, `/gallery/${imageKey(image)}`),
+    [locale],
+  );
+
+  const open = (next: number) => {
+    setIndex(next);
+    window.history.pushState(null, "", imagePath(images[next]));
+    pushed.current = true;
   };
 
+  const change = useCallback(
+    (next: number) => {
+      setIndex(next);
+      window.history.replaceState(null, "", imagePath(images[next]));
+    },
+    [images, imagePath],
+  );
+
+  const close = useCallback(() => {
+    setIndex(null);
+    if (pushed.current) {
+      pushed.current = false;
+      window.history.back();
+    } else {
+      window.history.replaceState(null, "", listPath);
+    }
+  }, [listPath]);
+
+  useEffect(() => {
+    const sync = () => {
+      const current = images.findIndex((image) => imagePath(image) === window.location.pathname);
+      pushed.current = false;
+      setIndex(current >= 0 ? current : null);
+    };
+    window.addEventListener("popstate", sync);
+    return () => window.removeEventListener("popstate", sync);
+  }, [images, imagePath]);
+
   return (
-    <Masonry
-      breakpointCols={breakpointColumnsObj}
-      className={styles.masonryGrid}
-      columnClassName={styles.masonryGridColumn}
-    >
-      {gallery.images.map((image: { src: string; alt: string; orientation: "horizontal" | "vertical" }, index) => (
-        <SmartImage
-          priority={index < 10}
-          sizes="(max-width: 560px) 100vw, (max-width: 1024px) 50vw, (max-width: 1440px) 33vw, 25vw"
-          key={index}
-          radius="m"
-          aspectRatio={image.orientation === "horizontal" ? "16 / 9" : "9 / 16"}
-          src={image.src}
-          alt={image.alt}
-          className={styles.gridItem}
-        />
-      ))}
-    </Masonry>
+    <>
+      <Masonry
+        breakpointCols={breakpointColumnsObj}
+        className={styles.masonryGrid}
+        columnClassName={styles.masonryGridColumn}
+      >
+        {images.map((image, position) => (
+          <a
+            key={imageKey(image)}
+            href={imagePath(image)}
+            className={`${styles.gridItem} ${styles.gridLink}`}
+            aria-label={image.caption || image.alt}
+            onClick={(event) => {
+              if (event.metaKey || event.ctrlKey || event.shiftKey || event.button !== 0) return;
+              event.preventDefault();
+              open(position);
+            }}
+          >
+            <Image
+              src={image.src}
+              alt={image.alt}
+              width={image.width}
+              height={image.height}
+              sizes="(max-width: 560px) 100vw, (max-width: 1024px) 50vw, (max-width: 1440px) 33vw, 25vw"
+              placeholder="blur"
+              blurDataURL={image.blurDataURL}
+              priority={position < 10}
+              className={styles.gridImage}
+            />
+          </a>
+        ))}
+      </Masonry>
+      {index !== null && (
+        <Lightbox images={images} index={index} onIndexChange={change} onClose={close} labels={lightbox} />
+      )}
+    </>
   );
 }
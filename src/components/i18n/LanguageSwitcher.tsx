@@ -0,0 +1,27 @@
+"use client";
+
+import { usePathname } from "next/navigation";
+import { ToggleButton } from "@/once-ui/components";
+import { localeConfig, localePath, locales, splitLocalePath } from "@/app/resources/locales";
+
+/** Links to the current page in every other locale. */
+export const LanguageSwitcher = () => {
+  const { locale: current, path } = splitLocalePath(usePathname() ?? "/");
+
+  return (
+    <>
+      {locales
+        .filter((locale) => locale !== current)
+        .map((locale) => (
+          <ToggleButton
+            key={locale}
+            href={localePath(locale, path)}
+            label={localeConfig(locale).short}
+            selected={false}
+            lang={localeConfig(locale).lang}
+            aria-label={localeConfig(locale).label}
+          />
+        ))}
+    </>
+  );
+};
@@ -0,0 +1,15 @@
+"use client";
+
+import { useSelectedLayoutSegment } from "next/navigation";
+import { Flex } from "@/once-ui/components";
+import { localeConfig, resolveLocale } from "@/app/resources/locales";
+
+/**
+ * The root <html> element. The root layout sits above the `[locale]` segment
+ * and can't read it, so `lang` is derived from the active segment here; it is
+ * rendered on the server, so crawlers see the right value.
+ */
+export const LocaleHtml = (props: Omit<React.ComponentProps<typeof Flex>, "as" | "lang">) => {
+  const locale = resolveLocale(useSelectedLayoutSegment() ?? undefined);
+  return <Flex as="html" lang={localeConfig(locale).lang} {...props} />;
+};
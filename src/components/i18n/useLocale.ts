@@ -0,0 +1,7 @@
+import { usePathname } from "next/navigation";
+import { splitLocalePath } from "@/app/resources/locales";
+
+/** The locale of the current route, for client components that can't receive it as a prop. */
+export function useLocale() {
+  return splitLocalePath(usePathname() ?? "/").locale;
+}
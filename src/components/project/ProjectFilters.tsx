@@ -0,0 +1,46 @@
+import { Flex, Tag } from "@/once-ui/components";
+import Link from "next/link";
+import { defaultLocale, getContent, Locale, localePath } from "@/app/resources/i18n";
+import { techKey, Technology } from "@/app/utils/projects";
+
+export function projectsHref(tech?: string, locale = defaultLocale) {
+  const path = localePath(locale, "/project");
+  return tech ? `${path}?${new URLSearchParams({ tech })}` : path;
+}
+
+interface ProjectFiltersProps {
+  technologies: Technology[];
+  tech?: string;
+  locale?: Locale;
+}
+
+/** One tag per technology in the projects' `stack`, most used first. */
+export function ProjectFilters({ technologies, tech, locale = defaultLocale }: ProjectFiltersProps) {
+  const { ui } = getContent(locale);
+  const current = tech ? techKey(tech) : undefined;
+
+  if (technologies.length === 0) {
+    return null;
+  }
+
+  return (
+    <Flex as="nav" aria-label={ui.projectFacts.stack} gap="8" wrap paddingX="l" marginBottom="40">
+      <Link href={projectsHref(undefined, locale)}>
+        <Tag size="l" variant={current ? "neutral" : "brand"} label={ui.all} />
+      </Link>
+      {technologies.map((technology) => (
+        <Link
+          key={technology.key}
+          href={projectsHref(technology.key === current ? undefined : technology.name, locale)}
+          aria-current={technology.key === current ? "true" : undefined}
+        >
+          <Tag
+            size="l"
+            variant={technology.key === current ? "brand" : "neutral"}
+            label={`${technology.name} · ${technology.count}`}
+          />
+        </Link>
+      ))}
+    </Flex>
+  );
+}
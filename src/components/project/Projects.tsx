@@ -1,13 +1,21 @@
 import { getPosts } from "@/app/utils/utils";
+import { isPreview } from "@/app/utils/publishing";
+import { usesTech } from "@/app/utils/projects";
 import { Column } from "@/once-ui/components";
 import { ProjectCard } from "@/components";
+import { defaultLocale, Locale, localePath } from "@/app/resources/i18n";
 
 interface ProjectsProps {
   range?: [number, number?];
+  // Only projects with this technology in their `stack`.
+  tech?: string;
+  locale?: Locale;
 }
 
-export function Projects({ range }: ProjectsProps) {
-  let allProjects = getPosts(["src", "app", "project", "projects"]);
+export function Projects({ range, tech, locale = defaultLocale }: ProjectsProps) {
+  let allProjects = getPosts(["src", "app", "project", "projects"], locale, {
+    preview: isPreview(),
+  });
 
   const sortedProjects = allProjects.sort((a, b) => {
     return (
@@ -16,17 +24,22 @@ export function Projects({ range }: ProjectsProps) {
     );
   });
 
-  const displayedProjects = range
-    ? sortedProjects.slice(range[0] - 1, range[1] ?? sortedProjects.length)
+  const matchingProjects = tech
+    ? sortedProjects.filter((project) => usesTech(project, tech))
     : sortedProjects;
 
+  const displayedProjects = range
+    ? matchingProjects.slice(range[0] - 1, range[1] ?? matchingProjects.length)
+    : matchingProjects;
+
   return (
     <Column fillWidth gap="xl" marginBottom="40" paddingX="l">
       {displayedProjects.map((post, index) => (
         <ProjectCard
           priority={index < 2}
           key={post.slug}
-          href={`project/${post.slug}`}
+          href={localePath(locale, `/project/${post.slug}`)}
+          locale={locale}
           images={post.metadata.images}
           title={post.metadata.title}
           description={post.metadata.summary}
@@ -38,6 +51,13 @@ export function Projects({ range }: ProjectsProps) {
             })) || []
           }
           link={post.metadata.link || ""}
+          status={post.metadata.status}
+          publishAt={post.metadata.publishAt}
+          stack={post.metadata.stack}
+          role={post.metadata.role}
+          projectStatus={post.metadata.projectStatus}
+          period={post.metadata.period}
+          metrics={post.metadata.metrics}
         />
       ))}
     </Column>
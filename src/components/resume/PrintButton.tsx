@@ -0,0 +1,11 @@
+"use client";
+
+import { Button } from "@/once-ui/components";
+
+export function PrintButton({ label }: { label: string }) {
+  return (
+    <Button size="s" variant="secondary" prefixIcon="print" onClick={() => window.print()}>
+      {label}
+    </Button>
+  );
+}
@@ -0,0 +1,243 @@
+"use client";
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useRouter } from "next/navigation";
+import { Column, Dialog, Flex, Icon, Input, Kbd, Text, ToggleButton } from "@/once-ui/components";
+import { search } from "@/app/resources/config";
+import type { Content } from "@/app/resources/i18n";
+import { Locale, localePath } from "@/app/resources/locales";
+import type { SearchDocument } from "@/app/utils/search";
+import { useLocale } from "@/components/i18n/useLocale";
+import { Range, searchDocuments } from "./match";
+import styles from "./SearchPalette.module.scss";
+
+// One request per locale per visit; after that search is entirely local.
+const indexes = new Map<Locale, Promise<SearchDocument[]>>();
+
+function loadIndex(locale: Locale) {
+  let index = indexes.get(locale);
+  if (!index) {
+    index = fetch(localePath(locale, "/search.json")).then((response) => {
+      if (!response.ok) throw new Error(`Search index request failed with ${response.status}`);
+      return response.json();
+    });
+    // Let a failed request be retried on the next open.
+    index.catch(() => indexes.delete(locale));
+    indexes.set(locale, index);
+  }
+  return index;
+}
+
+function Highlight({ text, ranges }: { text: string; ranges: Range[] }) {
+  const parts: React.ReactNode[] = [];
+  let cursor = 0;
+  ranges.forEach(([start, end], index) => {
+    parts.push(text.slice(cursor, start), <mark key={index}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return <>{parts}</>;
+}
+
+export type SearchPaletteContent = {
+  text: Content["ui"]["searchSite"];
+  // What each kind of result is called, by SearchDocument type.
+  typeLabels: Record<SearchDocument["type"], string>;
+};
+
+/**
+ * The header's search button and the Cmd/Ctrl+K palette it opens. The index
+ * is the static /search.json for the current locale, matched in the browser.
+ */
+export const SearchPalette = ({ content }: { content: SearchPaletteContent }) => {
+  const locale = useLocale();
+  const router = useRouter();
+  const { text, typeLabels } = content;
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [documents, setDocuments] = useState<SearchDocument[] | null>(null);
+  const [error, setError] = useState(false);
+  const [active, setActive] = useState(0);
+  const listRef = useRef<HTMLDivElement>(null);
+  const [isMac, setIsMac] = useState(true);
+
+  useEffect(() => {
+    setIsMac(/Mac|iPhone|iPad/.test(navigator.platform));
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (event: KeyboardEvent) => {
+      if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === "k") {
+        event.preventDefault();
+        setIsOpen((open) => !open);
+      }
+    };
+    document.addEventListener("keydown", onKeyDown);
+    return () => document.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setError(false);
+    let cancelled = false;
+    loadIndex(locale)
+      .then((index) => !cancelled && setDocuments(index))
+      .catch(() => !cancelled && setError(true));
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, locale]);
+
+  // The index belongs to a locale; switching languages loads the other one.
+  useEffect(() => {
+    setDocuments(null);
+  }, [locale]);
+
+  const results = useMemo(
+    () => (documents ? searchDocuments(documents, query, search.limit) : []),
+    [documents, query],
+  );
+
+  useEffect(() => {
+    setActive(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-index="${active}"]`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  const close = useCallback(() => {
+    setIsOpen(false);
+    setQuery("");
+  }, []);
+
+  const open = (href: string) => {
+    close();
+    router.push(href);
+  };
+
+  const onInputKeyDown = (event: React.KeyboardEvent<HTMLInputElement>) => {
+    if (results.length === 0) return;
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setActive((index) => (index + 1) % results.length);
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActive((index) => (index - 1 + results.length) % results.length);
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      open(results[active].document.href);
+    }
+  };
+
+  const status = error
+    ? text.error
+    : !documents
+      ? text.loading
+      : !query.trim()
+        ? text.hint
+        : results.length === 0
+          ? `${text.empty} “${query.trim()}”`
+          : null;
+
+  return (
+    <>
+      <ToggleButton
+        prefixIcon="search"
+        selected={false}
+        aria-label={text.title}
+        aria-keyshortcuts={isMac ? "Meta+K" : "Control+K"}
+        title={`${text.title} (${isMac ? "⌘" : "Ctrl+"}K)`}
+        onClick={() => setIsOpen(true)}
+      />
+      <Dialog
+        isOpen={isOpen}
+        onClose={close}
+        title={text.title}
+        maxWidth={40}
+        footer={
+          <Flex fillWidth gap="16" vertical="center" textVariant="label-default-s">
+            <Flex gap="4" vertical="center">
+              <Kbd>↑</Kbd>
+              <Kbd>↓</Kbd>
+              <Text onBackground="neutral-weak">{text.navigate}</Text>
+            </Flex>
+            <Flex gap="4" vertical="center">
+              <Kbd>↵</Kbd>
+              <Text onBackground="neutral-weak">{text.open}</Text>
+            </Flex>
+            <Flex gap="4" vertical="center" hide="s">
+              <Kbd>{isMac ? "⌘" : "Ctrl"}</Kbd>
+              <Kbd>K</Kbd>
+            </Flex>
+          </Flex>
+        }
+      >
+        <Column fillWidth gap="12">
+          <Input
+            id="site-search"
+            label={text.placeholder}
+            labelAsPlaceholder
+            autoFocus
+            autoComplete="off"
+            spellCheck={false}
+            role="combobox"
+            aria-expanded={results.length > 0}
+            aria-controls="site-search-results"
+            aria-activedescendant={results.length > 0 ? `site-search-result-${active}` : undefined}
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            onKeyDown={onInputKeyDown}
+            hasPrefix={<Icon name="search" size="xs" onBackground="neutral-weak" />}
+          />
+          {status ? (
+            <Text variant="body-default-s" onBackground="neutral-weak" paddingY="16" align="center">
+              {status}
+            </Text>
+          ) : (
+            <Column
+              as="ul"
+              id="site-search-results"
+              role="listbox"
+              aria-label={text.title}
+              ref={listRef}
+              gap="4"
+              margin="0"
+              padding="0"
+              className={styles.results}
+            >
+              {results.map((result, index) => (
+                <li
+                  key={result.document.href}
+                  id={`site-search-result-${index}`}
+                  role="option"
+                  aria-selected={index === active}
+                  data-index={index}
+                  className={styles.result}
+                  onMouseMove={() => setActive(index)}
+                  onClick={() => open(result.document.href)}
+                >
+                  <Flex gap="8" vertical="center">
+                    <Text variant="label-default-xs" onBackground="brand-weak">
+                      {typeLabels[result.document.type]}
+                    </Text>
+                    <Text variant="heading-strong-s">
+                      <Highlight text={result.document.title} ranges={result.titleRanges} />
+                    </Text>
+                  </Flex>
+                  {result.snippet && (
+                    <Text variant="body-default-xs" onBackground="neutral-weak">
+                      <Highlight text={result.snippet} ranges={result.snippetRanges} />
+                    </Text>
+                  )}
+                </li>
+              ))}
+            </Column>
+          )}
+        </Column>
+      </Dialog>
+    </>
+  );
+};
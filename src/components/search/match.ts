@@ -0,0 +1,171 @@
+import type { SearchDocument } from "@/app/utils/search";
+
+/** `[start, end)` character offsets to highlight. */
+export type Range = [number, number];
+
+export type SearchResult = {
+  document: SearchDocument;
+  score: number;
+  titleRanges: Range[];
+  snippet: string;
+  snippetRanges: Range[];
+};
+
+type Field = "title" | "tags" | "summary" | "text";
+
+// A hit in the title counts for more than the same hit in the body.
+const WEIGHTS: Record<Field, number> = { title: 4, tags: 3, summary: 2, text: 1 };
+
+const SNIPPET_RADIUS = 60;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/** Levenshtein distance, giving up with `max + 1` as soon as it's exceeded. */
+function distance(a: string, b: string, max: number) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function allowedTypos(term: string) {
+  if (term.length >= 8) return 2;
+  return term.length >= 4 ? 1 : 0;
+}
+
+/**
+ * Where `term` occurs in `value`: every substring match, or failing that,
+ * every word (or word prefix) within a typo or two of it.
+ */
+function findTerm(term: string, value: string): { ranges: Range[]; score: number } | undefined {
+  const lower = value.toLowerCase();
+  const ranges: Range[] = [];
+  let score = 0;
+
+  for (let index = lower.indexOf(term); index !== -1; index = lower.indexOf(term, index + 1)) {
+    ranges.push([index, index + term.length]);
+    // Matches at the start of a word rank above matches inside one.
+    score = Math.max(score, index === 0 || !WORD_CHAR.test(lower[index - 1]) ? 1 : 0.6);
+  }
+  if (ranges.length > 0) return { ranges, score };
+
+  const typos = allowedTypos(term);
+  if (typos === 0) return undefined;
+
+  for (const match of lower.matchAll(WORD)) {
+    const word = match[0];
+    const start = match.index ?? 0;
+    // "componnet" should find "components" too, so long words are compared by prefix.
+    const candidate = word.length > term.length + typos ? word.slice(0, term.length) : word;
+    if (distance(term, candidate, typos) <= typos) {
+      ranges.push([start, start + candidate.length]);
+    }
+  }
+  return ranges.length > 0 ? { ranges, score: 0.4 } : undefined;
+}
+
+/** Sorted, with overlapping and touching ranges joined. */
+function mergeRanges(ranges: Range[]): Range[] {
+  const merged: Range[] = [];
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+/** A window of `value` around its first highlighted range. */
+function snippet(value: string, ranges: Range[]) {
+  const sorted = mergeRanges(ranges);
+  if (sorted.length === 0) {
+    const end = Math.min(value.length, SNIPPET_RADIUS * 2);
+    return { snippet: value.slice(0, end) + (end < value.length ? "…" : ""), snippetRanges: [] };
+  }
+
+  let start = Math.max(0, sorted[0][0] - SNIPPET_RADIUS);
+  let end = Math.min(value.length, sorted[0][1] + SNIPPET_RADIUS * 2);
+  // Don't cut words in half.
+  while (start > 0 && WORD_CHAR.test(value[start - 1]) && sorted[0][0] - start < SNIPPET_RADIUS + 20) {
+    start--;
+  }
+  while (end < value.length && WORD_CHAR.test(value[end]) && end - sorted[0][1] < SNIPPET_RADIUS * 2 + 20) {
+    end++;
+  }
+
+  const prefix = start > 0 ? "…" : "";
+  const offset = prefix.length - start;
+  return {
+    snippet: prefix + value.slice(start, end) + (end < value.length ? "…" : ""),
+    snippetRanges: sorted
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]): Range => [from + offset, to + offset]),
+  };
+}
+
+/**
+ * Ranks `documents` against `query`. Every word of the query has to match
+ * somewhere in a document, exactly or with a small typo; documents score by
+ * where each word matched best. Ties keep the index order, newest first.
+ */
+export function searchDocuments(documents: SearchDocument[], query: string, limit: number) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const results: SearchResult[] = [];
+
+  for (const document of documents) {
+    const values: Record<Field, string> = {
+      title: document.title,
+      tags: document.tags.join(" "),
+      summary: document.summary,
+      text: document.text,
+    };
+    const hits: Record<Field, Range[]> = { title: [], tags: [], summary: [], text: [] };
+    let score = 0;
+    let matched = true;
+
+    for (const term of terms) {
+      let best = 0;
+      for (const field of Object.keys(values) as Field[]) {
+        const hit = findTerm(term, values[field]);
+        if (!hit) continue;
+        hits[field].push(...hit.ranges);
+        best = Math.max(best, hit.score * WEIGHTS[field]);
+      }
+      if (best === 0) {
+        matched = false;
+        break;
+      }
+      score += best;
+    }
+
+    if (!matched) continue;
+
+    const body = hits.text.length > 0 || !document.summary ? "text" : "summary";
+    results.push({
+      document,
+      score,
+      titleRanges: mergeRanges(hits.title),
+      ...snippet(values[body], hits[body]),
+    });
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
@@ -0,0 +1,105 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Flex, Icon, Text, ToggleButton } from "@/once-ui/components";
+import { staticExport } from "@/app/resources/config";
+import type { Content } from "@/app/resources/i18n";
+import { Locale, localeConfig } from "@/app/resources/locales";
+import type { ContentType } from "@/app/utils/content";
+import { Counts, Reaction, REACTIONS, StatsEvent } from "@/app/utils/stats";
+
+const REACTION_ICONS: Record<Reaction, string> = { like: "heart", clap: "clap" };
+
+interface ContentStatsProps {
+  type: ContentType;
+  slug: string;
+  locale: Locale;
+  labels: Content["ui"]["stats"];
+}
+
+async function send(url: string, event?: StatsEvent) {
+  const response = await fetch(
+    url,
+    event
+      ? {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ event }),
+        }
+      : undefined,
+  );
+  if (!response.ok) throw new Error(`Stats request failed with ${response.status}`);
+  return (await response.json()) as { counts: Counts; counted?: boolean };
+}
+
+/**
+ * Records a view of the page it's on and shows the view count with like and
+ * clap buttons. Renders nothing until the counts arrive, or at all if the
+ * stats API isn't there, as in a static export.
+ */
+export function ContentStats({ type, slug, locale, labels }: ContentStatsProps) {
+  const [counts, setCounts] = useState<Counts | null>(null);
+  const [reacted, setReacted] = useState<Reaction[]>([]);
+  const url = `/api/stats/${type}/${encodeURIComponent(slug)}`;
+  const storageKey = `stats:${type}:${slug}`;
+
+  useEffect(() => {
+    if (staticExport) return;
+    // The server counts a visitor once a day anyway; this only saves a
+    // request when navigating back and forth within a visit.
+    const viewed = sessionStorage.getItem(`${storageKey}:viewed`);
+    send(url, viewed ? undefined : "view")
+      .then((result) => {
+        sessionStorage.setItem(`${storageKey}:viewed`, "1");
+        setCounts(result.counts);
+      })
+      .catch(() => setCounts(null));
+
+    try {
+      setReacted(JSON.parse(localStorage.getItem(`${storageKey}:reacted`) || "[]"));
+    } catch {
+      setReacted([]);
+    }
+  }, [url, storageKey]);
+
+  const react = (reaction: Reaction) => {
+    if (reacted.includes(reaction)) return;
+
+    const next = [...reacted, reaction];
+    setReacted(next);
+    localStorage.setItem(`${storageKey}:reacted`, JSON.stringify(next));
+    send(url, reaction)
+      .then((result) => setCounts(result.counts))
+      .catch(() => undefined);
+  };
+
+  if (!counts) return null;
+
+  const format = new Intl.NumberFormat(localeConfig(locale).lang);
+
+  return (
+    <Flex gap="8" vertical="center" wrap>
+      <Flex gap="4" vertical="center" paddingRight="8">
+        <Icon name="eye" size="xs" onBackground="neutral-weak" />
+        <Text variant="body-default-s" onBackground="neutral-weak">
+          {format.format(counts.view)} {labels.views}
+        </Text>
+      </Flex>
+      {REACTIONS.map((reaction) => (
+        <ToggleButton
+          key={reaction}
+          size="s"
+          variant="outline"
+          prefixIcon={REACTION_ICONS[reaction]}
+          selected={reacted.includes(reaction)}
+          aria-pressed={reacted.includes(reaction)}
+          aria-label={labels[reaction]}
+          title={labels[reaction]}
+          onClick={() => react(reaction)}
+        >
+          {format.format(counts[reaction])}
+        </ToggleButton>
+      ))}
+    </Flex>
+  );
+}
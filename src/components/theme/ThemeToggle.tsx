@@ -0,0 +1,53 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { ToggleButton } from "@/once-ui/components";
+import {
+  applyTheme,
+  defaultThemePreference,
+  readThemePreference,
+  ThemePreference,
+  themePreferences,
+} from "@/components/theme/theme";
+import type { Content } from "@/app/resources/i18n";
+
+interface ThemeToggleProps {
+  labels: Content["ui"]["theme"];
+}
+
+export const ThemeToggle = ({ labels }: ThemeToggleProps) => {
+  // Starts from the config default so server and client markup match; the
+  // stored choice is picked up after mount (the inline script already applied it).
+  const [preference, setPreference] = useState<ThemePreference>(defaultThemePreference);
+
+  useEffect(() => {
+    setPreference(readThemePreference());
+  }, []);
+
+  useEffect(() => {
+    if (preference !== "system") return;
+
+    const media = window.matchMedia("(prefers-color-scheme: dark)");
+    const onChange = () => applyTheme("system");
+    media.addEventListener("change", onChange);
+    return () => media.removeEventListener("change", onChange);
+  }, [preference]);
+
+  const next = themePreferences[(themePreferences.indexOf(preference) + 1) % themePreferences.length];
+  const label = labels.switchTo
+    .replace("{current}", labels[preference])
+    .replace("{next}", labels[next]);
+
+  return (
+    <ToggleButton
+      prefixIcon={preference}
+      selected={false}
+      aria-label={label}
+      title={labels[preference]}
+      onClick={() => {
+        setPreference(next);
+        applyTheme(next, true);
+      }}
+    />
+  );
+};
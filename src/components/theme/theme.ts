@@ -0,0 +1,66 @@
+import { display, style } from "@/app/resources/config";
+
+export type Theme = "light" | "dark";
+export type ThemePreference = Theme | "system";
+
+export const THEME_STORAGE_KEY = "theme";
+
+export const themePreferences: ThemePreference[] = ["light", "dark", "system"];
+
+function isPreference(value: unknown): value is ThemePreference {
+  return themePreferences.includes(value as ThemePreference);
+}
+
+export const defaultThemePreference: ThemePreference = isPreference(style.theme)
+  ? style.theme
+  : "dark";
+
+/** What the server renders into `data-theme` before the visitor's choice is known. */
+export const fallbackTheme: Theme = defaultThemePreference === "light" ? "light" : "dark";
+
+export function readThemePreference(): ThemePreference {
+  if (!display.themeSwitcher) return defaultThemePreference;
+  try {
+    const stored = localStorage.getItem(THEME_STORAGE_KEY);
+    return isPreference(stored) ? stored : defaultThemePreference;
+  } catch {
+    return defaultThemePreference;
+  }
+}
+
+export function resolveTheme(preference: ThemePreference): Theme {
+  if (preference !== "system") return preference;
+  return window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+}
+
+export function applyTheme(preference: ThemePreference, persist = false) {
+  document.documentElement.setAttribute("data-theme", resolveTheme(preference));
+  if (!persist) return;
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, preference);
+  } catch {
+    // Storage can be unavailable (private mode, blocked cookies); the choice
+    // then only lasts for this page view.
+  }
+}
+
+/**
+ * Inlined in <head> so the stored or system theme is set before first paint.
+ * Mirrors readThemePreference() and resolveTheme(), which can't be imported
+ * into a plain string.
+ */
+export const themeScript = `(function () {
+  try {
+    var preference = ${JSON.stringify(defaultThemePreference)};
+    ${
+      display.themeSwitcher
+        ? `var stored = localStorage.getItem(${JSON.stringify(THEME_STORAGE_KEY)});
+    if (${JSON.stringify(themePreferences)}.indexOf(stored) !== -1) preference = stored;`
+        : ""
+    }
+    if (preference === "system") {
+      preference = window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+    }
+    document.documentElement.setAttribute("data-theme", preference);
+  } catch (e) {}
+})();`;
@@ -1,5 +1,6 @@
 "use client";
 
+import classNames from "classnames";
 import React, { forwardRef, ReactNode } from "react";
 import styles from "./Fade.module.scss";
 
@@ -37,6 +38,7 @@ const Fade = forwardRef<HTMLDivElement, FadeProps>(
       },
       blur = 0.5,
       children,
+      className,
       ...rest
     },
     ref,
@@ -75,7 +77,7 @@ const Fade = forwardRef<HTMLDivElement, FadeProps>(
             }),
           } as React.CSSProperties
         }
-        className={styles.mask}
+        className={classNames(styles.mask, className)}
         {...rest}
       >
         {children}
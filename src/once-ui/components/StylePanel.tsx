@@ -1,11 +1,17 @@
 "use client";
 
 import { forwardRef, useState, useEffect } from "react";
-import { Flex, Text, SegmentedControl, IconButton, Scroller, Column } from ".";
+import { Flex, Text, SegmentedControl, IconButton, Scroller, Column, Button } from ".";
 
 import styles from "./StylePanel.module.scss";
 import classNames from "classnames";
-import { style } from "@/app/resources";
+import { style } from "@/app/resources/config";
+import {
+  applyTheme,
+  defaultThemePreference,
+  readThemePreference,
+  ThemePreference,
+} from "@/components/theme/theme";
 
 interface StylePanelProps extends React.ComponentProps<typeof Flex> {
   style?: React.CSSProperties;
@@ -48,17 +54,28 @@ const colorOptions = {
   neutral: ["sand", "gray", "slate"],
 };
 
+/** Formats the current settings as the `style` block of resources/config.js. */
+function styleConfig(values: Record<string, string>) {
+  const lines = Object.entries(values).map(([key, value]) => `  ${key}: ${JSON.stringify(value)},`);
+  return `const style = {\n${lines.join("\n")}\n};\n`;
+}
+
 const StylePanel = forwardRef<HTMLDivElement, StylePanelProps>(({ ...rest }, ref) => {
   const [selectedShape, setSelectedShape] = useState(style.border);
   const [brandColor, setBrandColor] = useState(style.brand);
   const [accentColor, setAccentColor] = useState(style.accent);
   const [neutralColor, setNeutralColor] = useState(style.neutral);
-  const [theme, setTheme] = useState(style.theme);
+  const [theme, setTheme] = useState<ThemePreference>(defaultThemePreference);
   const [solid, setSolid] = useState(style.solid);
   const [solidStyle, setSolidStyle] = useState(style.solidStyle);
   const [transition, setTransition] = useState(style.transition);
   const [scaling, setScaling] = useState(style.scaling);
   const [surface, setSurface] = useState(style.surface);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    setTheme(readThemePreference());
+  }, []);
 
   useEffect(() => {
     const root = document.documentElement;
@@ -68,7 +85,7 @@ const StylePanel = forwardRef<HTMLDivElement, StylePanelProps>(({ ...rest }, ref
     root.setAttribute("data-neutral", neutralColor);
     root.setAttribute("data-solid", solid);
     root.setAttribute("data-solid-style", solidStyle);
-    root.setAttribute("data-theme", theme);
+    applyTheme(theme);
     root.setAttribute("data-transition", transition);
     root.setAttribute("data-scaling", scaling);
     root.setAttribute("data-surface", surface);
@@ -111,8 +128,9 @@ const StylePanel = forwardRef<HTMLDivElement, StylePanelProps>(({ ...rest }, ref
             buttons={[
               { size: "l", label: "Light", value: "light", prefixIcon: "light" },
               { size: "l", label: "Dark", value: "dark", prefixIcon: "dark" },
+              { size: "l", label: "System", value: "system", prefixIcon: "system" },
             ]}
-            onToggle={(value) => setTheme(value as "light" | "dark")}
+            onToggle={(value) => setTheme(value as ThemePreference)}
             selected={theme}
           />
         </Flex>
@@ -501,6 +519,30 @@ const StylePanel = forwardRef<HTMLDivElement, StylePanelProps>(({ ...rest }, ref
           />
         </Flex>
       </Column>
+
+      <Button
+        variant="secondary"
+        size="m"
+        fillWidth
+        prefixIcon={copied ? "check" : "clipboard"}
+        label={copied ? "Copied to clipboard" : "Copy config"}
+        onClick={() => {
+          navigator.clipboard.writeText(styleConfig({
+            theme,
+            neutral: neutralColor,
+            brand: brandColor,
+            accent: accentColor,
+            solid,
+            solidStyle,
+            border: selectedShape,
+            surface,
+            transition,
+            scaling,
+          }));
+          setCopied(true);
+          setTimeout(() => setCopied(false), 2000);
+        }}
+      />
     </Column>
   );
 });
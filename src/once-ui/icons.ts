@@ -23,6 +23,14 @@ import {
   HiArrowRight,
   HiOutlineEye,
   HiOutlineEyeSlash,
+  HiMagnifyingGlass,
+  HiOutlineSun,
+  HiOutlineMoon,
+  HiOutlineComputerDesktop,
+  HiOutlinePrinter,
+  HiOutlineArrowDownTray,
+  HiOutlineCodeBracket,
+  HiOutlineHeart,
 } from "react-icons/hi2";
 
 import {
@@ -32,6 +40,8 @@ import {
   PiBookBookmarkDuotone,
   PiImageDuotone,
   PiFileDuotone,
+  PiHandsClappingDuotone,
+  PiChatsCircleDuotone,
 } from "react-icons/pi";
 
 import { FaDiscord, FaGithub, FaLinkedin, FaXTwitter, FaInstagram } from "react-icons/fa6";
@@ -70,4 +80,14 @@ export const iconLibrary: Record<string, IconType> = {
   instagram: FaInstagram,
   clipboard: HiClipboard,
   arrowUpRightFromSquare: HiArrowTopRightOnSquare,
+  search: HiMagnifyingGlass,
+  light: HiOutlineSun,
+  dark: HiOutlineMoon,
+  system: HiOutlineComputerDesktop,
+  print: HiOutlinePrinter,
+  download: HiOutlineArrowDownTray,
+  code: HiOutlineCodeBracket,
+  heart: HiOutlineHeart,
+  clap: PiHandsClappingDuotone,
+  chat: PiChatsCircleDuotone,
 };
@@ -7,12 +7,6 @@ import styles from "./CodeBlock.module.scss";
 
 import { Flex, Button, IconButton, Scroller, Row, StyleOverlay } from "@/once-ui/components";
 
-import Prism from "prismjs";
-import "prismjs/plugins/line-highlight/prism-line-highlight";
-import "prismjs/components/prism-jsx";
-import "prismjs/components/prism-css";
-import "prismjs/components/prism-typescript";
-import "prismjs/components/prism-tsx";
 import classNames from "classnames";
 import { SpacingToken } from "@/once-ui/types";
 
@@ -20,8 +14,27 @@ type CodeInstance = {
   code: string | { content: string; error: string | null };
   language: string;
   label: string;
+  html?: string;
 };
 
+// Prism is only fetched for instances that weren't highlighted ahead of time.
+const loadPrism = async () => {
+  const { default: Prism } = await import("prismjs");
+  await import("prismjs/plugins/line-highlight/prism-line-highlight");
+  await import("prismjs/components/prism-jsx");
+  await import("prismjs/components/prism-css");
+  await import("prismjs/components/prism-typescript");
+  await import("prismjs/components/prism-tsx");
+  return Prism;
+};
+
+const parseLineRanges = (highlight?: string) =>
+  (highlight || "")
+    .split(",")
+    .map((range) => range.split("-").map(Number))
+    .filter(([start]) => start > 0)
+    .map(([start, end]) => ({ start, end: end && end >= start ? end : start }));
+
 interface CodeBlockProps extends React.ComponentProps<typeof Flex> {
   highlight?: string;
   codeHeight?: number;
@@ -61,17 +74,28 @@ const CodeBlock: React.FC<CodeBlockProps> = ({
   const [selectedInstance, setSelectedInstance] = useState(0);
   const [isFullscreen, setIsFullscreen] = useState(false);
 
-  const { code, language, label } = codeInstances[selectedInstance] || {
+  const { code, language, label, html } = codeInstances[selectedInstance] || {
     code: "",
     language: "",
     label: "Select code",
   };
 
   useEffect(() => {
-    if (codeRef.current && codeInstances.length > 0) {
-      Prism.highlightAll();
+    if (!codeRef.current || codeInstances.length === 0 || html !== undefined) {
+      return;
     }
-  }, [code, codeInstances.length]);
+
+    let cancelled = false;
+    loadPrism().then((Prism) => {
+      if (!cancelled && codeRef.current) {
+        Prism.highlightElement(codeRef.current);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [code, html, codeInstances.length]);
 
   useEffect(() => {
     if (isFullscreen) {
@@ -241,14 +265,34 @@ const CodeBlock: React.FC<CodeBlockProps> = ({
           <Flex overflowX="auto" fillWidth>
             <pre
               style={{ maxHeight: `${codeHeight}rem` }}
-              data-line={highlight}
+              data-line={html === undefined ? highlight : undefined}
               ref={preRef}
               className={classNames(styles.pre, `language-${language}`)}
               tabIndex={-1}
             >
-              <code ref={codeRef} className={classNames(styles.code, `language-${language}`)}>
-                {typeof code === "string" ? code : code.content}
-              </code>
+              {html !== undefined &&
+                parseLineRanges(highlight).map(({ start, end }) => (
+                  <div
+                    key={`${start}-${end}`}
+                    aria-hidden="true"
+                    className="line-highlight"
+                    style={{
+                      top: `calc(${start - 1} * var(--code-line-height) * 1em)`,
+                      height: `calc(${end - start + 1} * var(--code-line-height) * 1em)`,
+                    }}
+                  />
+                ))}
+              {html !== undefined ? (
+                <code
+                  ref={codeRef}
+                  className={classNames(styles.code, `language-${language}`)}
+                  dangerouslySetInnerHTML={{ __html: html }}
+                />
+              ) : (
+                <code ref={codeRef} className={classNames(styles.code, `language-${language}`)}>
+                  {typeof code === "string" ? code : code.content}
+                </code>
+              )}
             </pre>
           </Flex>
           {compact && copyButton && (